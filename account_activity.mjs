@@ -0,0 +1,249 @@
+// account_activity.mjs
+//
+// Handles Account Activity API payloads pushed to webhook_server.mjs. Each
+// payload names the subscribed user in `for_user_id` and carries v1.1 shaped
+// events:
+//   tweet_create_events  - mentions, replies and the account's own tweets;
+//                          stored through the same path as polled tweets
+//   favorite_events      - likes of the account's tweets, kept in `like_events`
+//   follow_events        - follows/unfollows, applied to the follow graph
+//   tweet_delete_events  - deletions, handled like revalidation finds them
+
+import crypto from 'crypto';
+import { normalizeAuthor } from './normalize.mjs';
+import { addTweetToMongoDB } from './tweet_store.mjs';
+import { FollowGraphService } from './follow_graph.mjs';
+import { AVAILABILITY, TweetRevalidationService } from './revalidation.mjs';
+
+export const SIGNATURE_HEADER = 'x-twitter-webhooks-signature';
+
+const MEDIA_KEY_PREFIX = { photo: '3', video: '7', animated_gif: '16' };
+
+function hmac(secret, payload) {
+  return `sha256=${crypto.createHmac('sha256', secret).update(payload).digest('base64')}`;
+}
+
+/**
+ * Response to the CRC challenge X sends when the webhook is registered and
+ * hourly afterwards.
+ * @param {string} consumerSecret - Consumer secret of the app the webhook belongs to.
+ * @param {string} crcToken
+ * @returns {{response_token: string}}
+ */
+export function crcResponse(consumerSecret, crcToken) {
+  return { response_token: hmac(consumerSecret, crcToken) };
+}
+
+/**
+ * Signature header value for a payload, as X computes it.
+ * @param {string} consumerSecret
+ * @param {Buffer|string} rawBody
+ * @returns {string}
+ */
+export function signPayload(consumerSecret, rawBody) {
+  return hmac(consumerSecret, rawBody);
+}
+
+/**
+ * Checks the signature header against the raw request body.
+ * @param {string} consumerSecret
+ * @param {Buffer|string} rawBody
+ * @param {string} [signature] - The x-twitter-webhooks-signature header.
+ * @returns {boolean}
+ */
+export function verifySignature(consumerSecret, rawBody, signature) {
+  if (!signature) return false;
+  const expected = Buffer.from(signPayload(consumerSecret, rawBody));
+  const received = Buffer.from(signature);
+  return expected.length === received.length && crypto.timingSafeEqual(expected, received);
+}
+
+// v1.1 user -> Twitter v2 user
+function userToV2(user) {
+  return {
+    id: user.id_str || String(user.id),
+    username: user.screen_name,
+    name: user.name,
+    description: user.description ?? undefined,
+    profile_image_url: user.profile_image_url_https,
+    location: user.location ?? undefined,
+    verified: user.verified,
+    created_at: user.created_at,
+    public_metrics: {
+      followers_count: user.followers_count,
+      following_count: user.friends_count,
+      tweet_count: user.statuses_count,
+      listed_count: user.listed_count
+    }
+  };
+}
+
+// v1.1 media entity -> Twitter v2 media
+function mediaToV2(media) {
+  const size = media.original_info || media.sizes?.large || {};
+  return {
+    media_key: media.media_key || `${MEDIA_KEY_PREFIX[media.type] || '3'}_${media.id_str}`,
+    type: media.type,
+    url: media.type === 'photo' ? media.media_url_https : undefined,
+    preview_image_url: media.type === 'photo' ? undefined : media.media_url_https,
+    duration_ms: media.video_info?.duration_millis,
+    width: size.width ?? size.w,
+    height: size.height ?? size.h,
+    alt_text: media.ext_alt_text ?? undefined,
+    variants: media.video_info?.variants?.map((variant) => ({
+      bit_rate: variant.bitrate,
+      content_type: variant.content_type,
+      url: variant.url
+    }))
+  };
+}
+
+/**
+ * Converts a v1.1 status into a Twitter v2 shaped page with the author and
+ * media in includes, ready for addTweetToMongoDB.
+ * @param {object} status - v1.1 tweet object (extended or classic).
+ * @returns {{data: Array, includes: {users: Array, media: Array}}}
+ */
+export function statusToPage(status) {
+  const extended = status.extended_tweet || {};
+  const entities = extended.entities || status.entities || {};
+  const media = (extended.extended_entities || status.extended_entities || {}).media || [];
+  const span = (entity) => ({ start: entity.indices[0], end: entity.indices[1] });
+
+  const referenced = [
+    status.in_reply_to_status_id_str && { type: 'replied_to', id: status.in_reply_to_status_id_str },
+    status.quoted_status_id_str && { type: 'quoted', id: status.quoted_status_id_str },
+    status.retweeted_status && { type: 'retweeted', id: status.retweeted_status.id_str }
+  ].filter(Boolean);
+  const includedMedia = media.map(mediaToV2);
+
+  const tweet = {
+    id: status.id_str,
+    text: extended.full_text || status.full_text || status.text,
+    author_id: status.user?.id_str,
+    created_at: status.created_at,
+    // v1.1 has no conversation id; a tweet that isn't a reply starts its own
+    conversation_id: status.in_reply_to_status_id_str ? undefined : status.id_str,
+    in_reply_to_user_id: status.in_reply_to_user_id_str ?? undefined,
+    referenced_tweets: referenced.length ? referenced : undefined,
+    entities: {
+      mentions: (entities.user_mentions || []).map((m) => ({ ...span(m), username: m.screen_name, id: m.id_str })),
+      hashtags: (entities.hashtags || []).map((h) => ({ ...span(h), tag: h.text })),
+      cashtags: (entities.symbols || []).map((c) => ({ ...span(c), tag: c.text })),
+      urls: (entities.urls || []).map((u) => ({ ...span(u), url: u.url, expanded_url: u.expanded_url, display_url: u.display_url }))
+    },
+    attachments: includedMedia.length ? { media_keys: includedMedia.map((m) => m.media_key) } : undefined,
+    public_metrics: {
+      retweet_count: status.retweet_count,
+      reply_count: status.reply_count,
+      like_count: status.favorite_count,
+      quote_count: status.quote_count
+    },
+    lang: status.lang,
+    possibly_sensitive: status.possibly_sensitive,
+    source: status.source?.replace(/<[^>]+>/g, '')
+  };
+
+  return { data: [tweet], includes: { users: status.user ? [userToV2(status.user)] : [], media: includedMedia } };
+}
+
+/**
+ * Applies Account Activity payloads for the configured accounts.
+ */
+export class AccountActivityHandler {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} options
+   * @param {Array<object>} options.accounts - Accounts from accounts.mjs; events for other users are ignored.
+   * @param {ContentFilter} [options.contentFilter] - Ingest rules for stored tweets.
+   */
+  constructor(db, { accounts, contentFilter } = {}) {
+    this.db = db;
+    this.accounts = accounts;
+    this.contentFilter = contentFilter;
+    this.likeEventsCollection = db.collection('like_events');
+    this.revalidation = new TweetRevalidationService(db);
+  }
+
+  /**
+   * Handles one webhook payload.
+   * @param {object} payload - Parsed request body.
+   * @returns {Promise<object>} Counts: { account, tweets, likes, follows, deletes }, or { ignored } for unknown users.
+   */
+  async handle(payload) {
+    const account = this.accounts.find((candidate) => candidate.user_id === payload.for_user_id);
+    if (!account) {
+      console.warn(`[Webhook] Ignoring events for unconfigured user ${payload.for_user_id}`);
+      return { ignored: true };
+    }
+
+    const summary = { account: account.id, tweets: 0, likes: 0, follows: 0, deletes: 0 };
+    for (const status of payload.tweet_create_events || []) {
+      await this._storeStatus(account, status);
+      summary.tweets++;
+    }
+    for (const event of payload.favorite_events || []) {
+      summary.likes += await this._recordLike(account, event);
+    }
+    for (const event of payload.follow_events || []) {
+      summary.follows += await this._applyFollow(account, event);
+    }
+    for (const event of payload.tweet_delete_events || []) {
+      await this.revalidation.markUnavailable({ id: event.status.id }, AVAILABILITY.DELETED, {
+        title: 'Deleted (Account Activity)'
+      });
+      summary.deletes++;
+    }
+
+    console.log(
+      `[Webhook] ${account.id}: ${summary.tweets} tweets, ${summary.likes} likes, ` +
+        `${summary.follows} follow changes, ${summary.deletes} deletes`
+    );
+    return summary;
+  }
+
+  // The account's own tweets aren't mentions; they are tagged 'self' so retention treats them as default
+  async _storeStatus(account, status, { stream } = {}) {
+    const page = statusToPage(status);
+    const own = status.user?.id_str === account.user_id;
+    await addTweetToMongoDB(this.db, page.data, page.includes, {
+      stream: stream || (own ? 'self' : 'mentions'),
+      accountId: account.id,
+      contentFilter: this.contentFilter
+    });
+  }
+
+  async _recordLike(account, event) {
+    // Likes by the account itself show up too; only likes of its tweets are engagement
+    if (!event.favorited_status || event.user?.id_str === account.user_id) return 0;
+    await this._storeStatus(account, event.favorited_status, { stream: 'self' });
+    const user = userToV2(event.user);
+    await this.db
+      .collection('authors')
+      .updateOne({ id: user.id }, { $set: { ...normalizeAuthor(user), lastFetched: new Date() } }, { upsert: true });
+    const result = await this.likeEventsCollection.updateOne(
+      { account_id: account.id, tweet_id: event.favorited_status.id_str, user_id: user.id },
+      {
+        $setOnInsert: {
+          username: user.username,
+          liked_at: new Date(Number(event.timestamp_ms) || Date.now())
+        }
+      },
+      { upsert: true }
+    );
+    return result.upsertedCount;
+  }
+
+  async _applyFollow(account, event) {
+    const byAccount = event.source.id === account.user_id;
+    const other = byAccount ? event.target : event.source;
+    const followGraph = new FollowGraphService(this.db, { accountId: account.id });
+    const changed = await followGraph.applyEvent(
+      byAccount ? 'following' : 'followers',
+      event.type,
+      { id: other.id, username: other.screen_name, name: other.name },
+      new Date(Number(event.created_timestamp) || Date.now())
+    );
+    return changed ? 1 : 0;
+  }
+}
@@ -0,0 +1,221 @@
+// accounts.mjs
+//
+// Registry of the bot accounts (personas) one deployment runs. Each account in
+// assets/accounts.json names the env prefix of its OAuth tokens, its persona
+// files, its reply limits and content filter, and which streams it ingests.
+// Without an accounts file, a single account is built from the legacy env vars
+// (TWITTER_USERNAME, TWITTER_USER_ID, TWITTER_* tokens, assets/system_prompt.txt).
+//
+// Documents owned by an account (responses, cursors, follow graph, rate-limit
+// budgets) carry its `account_id`; tweets list the accounts that ingested them
+// in `accounts`.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { TwitterApi } from 'twitter-api-v2';
+import { ContentFilter } from './content_filter.mjs';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_ACCOUNTS_FILE = path.join(__dirname, 'assets', 'accounts.json');
+export const DEFAULT_ACCOUNT_ID = 'default';
+
+const ASSETS_DIR = path.join(__dirname, 'assets');
+
+const ACCOUNT_DEFAULTS = {
+  credentials: 'TWITTER', // env prefix: <prefix>_APP_TOKEN, _APP_SECRET, _ACCESS_TOKEN, _ACCESS_SECRET
+  persona: {
+    system_prompt: 'system_prompt.txt',
+    journal: 'latest_journal.json'
+  },
+  filters: null, // rules file in assets/; null uses FILTER_RULES_FILE or filter_rules.json
+  streams: {
+    timeline: true,
+    mentions: true,
+    topics: null // topic ids whose tweets this account answers; null for all
+  },
+  enabled: true
+};
+
+// Read when accounts are loaded, after the importing script has run dotenv.config()
+function defaultLimits() {
+  return {
+    post_interval_minutes: parseInt(process.env.POST_INTERVAL_MINUTES || '30', 10),
+    reply_to_unfollowed: process.env.REPLY_TO_UNFOLLOWED === 'true',
+    // Reply throttles (reply_throttle.mjs); 0 turns a limit off
+    max_replies_per_conversation: parseInt(process.env.MAX_REPLIES_PER_CONVERSATION || '3', 10),
+    conversation_window_hours: parseFloat(process.env.CONVERSATION_WINDOW_HOURS || '24'),
+    max_replies_per_author_per_day: parseInt(process.env.MAX_REPLIES_PER_AUTHOR_PER_DAY || '5', 10),
+    consecutive_exchange_limit: parseInt(process.env.CONSECUTIVE_EXCHANGE_LIMIT || '4', 10),
+    exchange_gap_minutes: parseFloat(process.env.EXCHANGE_GAP_MINUTES || '30'),
+    exchange_cooldown_minutes: parseFloat(process.env.EXCHANGE_COOLDOWN_MINUTES || '120')
+  };
+}
+
+/**
+ * Lowercase usernames from ALWAYS_REPLY_TO, which every account answers
+ * regardless of reply decisions and throttles.
+ * @returns {string[]}
+ */
+export function alwaysReplyTo() {
+  return (process.env.ALWAYS_REPLY_TO || '').toLowerCase().split(',').map((u) => u.trim()).filter(Boolean);
+}
+
+// The single account of a deployment configured only through env vars
+function envAccount() {
+  return {
+    id: DEFAULT_ACCOUNT_ID,
+    username: process.env.TWITTER_USERNAME,
+    user_id: process.env.TWITTER_USER_ID
+  };
+}
+
+function withDefaults(account) {
+  return {
+    ...ACCOUNT_DEFAULTS,
+    ...account,
+    persona: { ...ACCOUNT_DEFAULTS.persona, ...account.persona },
+    limits: { ...defaultLimits(), ...account.limits },
+    streams: { ...ACCOUNT_DEFAULTS.streams, ...account.streams }
+  };
+}
+
+/**
+ * Loads enabled accounts. ACCOUNTS (comma-separated ids) restricts a process
+ * to some of them. The scraper looks up a missing username or user_id from the
+ * account's tokens; the other processes skip accounts without both (see
+ * resolveAccountIds).
+ * @param {string} [filePath] - Defaults to ACCOUNTS_FILE or assets/accounts.json.
+ * @returns {Promise<Array<object>>} Accounts with defaults applied, in file order.
+ */
+export async function loadAccounts(filePath = process.env.ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE) {
+  let accounts;
+  try {
+    accounts = JSON.parse(await fs.readFile(filePath, 'utf8')).accounts || [];
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+    accounts = [envAccount()];
+  }
+
+  const ids = new Set();
+  for (const account of accounts) {
+    if (!account.id) throw new Error('[Accounts] Every account needs an id');
+    if (ids.has(account.id)) throw new Error(`[Accounts] Duplicate account id: ${account.id}`);
+    ids.add(account.id);
+  }
+
+  const only = process.env.ACCOUNTS ? process.env.ACCOUNTS.split(',').map((id) => id.trim()) : null;
+  return accounts
+    .map(withDefaults)
+    .filter((account) => account.enabled && (!only || only.includes(account.id)));
+}
+
+/**
+ * Fills in a missing user_id from the author the scraper stored for the
+ * account's username, and leaves out accounts still without both.
+ * @param {Db} db - MongoDB Db instance.
+ * @param {Array<object>} accounts - From loadAccounts().
+ * @returns {Promise<Array<object>>} Accounts with username and user_id.
+ */
+export async function resolveAccountIds(db, accounts) {
+  const resolved = [];
+  for (const account of accounts) {
+    if (!account.user_id && account.username) {
+      const author = await db.collection('authors').findOne({ username: account.username.replace(/^@/, '') });
+      if (author) account.user_id = author.id;
+    }
+    if (account.username && account.user_id) {
+      resolved.push(account);
+    } else {
+      console.warn(`[Accounts] Skipping account ${account.id}: username and user_id are not known yet (start the scraper first)`);
+    }
+  }
+  return resolved;
+}
+
+/**
+ * The account that owns data written before accounts existed: the first one
+ * in the registry, regardless of ACCOUNTS or enabled.
+ * @returns {Promise<object>}
+ */
+export async function loadPrimaryAccount() {
+  try {
+    const content = JSON.parse(await fs.readFile(process.env.ACCOUNTS_FILE || DEFAULT_ACCOUNTS_FILE, 'utf8'));
+    if (content.accounts?.length) return withDefaults(content.accounts[0]);
+  } catch (error) {
+    if (error.code !== 'ENOENT') throw error;
+  }
+  return withDefaults(envAccount());
+}
+
+/**
+ * OAuth tokens of an account, read from the env vars its credentials prefix names.
+ * @param {object} account
+ * @returns {{appKey: string, appSecret: string, accessToken: string, accessSecret: string}}
+ * @throws {Error} If any token is missing.
+ */
+export function accountTokens(account) {
+  const prefix = account.credentials;
+  const names = {
+    appKey: `${prefix}_APP_TOKEN`,
+    appSecret: `${prefix}_APP_SECRET`,
+    accessToken: `${prefix}_ACCESS_TOKEN`,
+    accessSecret: `${prefix}_ACCESS_SECRET`
+  };
+  const missing = Object.values(names).filter((name) => !process.env[name]);
+  if (missing.length) {
+    throw new Error(`[Accounts] ${account.id}: missing environment variables ${missing.join(', ')}`);
+  }
+  return Object.fromEntries(Object.entries(names).map(([key, name]) => [key, process.env[name]]));
+}
+
+/**
+ * X client authenticated as an account.
+ * @param {object} account
+ * @param {object} [options] - { timeout, plugins }
+ * @returns {TwitterApi}
+ */
+export function createAccountClient(account, { timeout, plugins = [] } = {}) {
+  return new TwitterApi({ ...accountTokens(account), ...(timeout && { timeout }) }, { plugins });
+}
+
+/**
+ * Persona files of an account. A missing journal is not an error.
+ * @param {object} account
+ * @returns {Promise<{systemPrompt: string|null, journalEntry: object|null}>}
+ */
+export async function loadPersona(account) {
+  const read = async (file) => {
+    try {
+      return await fs.readFile(path.resolve(ASSETS_DIR, file), 'utf8');
+    } catch (error) {
+      if (error.code === 'ENOENT') return null;
+      throw error;
+    }
+  };
+  const [systemPrompt, journal] = await Promise.all([
+    read(account.persona.system_prompt),
+    account.persona.journal ? read(account.persona.journal) : null
+  ]);
+  return { systemPrompt, journalEntry: journal ? JSON.parse(journal) : null };
+}
+
+/**
+ * Content filter of an account: its own rules file, or the shared one.
+ * @param {object} account
+ * @returns {Promise<ContentFilter>}
+ */
+export async function loadAccountFilter(account) {
+  return account.filters ? ContentFilter.fromFile(path.resolve(ASSETS_DIR, account.filters)) : ContentFilter.fromFile();
+}
+
+/**
+ * Whether an account answers tweets from a tracked topic.
+ * @param {object} account
+ * @param {object} topic
+ * @returns {boolean}
+ */
+export function accountFollowsTopic(account, topic) {
+  return !account.streams.topics || account.streams.topics.includes(topic.id);
+}
@@ -2,6 +2,12 @@
 import express from 'express';
 import dotenv from 'dotenv';
 import { MongoClient } from 'mongodb';
+import { QuarantineService } from './quarantine.mjs';
+import { RateLimitStore } from './rate_limits.mjs';
+import { MetricsSampler } from './metrics_sampler.mjs';
+import { LLMGateway } from './llm_gateway.mjs';
+import { TEMPLATES, contextProvenance, renderContext } from './context_renderer.mjs';
+import { PIPELINE_STAGES, PipelineFailures } from './pipeline_failures.mjs';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -11,12 +17,16 @@ app.use(express.json());
 
 const client = new MongoClient(process.env.MONGODB_URI);
 
+let dbPromise;
+
 async function connectToMongoDB() {
-  if (!client.isConnected()) {
-    await client.connect();
-    console.log('Connected to MongoDB');
+  if (!dbPromise) {
+    dbPromise = client.connect().then(() => {
+      console.log('Connected to MongoDB');
+      return client.db(process.env.DB_NAME);
+    });
   }
-  return client.db(process.env.DB_NAME);
+  return dbPromise;
 }
 
 app.use(async (req, res, next) => {
@@ -79,10 +89,14 @@ app.post('/authors', async (req, res) => {
 
 // Responses endpoints
 
-// Get all responses
+// Get all responses (?account_id=, ?decision=reply|like|ignore)
 app.get('/responses', async (req, res) => {
   const responsesCollection = req.db.collection('responses');
-  const responses = await responsesCollection.find({}).toArray();
+  const filter = {
+    ...(req.query.account_id && { account_id: req.query.account_id }),
+    ...(req.query.decision && { 'decision.action': req.query.decision })
+  };
+  const responses = await responsesCollection.find(filter).toArray();
   res.json(responses);
 });
 
@@ -93,6 +107,56 @@ app.get('/responses/tweet/:tweet_id', async (req, res) => {
   res.json(response);
 });
 
+// Engagement snapshots of a posted response and the tweet it answered, oldest first
+app.get('/responses/tweet/:tweet_id/metrics', async (req, res) => {
+  try {
+    const response = await req.db.collection('responses').findOne({ tweet_id: req.params.tweet_id });
+    if (!response) {
+      return res.status(404).json({ error: 'No response for this tweet' });
+    }
+    const sampler = new MetricsSampler(req.db, {});
+    res.json({
+      response_id: response.response_id,
+      posted_at: response.posted_at,
+      reply_engagement_score: response.reply_engagement_score,
+      snapshots: await sampler.getSeries(response._id)
+    });
+  } catch (error) {
+    console.error('Error fetching response metrics:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// What a response's context was built from, and the context rendered again
+// (?account_id=, ?template=<default|compact>, ?budget=<tokens>)
+app.get('/responses/tweet/:tweet_id/context', async (req, res) => {
+  try {
+    const filter = { tweet_id: req.params.tweet_id, ...(req.query.account_id && { account_id: req.query.account_id }) };
+    const response = await req.db.collection('responses').findOne(filter);
+    if (!response) {
+      return res.status(404).json({ error: 'No response for this tweet' });
+    }
+    if (!response.context_doc) {
+      return res.json({ account_id: response.account_id, context: response.context, provenance: null });
+    }
+    const template = req.query.template || response.context_template || 'default';
+    if (!TEMPLATES[template]) {
+      return res.status(400).json({ error: `Unknown template: ${template}` });
+    }
+    const budgetTokens = req.query.budget ? parseInt(req.query.budget, 10) : Infinity;
+    res.json({
+      account_id: response.account_id,
+      context: response.context,
+      provenance: contextProvenance(response.context_doc),
+      context_doc: response.context_doc,
+      rendered: renderContext(response.context_doc, { template, budgetTokens }).text
+    });
+  } catch (error) {
+    console.error('Error fetching response context:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 // Add a new response
 app.post('/responses', async (req, res) => {
   const responsesCollection = req.db.collection('responses');
@@ -100,6 +164,137 @@ app.post('/responses', async (req, res) => {
   res.status(201).json(req.body);
 });
 
+// Quarantine endpoints
+
+// List quarantined tweets (?status=pending|released|discarded&rule=<rule id>&limit=&skip=)
+app.get('/quarantine', async (req, res) => {
+  try {
+    const quarantine = new QuarantineService(req.db);
+    const entries = await quarantine.list({
+      status: req.query.status || 'pending',
+      rule: req.query.rule,
+      limit: parseInt(req.query.limit || '50', 10),
+      skip: parseInt(req.query.skip || '0', 10)
+    });
+    res.json(entries);
+  } catch (error) {
+    console.error('Error listing quarantine:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Per-rule hit, release and discard counts
+app.get('/quarantine/rules', async (req, res) => {
+  try {
+    const quarantine = new QuarantineService(req.db);
+    res.json(await quarantine.ruleStats());
+  } catch (error) {
+    console.error('Error fetching filter rule stats:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Release a quarantined tweet back into the pipeline
+app.post('/quarantine/:tweet_id/release', async (req, res) => {
+  try {
+    const quarantine = new QuarantineService(req.db);
+    const tweet = await quarantine.release(req.params.tweet_id);
+    if (!tweet) {
+      return res.status(404).json({ error: 'No pending quarantine entry for this tweet' });
+    }
+    res.json(tweet);
+  } catch (error) {
+    console.error('Error releasing quarantined tweet:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Permanently discard a quarantined tweet
+app.post('/quarantine/:tweet_id/discard', async (req, res) => {
+  try {
+    const quarantine = new QuarantineService(req.db);
+    const discarded = await quarantine.discard(req.params.tweet_id);
+    if (!discarded) {
+      return res.status(404).json({ error: 'No pending quarantine entry for this tweet' });
+    }
+    res.status(204).end();
+  } catch (error) {
+    console.error('Error discarding quarantined tweet:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Pipeline failure endpoints
+
+// List failures (?stage=context|generation|posting&status=dead|retrying&account_id=&limit=&skip=)
+app.get('/failures', async (req, res) => {
+  try {
+    const failures = new PipelineFailures(req.db);
+    res.json(await failures.list({
+      stage: req.query.stage,
+      accountId: req.query.account_id,
+      status: req.query.status || 'dead',
+      limit: parseInt(req.query.limit || '50', 10),
+      skip: parseInt(req.query.skip || '0', 10)
+    }));
+  } catch (error) {
+    console.error('Error listing pipeline failures:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Failures per stage and status
+app.get('/failures/counts', async (req, res) => {
+  try {
+    res.json(await new PipelineFailures(req.db).counts());
+  } catch (error) {
+    console.error('Error counting pipeline failures:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Requeue dead-lettered tweets of a stage: one tweet, or all with no tweet id (?account_id=)
+app.post(['/failures/:stage/requeue', '/failures/:stage/:tweet_id/requeue'], async (req, res) => {
+  try {
+    if (!Object.values(PIPELINE_STAGES).includes(req.params.stage)) {
+      return res.status(400).json({ error: `Unknown stage: ${req.params.stage}` });
+    }
+    const requeued = await new PipelineFailures(req.db).requeue(req.params.stage, {
+      tweetId: req.params.tweet_id,
+      accountId: req.query.account_id
+    });
+    if (req.params.tweet_id && !requeued) {
+      return res.status(404).json({ error: 'No dead-lettered failure for this tweet' });
+    }
+    res.json({ requeued });
+  } catch (error) {
+    console.error('Error requeueing pipeline failures:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Current X rate-limit budget per endpoint, shared by all processes
+app.get('/rate-limits', async (req, res) => {
+  try {
+    const rateLimits = new RateLimitStore(req.db);
+    res.json(await rateLimits.list({ accountId: req.query.account_id }));
+  } catch (error) {
+    console.error('Error fetching rate limits:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
+// Model calls per profile, provider and model (?since=ISO date)
+app.get('/llm-calls/summary', async (req, res) => {
+  try {
+    const since = req.query.since ? new Date(req.query.since) : undefined;
+    res.json(await new LLMGateway(req.db).usageSummary({ since }));
+  } catch (error) {
+    console.error('Error summarizing LLM calls:', error);
+    res.status(500).json({ error: 'Internal Server Error' });
+  }
+});
+
 // Start the server
 const PORT = process.env.PORT || 3000;
 app.listen(PORT, () => {
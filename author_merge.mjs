@@ -0,0 +1,223 @@
+// author_merge.mjs
+//
+// Folds `temp_<uuid>` authors (mentions stored without a user ID) into real
+// author records. Temp authors are grouped by username; each group is merged
+// into the real author with that username, into a real author resolved through
+// the user lookup source, or else collapsed into one promoted temp record.
+// References in `tweets` and `responses` are rewritten to the surviving ID.
+//
+// Usage: node author_merge.mjs [--dry-run]   (merges without user lookups)
+
+import path from 'path';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { MongoClient } from 'mongodb';
+import { normalizeAuthor } from './normalize.mjs';
+import { chunk, USER_LOOKUP_BATCH_SIZE } from './tweet_sources.mjs';
+
+dotenv.config();
+
+export const TEMP_AUTHOR_PREFIX = 'temp_';
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Author-ID references rewritten when a temp author is merged: collection -> fields
+const AUTHOR_REFERENCES = {
+  tweets: ['author_id', 'in_reply_to_user_id'],
+  responses: ['author_id']
+};
+
+/**
+ * Merges temporary authors into real author records.
+ */
+export class AuthorMergeService {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} [options]
+   * @param {TweetSource} [options.usersSource] - Resolves usernames with no real author yet.
+   */
+  constructor(db, { usersSource = null } = {}) {
+    this.db = db;
+    this.usersSource = usersSource;
+    this.authorsCollection = db.collection('authors');
+  }
+
+  /**
+   * Merges temp authors, one username group at a time.
+   * @param {object} [options]
+   * @param {number} [options.limit] - Max usernames handled per run.
+   * @param {boolean} [options.dryRun] - Report what would be merged without writing.
+   * @returns {Promise<object>} Report: totals plus one entry per username group.
+   */
+  async mergeTemporaryAuthors({ limit = 0, dryRun = false } = {}) {
+    const groups = await this._groupTempAuthors(limit);
+    const report = { groups: [], merged: 0, resolved: 0, promoted: 0, removed: 0, references: 0, dryRun };
+    if (!groups.size) return report;
+
+    const realAuthors = await this._findRealAuthors([...groups.keys()]);
+    const unresolved = [...groups.keys()].filter((username) => !realAuthors.has(username));
+    const resolvedUsers = await this._resolveUsernames(unresolved);
+
+    for (const [username, temps] of groups) {
+      try {
+        const entry = await this._mergeGroup(username, temps, {
+          realAuthor: realAuthors.get(username),
+          resolvedUser: resolvedUsers.get(username),
+          dryRun
+        });
+        report.groups.push(entry);
+        report[entry.action]++;
+        report.removed += entry.removed_ids.length;
+        report.references += entry.references;
+      } catch (error) {
+        console.error(`[AuthorMerge] Error merging temp authors for @${username}:`, error);
+        report.groups.push({ username, action: 'failed', error: error.message });
+      }
+    }
+
+    console.log(
+      `[AuthorMerge] ${report.groups.length} usernames: ${report.merged} merged, ${report.resolved} resolved, ` +
+        `${report.promoted} promoted, ${report.removed} temp records removed, ${report.references} references rewritten` +
+        (dryRun ? ' (dry run)' : '')
+    );
+    return report;
+  }
+
+  // Temp authors grouped by lowercased username, oldest first within a group
+  async _groupTempAuthors(limit) {
+    const temps = await this.authorsCollection
+      .find({ id: { $regex: `^${TEMP_AUTHOR_PREFIX}` }, username: { $exists: true, $ne: null } })
+      .sort({ _id: 1 })
+      .toArray();
+
+    const groups = new Map();
+    for (const temp of temps) {
+      const username = temp.username.toLowerCase();
+      if (!groups.has(username)) {
+        if (limit && groups.size >= limit) continue;
+        groups.set(username, []);
+      }
+      groups.get(username).push(temp);
+    }
+    return groups;
+  }
+
+  // Real authors by lowercased username
+  async _findRealAuthors(usernames) {
+    const authors = await this.authorsCollection
+      .find({ username: { $in: usernames }, id: { $not: { $regex: `^${TEMP_AUTHOR_PREFIX}` } } })
+      .collation(CASE_INSENSITIVE)
+      .sort({ lastFetched: -1 })
+      .toArray();
+    const byUsername = new Map();
+    for (const author of authors) {
+      const username = author.username.toLowerCase();
+      if (!byUsername.has(username)) byUsername.set(username, author);
+    }
+    return byUsername;
+  }
+
+  // Looks up usernames through the users source, up to 100 per call
+  async _resolveUsernames(usernames) {
+    const resolved = new Map();
+    if (!this.usersSource || !usernames.length) return resolved;
+    for (const batch of chunk(usernames, USER_LOOKUP_BATCH_SIZE)) {
+      try {
+        const { data } = await this.usersSource.lookupUsers({ usernames: batch });
+        data.forEach((user) => resolved.set(user.username.toLowerCase(), user));
+      } catch (error) {
+        console.error(`[AuthorMerge] Error resolving ${batch.length} usernames:`, error);
+        if (error.code === 429) break;
+      }
+    }
+    return resolved;
+  }
+
+  async _mergeGroup(username, temps, { realAuthor, resolvedUser, dryRun }) {
+    let action;
+    let target;
+    if (realAuthor) {
+      action = 'merged';
+      target = realAuthor;
+    } else if (resolvedUser) {
+      action = 'resolved';
+      target = { ...normalizeAuthor(resolvedUser), lastFetched: new Date() };
+    } else {
+      action = 'promoted';
+      target = temps[0];
+    }
+
+    const removedIds = temps.map((temp) => temp.id).filter((id) => id !== target.id);
+    const folded = this._foldFields(target, temps);
+    const entry = { username, action, target_id: target.id, removed_ids: removedIds, references: 0 };
+    if (dryRun) return entry;
+
+    if (action === 'resolved') {
+      await this.authorsCollection.updateOne(
+        { id: target.id },
+        { $set: target, ...(Object.keys(folded).length && { $setOnInsert: folded }) },
+        { upsert: true }
+      );
+    } else if (Object.keys(folded).length) {
+      await this.authorsCollection.updateOne({ id: target.id }, { $set: folded });
+    }
+
+    entry.references = await this._rewriteReferences(removedIds, target.id);
+    if (removedIds.length) {
+      await this.authorsCollection.deleteMany({ id: { $in: removedIds } });
+    }
+    return entry;
+  }
+
+  // Fields present on temp records but missing on the target (e.g. notes gathered before the merge)
+  _foldFields(target, temps) {
+    const folded = {};
+    for (const temp of temps) {
+      for (const [field, value] of Object.entries(temp)) {
+        if (field === '_id' || field === 'id' || value === undefined || value === null) continue;
+        if (target[field] === undefined && folded[field] === undefined) folded[field] = value;
+      }
+    }
+    return folded;
+  }
+
+  async _rewriteReferences(fromIds, toId) {
+    if (!fromIds.length) return 0;
+    let rewritten = 0;
+    for (const [collection, fields] of Object.entries(AUTHOR_REFERENCES)) {
+      for (const field of fields) {
+        const result = await this.db
+          .collection(collection)
+          .updateMany({ [field]: { $in: fromIds } }, { $set: { [field]: toId } });
+        rewritten += result.modifiedCount;
+      }
+    }
+    return rewritten;
+  }
+}
+
+async function main() {
+  const dryRun = process.argv.includes('--dry-run');
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    console.log(`[AuthorMerge] Connected. Merging temporary authors${dryRun ? ' (dry run)' : ''}...`);
+    const report = await new AuthorMergeService(client.db(process.env.DB_NAME)).mergeTemporaryAuthors({ dryRun });
+    for (const group of report.groups) {
+      console.log(
+        `[AuthorMerge] @${group.username}: ${group.action}` +
+          (group.target_id ? ` -> ${group.target_id} (${group.removed_ids.length} removed)` : ` (${group.error})`)
+      );
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+// Run as a script, not when imported by the scraper
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('[AuthorMerge] Fatal error:', error);
+    process.exit(1);
+  });
+}
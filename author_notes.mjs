@@ -1,6 +1,6 @@
 import dotenv from 'dotenv';
 import { MongoClient } from 'mongodb';
-import OpenAI from 'openai';
+import { llm } from './llm_gateway.mjs';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -32,49 +32,26 @@ async function generateLLMContext(db, authorId) {
     context += `Tweet: ${tweet.text}\nDate: ${tweet.created_at}\n\n`;
   }
 
-  return context;
+  // Newest tweet covered by these notes, so the next run only counts tweets after it
+  return { context, newestTweetAt: authorTweets[0]?.created_at || null };
 }
 
 // Function to generate evolving notes about the author using LLM
-async function generateEvolvingNotes(context, priorSummary) {
-  let openai;
-  if (process.env.USE_OPENAI_API === 'true') {
-    const { Configuration, OpenAIApi } = await import('openai');
-    const configuration = new Configuration({
-      apiKey: process.env.OPENAI_API_KEY,
-    });
-    openai = new OpenAIApi(configuration);
-  } else {
-    openai = new OpenAI({
-      baseURL: 'http://127.0.0.1:11434/v1',
-      apiKey: 'ollama', // required but unused
-    });
-  }
-
+async function generateEvolvingNotes(context, priorSummary, authorId) {
   const prompt = `${priorSummary ? priorSummary + '\n\n' : ''}Given the following tweets from the author, generate evolving notes about the author's personality, interests, and communication style:\n\n${context}`;
 
-  let response;
-  if (process.env.USE_OPENAI_API === 'true') {
-    response = await openai.createCompletion({
-      model: 'text-davinci-003',
-      prompt,
-      max_tokens: 2048,
-      temperature: 0.7,
-    });
-    return response.data.choices[0].text.trim();
-  } else {
-    response = await openai.chat.completions.create({
-      model: 'llama3.2',
-      messages: [{ role: 'user', content: prompt }],
-    });
-    return response.choices[0].message.content.trim();
-  }
+  const { text } = await llm.chat('author_notes', [{ role: 'user', content: prompt }], {
+    caller: 'author_notes',
+    metadata: { author_id: authorId }
+  });
+  return text;
 }
 
 // Main execution function
 (async () => {
   try {
     const db = await connectToMongoDB();
+    llm.attach(db);
     const authorsCollection = db.collection('authors');
 
     // Fetch all authors
@@ -82,24 +59,28 @@ async function generateEvolvingNotes(context, priorSummary) {
 
     for (const author of authors) {
       const authorId = author.id;
-      const lastFetchedCount = author ? (author.last_fetched_count || 0) : 0;
-      const currentTweetCount = await db.collection('tweets').countDocuments({ author_id: authorId });
+      // Count tweets newer than those the notes were built from. Total counts
+      // can't be compared across runs since retention.mjs deletes old tweets.
+      const newTweetCount = await db.collection('tweets').countDocuments({
+        author_id: authorId,
+        ...(author.notes_newest_tweet_at && { created_at: { $gt: author.notes_newest_tweet_at } })
+      });
 
       // If significant new tweets have been added, update evolving notes
-      if (currentTweetCount - lastFetchedCount >= 10) {
+      if (newTweetCount >= 10) {
         // Generate LLM context based on MongoDB data
-        const context = await generateLLMContext(db, authorId);
+        const { context, newestTweetAt } = await generateLLMContext(db, authorId);
 
         // Fetch prior summary if available
         const priorSummary = author ? author.evolving_notes : '';
 
         // Generate evolving notes using LLM
-        const evolvingNotes = await generateEvolvingNotes(context, priorSummary);
+        const evolvingNotes = await generateEvolvingNotes(context, priorSummary, authorId);
 
         // Update the author's evolving notes and tweet count in MongoDB
         await authorsCollection.updateOne(
           { id: authorId },
-          { $set: { evolving_notes: evolvingNotes, last_fetched_count: currentTweetCount } },
+          { $set: { evolving_notes: evolvingNotes, notes_newest_tweet_at: newestTweetAt, notes_updated_at: new Date() } },
           { upsert: true }
         );
 
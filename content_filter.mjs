@@ -0,0 +1,144 @@
+// content_filter.mjs
+//
+// Declarative content filter shared by every pipeline stage. Rules live in a
+// JSON file (assets/filter_rules.json by default, or FILTER_RULES_FILE) so
+// filters can be tuned without code changes.
+//
+// A rule has an `id`, optional `description`, optional `stages` (omit to apply
+// everywhere), optional `enabled: false`, and either a single condition
+// (`type` plus its parameters) or a combinator (`all` / `any`) of conditions.
+//
+// Condition types:
+//   regex            { pattern, flags }             - matches the tweet text
+//   keywords         { keywords, whole_word }       - case-insensitive
+//   authors          { ids, usernames }             - matches the tweet author
+//   language         { allow } or { deny }          - matches on tweet.lang
+//   sensitive        {}                             - possibly_sensitive tweets
+//   min_account_age  { days }                       - authors younger than `days`
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_RULES_FILE = path.join(__dirname, 'assets', 'filter_rules.json');
+
+// Pipeline stages that call the filter
+export const STAGES = {
+  INGEST: 'ingest',
+  CONTEXT: 'context',
+  AUTHOR_HISTORY: 'author_history'
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function escapeRegex(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Compiles a condition into a predicate `(tweet, author) => boolean`.
+ * @throws {Error} On unknown condition types or invalid parameters.
+ */
+function compileCondition(condition, ruleId) {
+  if (condition.all || condition.any) {
+    const parts = (condition.all || condition.any).map((c) => compileCondition(c, ruleId));
+    return condition.all
+      ? (tweet, author) => parts.every((match) => match(tweet, author))
+      : (tweet, author) => parts.some((match) => match(tweet, author));
+  }
+
+  switch (condition.type) {
+    case 'regex': {
+      const regex = new RegExp(condition.pattern, condition.flags || '');
+      return (tweet) => regex.test(tweet.text || '');
+    }
+    case 'keywords': {
+      const words = (condition.keywords || []).map(escapeRegex);
+      if (!words.length) throw new Error(`[Filter] Rule ${ruleId}: keywords list is empty`);
+      const body = `(${words.join('|')})`;
+      const regex = new RegExp(condition.whole_word ? `\\b${body}\\b` : body, 'i');
+      return (tweet) => regex.test(tweet.text || '');
+    }
+    case 'authors': {
+      const ids = new Set(condition.ids || []);
+      const usernames = new Set((condition.usernames || []).map((u) => u.replace(/^@/, '').toLowerCase()));
+      return (tweet, author) =>
+        ids.has(tweet.author_id) || (!!author?.username && usernames.has(author.username.toLowerCase()));
+    }
+    case 'language': {
+      const allow = condition.allow && new Set(condition.allow);
+      const deny = new Set(condition.deny || []);
+      return (tweet) => {
+        if (!tweet.lang) return false;
+        return allow ? !allow.has(tweet.lang) : deny.has(tweet.lang);
+      };
+    }
+    case 'sensitive':
+      return (tweet) => tweet.possibly_sensitive === true;
+    case 'min_account_age': {
+      const minAgeMs = Number(condition.days) * DAY_MS;
+      if (Number.isNaN(minAgeMs)) throw new Error(`[Filter] Rule ${ruleId}: days must be a number`);
+      return (tweet, author) => {
+        if (!author?.created_at) return false; // unknown age never matches
+        return Date.now() - new Date(author.created_at).getTime() < minAgeMs;
+      };
+    }
+    default:
+      throw new Error(`[Filter] Rule ${ruleId}: unknown condition type "${condition.type}"`);
+  }
+}
+
+/**
+ * Evaluates tweets against a list of declarative rules.
+ */
+export class ContentFilter {
+  /**
+   * @param {Array<object>} rules - Rule definitions (see file header).
+   */
+  constructor(rules = []) {
+    const ids = new Set();
+    this.rules = rules
+      .filter((rule) => rule.enabled !== false)
+      .map((rule) => {
+        if (!rule.id) throw new Error('[Filter] Every rule needs an id');
+        if (ids.has(rule.id)) throw new Error(`[Filter] Duplicate rule id: ${rule.id}`);
+        ids.add(rule.id);
+        return {
+          id: rule.id,
+          description: rule.description || '',
+          stages: rule.stages || null,
+          match: compileCondition(rule, rule.id)
+        };
+      });
+  }
+
+  /**
+   * Loads rules from a JSON file ({ "rules": [...] }).
+   * @param {string} [filePath] - Defaults to FILTER_RULES_FILE or assets/filter_rules.json.
+   * @returns {Promise<ContentFilter>}
+   */
+  static async fromFile(filePath = process.env.FILTER_RULES_FILE || DEFAULT_RULES_FILE) {
+    const content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+    const filter = new ContentFilter(content.rules || []);
+    console.log(`[Filter] Loaded ${filter.rules.length} rules from ${filePath}`);
+    return filter;
+  }
+
+  /**
+   * Evaluates a tweet for a pipeline stage.
+   * @param {object} tweet - Canonical tweet document.
+   * @param {object} [options]
+   * @param {string} [options.stage] - One of STAGES; rules scoped to other stages are skipped.
+   * @param {object} [options.author] - Author document, needed by author and account-age rules.
+   * @returns {{allowed: boolean, matched: string[]}} Verdict with the IDs of the rules that matched.
+   */
+  evaluate(tweet, { stage, author } = {}) {
+    const matched = this.rules
+      .filter((rule) => !stage || !rule.stages || rule.stages.includes(stage))
+      .filter((rule) => rule.match(tweet, author))
+      .map((rule) => rule.id);
+    return { allowed: matched.length === 0, matched };
+  }
+}
@@ -0,0 +1,145 @@
+// context_renderer.mjs
+//
+// Turns the structured context documents built by llm_response_context.mjs
+// (stored on responses as `context_doc`) into prompt text. The document keeps
+// what went into a reply - thread tweets, past interactions, image
+// descriptions, retrieval hits, with their source ids - and a template decides
+// how it reads for a model. The `response` profile names its template with
+// `context_template`; the text is fitted to a token budget with
+// prompt_budget.mjs at render time, so the same document can be rendered for
+// a model with a different window.
+
+import { describeTruncation, estimateTokens, fitSections } from './prompt_budget.mjs';
+import { describeRelationship } from './follow_graph.mjs';
+import { mediaLabel } from './vision.mjs';
+
+// Bump when the shape of context_doc changes
+export const CONTEXT_SCHEMA_VERSION = 2;
+
+// Reply wrapper generate_responses.mjs puts around the context (date and instructions)
+export const RESPONSE_TEMPLATE_TOKENS = 64;
+
+function speaker(doc, message, style) {
+  if (message.role === 'self') return style === 'compact' ? 'Me' : `Me (${doc.account.username})`;
+  if (message.role === 'author') return `@${doc.author.username}`;
+  return style === 'compact' ? 'Other' : `Other (${message.author_id})`;
+}
+
+function historyUnit(entry) {
+  return `Previous Interaction:\nTweet Context: ${entry.tweet_text}\nOur Response: ${entry.response}`;
+}
+
+// Documents before schema 2 only held photos, without a media type
+function visionUnit(entry) {
+  return entry.media_type ? `[${mediaLabel(entry)}] ${entry.description}` : entry.description;
+}
+
+function relatedUnit(entry) {
+  const on = (date) => (date ? ` on ${new Date(date).toDateString()}` : '');
+  return entry.kind === 'exchange'
+    ? `Exchange with @${entry.author_username || 'Unknown'}${on(entry.posted_at)}:\nTheir Tweet: ${entry.tweet_text}\nOur Response: ${entry.response}`
+    : `Earlier post by this user${on(entry.created_at)}: ${entry.text}`;
+}
+
+/**
+ * Prompt layouts. Each gives the intro line and section headers; sections
+ * appear in `order` and are left out when empty.
+ */
+export const TEMPLATES = {
+  // The layout the context builder has always produced
+  default: {
+    intro: (doc) =>
+      `Analyze the following context involving @${doc.author.username} (ID: ${doc.author.id}, Name: ${doc.author.name || 'N/A'}) and prepare a response.`,
+    relationship: (doc) => `Follow relationship with @${doc.author.username}: ${describeRelationship(doc.relationship)}.`,
+    headers: (doc) => ({
+      history: '--- Recent Interaction History ---\nRecent Interactions with this user:',
+      related: '--- Related Past Exchanges ---\nEarlier conversations and posts on similar subjects:',
+      thread: `--- Current Conversation Thread --- \n${doc.thread.note ? `(${doc.thread.note})\n` : ''}`.trimEnd(),
+      vision: '--- Media Analysis --- \nImage and Video Descriptions:',
+      target: `--- Target Tweet to Respond To (@${doc.author.username}) --- `
+    }),
+    order: ['history', 'related', 'thread', 'vision', 'target']
+  },
+  // Shorter headers and speaker labels for small local models
+  compact: {
+    intro: (doc) => `Reply to @${doc.author.username}.`,
+    relationship: (doc) => `Relationship: ${describeRelationship(doc.relationship)}.`,
+    headers: (doc) => ({
+      history: 'Past replies to them:',
+      related: 'Related past exchanges:',
+      thread: `Thread${doc.thread.note ? ` (${doc.thread.note})` : ''}:`,
+      vision: 'Media:',
+      target: 'Tweet:'
+    }),
+    order: ['thread', 'vision', 'history', 'related', 'target'],
+    style: 'compact'
+  }
+};
+
+/**
+ * Renders a context document as prompt text within a token budget.
+ * @param {object} doc - A context_doc from the context builder.
+ * @param {object} [options]
+ * @param {string} [options.template] - Key of TEMPLATES.
+ * @param {number} [options.budgetTokens] - Tokens the text may take; unlimited when omitted.
+ * @returns {{text: string, tokens: number, report: Array}} report comes from fitSections().
+ * @throws {Error} For an unknown template.
+ */
+export function renderContext(doc, { template = 'default', budgetTokens = Infinity } = {}) {
+  const layout = TEMPLATES[template];
+  if (!layout) throw new Error(`[Context] Unknown context template: ${template}`);
+
+  const intro = layout.intro(doc);
+  const relationshipLine = doc.relationship ? layout.relationship(doc) : null;
+  const headers = layout.headers(doc);
+  const fixedTokens = estimateTokens([intro, relationshipLine, ...Object.values(headers)].filter(Boolean).join('\n\n'));
+
+  const { texts, report } = fitSections(
+    [
+      { name: 'target', units: [doc.target.text] },
+      {
+        name: 'thread',
+        units: doc.thread.messages.map((m) => (m.separator ? m.text : `${speaker(doc, m, layout.style)}: ${m.text}`)),
+        keep: 'tail',
+        noun: 'messages'
+      },
+      { name: 'vision', units: doc.vision.map(visionUnit), noun: 'media descriptions' },
+      { name: 'history', units: doc.history.map(historyUnit), joiner: '\n---\n', noun: 'interactions' },
+      { name: 'related', units: doc.related.map(relatedUnit), joiner: '\n---\n', noun: 'related items' }
+    ],
+    budgetTokens - fixedTokens
+  );
+  const truncation = describeTruncation(report);
+  if (truncation) console.log(`  Prompt budget (${budgetTokens} tokens): cut ${truncation}`);
+
+  const text = [
+    intro,
+    relationshipLine,
+    ...layout.order.map((name) => (texts[name] ? `${headers[name]}\n${texts[name]}` : null))
+  ]
+    .filter(Boolean)
+    .join('\n\n');
+  return { text, tokens: estimateTokens(text), report };
+}
+
+/**
+ * What a reply was built from, by source, for the dashboard and the API.
+ * @param {object} doc - A context_doc.
+ * @returns {object} { schema_version, builder, built_at, author, target_tweet_id, thread_tweet_ids, thread_note,
+ *   history_tweet_ids, related, images, relationship }
+ */
+export function contextProvenance(doc) {
+  return {
+    schema_version: doc.schema_version,
+    builder: doc.builder,
+    built_at: doc.built_at,
+    author: doc.author,
+    target_tweet_id: doc.target.tweet_id,
+    thread_tweet_ids: doc.thread.messages.filter((m) => m.tweet_id).map((m) => m.tweet_id),
+    thread_note: doc.thread.note || null,
+    history_tweet_ids: doc.history.map((h) => h.tweet_id),
+    related: doc.related.map(({ kind, tweet_id, score }) => ({ kind, tweet_id, score })),
+    images: doc.vision.map(({ url, media_type, source, cached, failed }) => ({ url, media_type: media_type || 'photo', source, cached, failed })),
+    relationship: doc.relationship
+  };
+}
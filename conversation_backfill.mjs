@@ -0,0 +1,272 @@
+// conversation_backfill.mjs
+//
+// Assembles whole conversation trees: walks a conversation up to its root,
+// down to its descendants and across to quoted tweets, within a per-conversation
+// budget. Completeness is recorded in the `conversations` collection so the
+// context builder knows whether it is seeing the whole thread.
+
+import { compareTweetIds } from './tweet_sources.mjs';
+
+const DEFAULT_LIMITS = {
+  maxDepth: 25, // reply hops followed upwards from the newest tweets
+  maxTweets: 200, // conversation size budget (stored + fetched)
+  maxQuotes: 10, // quoted tweets fetched per conversation
+  batchSize: 10, // conversations per run
+  lookbackDays: 3, // only conversations with recent tweets are candidates
+  retryMinutes: 15, // incomplete conversations are retried after this long
+  refreshMinutes: 6 * 60 // complete conversations are re-checked for new descendants
+};
+
+const MINUTE_MS = 60 * 1000;
+
+function newestOf(...ids) {
+  return ids.filter(Boolean).reduce((newest, id) => (!newest || compareTweetIds(id, newest) > 0 ? id : newest), null);
+}
+
+function referencedIds(tweet, type) {
+  return (tweet.referenced_tweets || []).filter((ref) => ref.type === type).map((ref) => ref.id);
+}
+
+/**
+ * Backfills conversations through a source adapter and records their completeness.
+ */
+export class ConversationBackfillService {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} options
+   * @param {TweetSource} options.source - Adapter used for fetchTweet/fetchConversation.
+   * @param {Function} options.storeTweets - (tweets, includes) => Promise; the scraper's store path.
+   * @param {Array<object>} options.botUsers - { id, username } of each bot account, to pick relevant conversations.
+   * @param {object} [options.limits] - Overrides for DEFAULT_LIMITS.
+   */
+  constructor(db, { source, storeTweets, botUsers, limits = {} }) {
+    this.db = db;
+    this.source = source;
+    this.storeTweets = storeTweets;
+    this.botUsers = botUsers;
+    this.limits = {
+      ...DEFAULT_LIMITS,
+      ...Object.fromEntries(Object.entries(limits).filter(([, value]) => value !== undefined))
+    };
+    this.tweetsCollection = db.collection('tweets');
+    this.conversationsCollection = db.collection('conversations');
+  }
+
+  /**
+   * Backfills the next batch of candidate conversations.
+   */
+  async run() {
+    const candidates = await this.findCandidates();
+    console.log(`[ConversationBackfill] ${candidates.length} conversations to backfill`);
+    for (const conversationId of candidates) {
+      try {
+        await this.backfillConversation(conversationId);
+      } catch (error) {
+        console.error(`[ConversationBackfill] Error backfilling conversation ${conversationId}:`, error);
+      }
+    }
+  }
+
+  /**
+   * Finds conversations the bot may reply in (mentions, replies to the bot,
+   * tracked topics) that have no completeness record or are due a re-check.
+   * @returns {Promise<string[]>} Conversation IDs, most recently active first.
+   */
+  async findCandidates() {
+    const since = new Date(Date.now() - this.limits.lookbackDays * 24 * 60 * MINUTE_MS);
+    const pipeline = [
+      {
+        $match: {
+          conversation_id: { $exists: true },
+          created_at: { $gte: since },
+          $or: [
+            { streams: 'mentions' },
+            { streams: { $regex: '^topic:' } },
+            { in_reply_to_user_id: { $in: this.botUsers.map((user) => user.id) } },
+            { 'entities.mentions.username': { $in: this.botUsers.map((user) => user.username) } }
+          ]
+        }
+      },
+      { $group: { _id: '$conversation_id', latest: { $max: '$created_at' } } },
+      {
+        $lookup: {
+          from: 'conversations',
+          localField: '_id',
+          foreignField: 'conversation_id',
+          as: 'record'
+        }
+      },
+      { $match: { $or: [{ record: { $size: 0 } }, { 'record.next_backfill_at': { $lte: new Date() } }] } },
+      { $sort: { latest: -1 } },
+      { $limit: this.limits.batchSize }
+    ];
+    const results = await this.tweetsCollection.aggregate(pipeline).toArray();
+    return results.map((result) => result._id);
+  }
+
+  /**
+   * Fetches missing ancestors, descendants and quoted tweets for one
+   * conversation, then records its completeness.
+   * @param {string} conversationId
+   * @returns {Promise<object>} The stored completeness record.
+   */
+  async backfillConversation(conversationId) {
+    const record = await this.conversationsCollection.findOne({ conversation_id: conversationId });
+    const unavailable = new Set(record?.unavailable_ids || []);
+    const known = new Map(
+      (await this.tweetsCollection.find({ conversation_id: conversationId }).toArray()).map((t) => [t.id, t])
+    );
+    const budget = { fetched: 0, truncated: false };
+
+    // Descendants are searched again from the newest one a complete earlier search returned
+    const sinceId = record?.descendants_fetched && !record.truncated ? record.newest_descendant_id : null;
+    const { fetched: descendantsFetched, newestId } = await this._fetchDescendants(conversationId, known, budget, sinceId);
+    const depthReached = await this._fetchAncestors(conversationId, known, unavailable, budget);
+    const missingQuotedIds = await this._fetchQuotes(known, unavailable);
+
+    const missingParentIds = [...known.values()]
+      .flatMap((tweet) => referencedIds(tweet, 'replied_to'))
+      .filter((id) => !known.has(id));
+    const hasRoot = known.has(conversationId);
+    const complete = hasRoot && descendantsFetched && missingParentIds.length === 0 && !budget.truncated && !depthReached;
+
+    const completeness = {
+      conversation_id: conversationId,
+      root_tweet_id: conversationId,
+      has_root: hasRoot,
+      tweet_count: known.size,
+      missing_parent_ids: [...new Set(missingParentIds)],
+      missing_quoted_ids: missingQuotedIds,
+      unavailable_ids: [...unavailable],
+      descendants_fetched: descendantsFetched,
+      newest_descendant_id: newestId,
+      depth_limit_reached: depthReached,
+      truncated: budget.truncated,
+      complete,
+      last_backfill_at: new Date(),
+      next_backfill_at: new Date(
+        Date.now() + (complete ? this.limits.refreshMinutes : this.limits.retryMinutes) * MINUTE_MS
+      )
+    };
+    await this.conversationsCollection.updateOne(
+      { conversation_id: conversationId },
+      { $set: completeness },
+      { upsert: true }
+    );
+
+    console.log(
+      `[ConversationBackfill] Conversation ${conversationId}: ${known.size} tweets, ` +
+        `${complete ? 'complete' : `incomplete (${completeness.missing_parent_ids.length} parents missing${hasRoot ? '' : ', no root'}${descendantsFetched ? '' : ', descendants not fetched'})`}`
+    );
+    return completeness;
+  }
+
+  // Stores a page plus the referenced tweets it carries in includes.tweets
+  async _storePage(page, conversationId, known) {
+    if (page.data.length) await this.storeTweets(page.data, page.includes);
+    if (page.includes?.tweets?.length) await this.storeTweets(page.includes.tweets, page.includes);
+
+    const ids = [...page.data, ...(page.includes?.tweets || [])].map((t) => t.id);
+    if (!ids.length) return;
+    // Re-read so only tweets that passed the filter count as known
+    const stored = await this.tweetsCollection.find({ id: { $in: ids } }).toArray();
+    for (const tweet of stored) {
+      if (!known.has(tweet.id) && tweet.conversation_id === conversationId) {
+        known.set(tweet.id, tweet);
+      }
+    }
+  }
+
+  // Returns whether the search ran to the end, and the newest descendant ID seen
+  async _fetchDescendants(conversationId, known, budget, sinceId) {
+    let paginationToken = null;
+    let newestId = sinceId;
+    try {
+      do {
+        const page = await this.source.fetchConversation(conversationId, { sinceId, paginationToken });
+        budget.fetched += page.data.length;
+        newestId = newestOf(newestId, page.meta.newest_id, ...page.data.map((tweet) => tweet.id));
+        await this._storePage(page, conversationId, known);
+        paginationToken = page.meta.next_token || null;
+        if (paginationToken && known.size >= this.limits.maxTweets) {
+          budget.truncated = true;
+          break;
+        }
+      } while (paginationToken);
+      return { fetched: true, newestId };
+    } catch (error) {
+      console.warn(`[ConversationBackfill] Could not fetch descendants of ${conversationId}: ${error.message}`);
+      return { fetched: false, newestId: sinceId };
+    }
+  }
+
+  // Walks replied_to references level by level; returns true if maxDepth stopped the walk
+  async _fetchAncestors(conversationId, known, unavailable, budget) {
+    const wanted = (tweets) =>
+      [...new Set(tweets.flatMap((tweet) => referencedIds(tweet, 'replied_to')))].filter(
+        (id) => !known.has(id) && !unavailable.has(id)
+      );
+
+    let frontier = wanted([...known.values()]);
+    if (!known.has(conversationId) && !unavailable.has(conversationId)) frontier.push(conversationId);
+    frontier = [...new Set(frontier)];
+
+    for (let depth = 0; frontier.length; depth++) {
+      if (depth >= this.limits.maxDepth) return true;
+      const fetchedTweets = [];
+      for (const tweetId of frontier) {
+        if (known.size >= this.limits.maxTweets) {
+          budget.truncated = true;
+          return false;
+        }
+        const tweet = await this._fetchOne(tweetId, known, unavailable);
+        if (tweet) fetchedTweets.push(tweet);
+        budget.fetched++;
+      }
+      frontier = wanted(fetchedTweets);
+    }
+    return false;
+  }
+
+  // Fetches quoted tweets that aren't stored yet; returns the IDs still missing
+  async _fetchQuotes(known, unavailable) {
+    const quotedIds = [...new Set([...known.values()].flatMap((tweet) => referencedIds(tweet, 'quoted')))];
+    if (!quotedIds.length) return [];
+
+    const stored = new Set(
+      (await this.tweetsCollection.find({ id: { $in: quotedIds } }, { projection: { id: 1 } }).toArray()).map((t) => t.id)
+    );
+    const missing = quotedIds.filter((id) => !stored.has(id) && !unavailable.has(id));
+
+    const stillMissing = [];
+    for (const [index, tweetId] of missing.entries()) {
+      if (index >= this.limits.maxQuotes) {
+        stillMissing.push(tweetId);
+        continue;
+      }
+      // Quoted tweets usually belong to another conversation, so they aren't added to `known`
+      const tweet = await this._fetchOne(tweetId, new Map(), unavailable);
+      if (!tweet) stillMissing.push(tweetId);
+    }
+    return stillMissing;
+  }
+
+  async _fetchOne(tweetId, known, unavailable) {
+    try {
+      const page = await this.source.fetchTweet(tweetId);
+      if (page?.data?.length) {
+        await this.storeTweets(page.data, page.includes);
+        const stored = await this.tweetsCollection.findOne({ id: tweetId });
+        if (stored) {
+          known.set(stored.id, stored);
+          return stored;
+        }
+      }
+      // Not returned by the source, or dropped by the filter: don't ask again
+      unavailable.add(tweetId);
+    } catch (error) {
+      console.error(`[ConversationBackfill] Error fetching tweet ${tweetId}:`, error.message);
+    }
+    return null;
+  }
+}
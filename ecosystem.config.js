@@ -7,6 +7,11 @@ module.exports = {
       cron_restart: '*/15 * * * *', // Every 15 minutes
       watch: false,
     },
+    {
+      name: 'webhook',
+      script: './webhook_server.mjs',
+      watch: false,
+    },
     {
       name: 'llm_response_context',
       script: './llm_response_context.mjs',
@@ -31,5 +36,12 @@ module.exports = {
       cron_restart: '0 0 * * *', // Every day at midnight
       watch: false,
     },
+    {
+      name: 'retention',
+      script: './retention.mjs',
+      cron_restart: '0 3 * * *', // Every day at 3am
+      autorestart: false, // One-shot: exits after archiving
+      watch: false,
+    },
   ],
 };
\ No newline at end of file
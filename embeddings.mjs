@@ -0,0 +1,287 @@
+// embeddings.mjs
+//
+// Embeddings index over past exchanges and author tweets, used by the context
+// builder to recall related conversations beyond the last few interactions.
+// Vectors are stored on the documents themselves:
+//   responses.embedding - { model, vector, indexed_at } of the tweet we answered plus our reply
+//   tweets.embedding    - { model, vector, indexed_at } of the tweet text
+// Only vectors from the current provider's model are compared, so switching
+// providers re-indexes documents as they come up.
+//
+// EMBEDDING_PROVIDER picks the provider:
+//   local - deterministic feature hashing, no model calls (default; also for tests)
+//   llm   - the 'embedding' profile of llm_gateway.mjs
+
+import { llm } from './llm_gateway.mjs';
+
+const DEFAULT_DIMENSIONS = 256;
+
+const DEFAULT_LIMITS = {
+  batchSize: 100, // documents embedded per call and per indexing pass
+  candidateLimit: 2000, // newest embedded documents scored per query
+  k: 3,
+  minScore: 0.35
+};
+
+// FNV-1a, for stable feature hashing across processes
+function hash32(text) {
+  let hash = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    hash ^= text.charCodeAt(i);
+    hash = Math.imul(hash, 0x01000193);
+  }
+  return hash >>> 0;
+}
+
+function normalize(vector) {
+  const norm = Math.sqrt(vector.reduce((sum, value) => sum + value * value, 0));
+  return norm ? vector.map((value) => value / norm) : vector;
+}
+
+/**
+ * Cosine similarity of two vectors of the same length.
+ * @param {number[]} a
+ * @param {number[]} b
+ * @returns {number} Between -1 and 1; 0 when either vector is empty.
+ */
+export function cosineSimilarity(a, b) {
+  if (!a?.length || a.length !== b?.length) return 0;
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  for (let i = 0; i < a.length; i++) {
+    dot += a[i] * b[i];
+    normA += a[i] * a[i];
+    normB += b[i] * b[i];
+  }
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Deterministic stand-in for an embedding model: words and word pairs are
+ * hashed into a fixed number of signed buckets. Similar wording gives similar
+ * vectors; meaning does not. Needs no network and gives the same vectors on
+ * every run, which is what tests want.
+ */
+export class LocalHashEmbeddingProvider {
+  constructor({ dimensions = DEFAULT_DIMENSIONS } = {}) {
+    this.dimensions = dimensions;
+    this.model = `local-hash-${dimensions}`;
+  }
+
+  _vector(text) {
+    const vector = new Array(this.dimensions).fill(0);
+    const words = (text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, ' ')
+      .match(/[@#$]?[\p{L}\p{N}_']+/gu) || [];
+    const features = [...words, ...words.slice(1).map((word, i) => `${words[i]} ${word}`)];
+    for (const feature of features) {
+      const hash = hash32(feature);
+      vector[hash % this.dimensions] += hash & 0x80000000 ? -1 : 1;
+    }
+    return normalize(vector);
+  }
+
+  /**
+   * @param {string[]} texts
+   * @returns {Promise<{model: string, vectors: number[][]}>}
+   */
+  async embed(texts) {
+    return { model: this.model, vectors: texts.map((text) => this._vector(text)) };
+  }
+}
+
+/**
+ * Embeddings from a model through the LLM gateway, logged in `llm_calls`.
+ */
+export class GatewayEmbeddingProvider {
+  constructor({ profile = 'embedding', gateway = llm } = {}) {
+    this.profile = profile;
+    this.gateway = gateway;
+    this.model = null; // known after the first call
+  }
+
+  async embed(texts) {
+    const { vectors, model } = await this.gateway.embed(this.profile, texts, { caller: 'embeddings' });
+    this.model = model;
+    return { model, vectors };
+  }
+}
+
+/**
+ * Provider named by EMBEDDING_PROVIDER ('local' or 'llm').
+ * @param {string} [name]
+ * @returns {LocalHashEmbeddingProvider|GatewayEmbeddingProvider}
+ */
+export function createEmbeddingProvider(name = process.env.EMBEDDING_PROVIDER || 'local') {
+  switch (name.toLowerCase()) {
+    case 'local':
+      return new LocalHashEmbeddingProvider({ dimensions: parseInt(process.env.EMBEDDING_DIMENSIONS || DEFAULT_DIMENSIONS, 10) });
+    case 'llm':
+      return new GatewayEmbeddingProvider();
+    default:
+      throw new Error(`[Embeddings] Unknown embedding provider: ${name}`);
+  }
+}
+
+/**
+ * The text an exchange is embedded and shown as.
+ * @param {object} response - Response document with tweet_text and response.
+ * @returns {string}
+ */
+export function exchangeText(response) {
+  return `${response.tweet_text || ''}\n${response.response || ''}`.trim();
+}
+
+/**
+ * Indexes and searches embeddings stored on responses and tweets.
+ */
+export class EmbeddingIndex {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} [options]
+   * @param {object} [options.provider] - Embedding provider; defaults to createEmbeddingProvider().
+   * @param {object} [options.limits] - Overrides for DEFAULT_LIMITS.
+   */
+  constructor(db, { provider = createEmbeddingProvider(), limits = {} } = {}) {
+    this.db = db;
+    this.provider = provider;
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.responsesCollection = db.collection('responses');
+    this.tweetsCollection = db.collection('tweets');
+  }
+
+  // Documents without a vector from the current model
+  _pendingFilter() {
+    return this.provider.model
+      ? { 'embedding.model': { $ne: this.provider.model } }
+      : { embedding: { $exists: false } };
+  }
+
+  /**
+   * Embeds the next batch of posted responses and of tweets from the reply
+   * pipeline (mentions, conversations, tweets we built context for) and from
+   * the timelines of authors we answered, newest first.
+   * @returns {Promise<{responses: number, tweets: number}>} Documents indexed.
+   */
+  async indexPending() {
+    const responses = await this.responsesCollection
+      .find(
+        { posted: true, response: { $exists: true }, ...this._pendingFilter() },
+        { projection: { _id: 1, tweet_id: 1, tweet_text: 1, response: 1 } }
+      )
+      .sort({ posted_at: -1 })
+      .limit(this.limits.batchSize)
+      .toArray();
+    if (responses.length) {
+      // Keep the answered tweet's text on the response; retention may delete the tweet later
+      const missing = responses.filter((r) => !r.tweet_text).map((r) => r.tweet_id);
+      const tweets = missing.length
+        ? await this.tweetsCollection.find({ id: { $in: missing } }, { projection: { id: 1, text: 1 } }).toArray()
+        : [];
+      const textById = new Map(tweets.map((t) => [t.id, t.text]));
+      responses.forEach((r) => { r.tweet_text ||= textById.get(r.tweet_id) || ''; });
+
+      const { model, vectors } = await this.provider.embed(responses.map(exchangeText));
+      const indexedAt = new Date();
+      await this.responsesCollection.bulkWrite(
+        responses.map((r, i) => ({
+          updateOne: {
+            filter: { _id: r._id },
+            update: { $set: { tweet_text: r.tweet_text, embedding: { model, vector: vectors[i], indexed_at: indexedAt } } }
+          }
+        })),
+        { ordered: false }
+      );
+    }
+
+    // Authors we have responses for; their fetched timelines feed similarAuthorTweets()
+    const respondedAuthorIds = await this.responsesCollection.distinct('author_id', { author_id: { $exists: true } });
+    const tweets = await this.tweetsCollection
+      .find(
+        {
+          $or: [
+            { 'processing_status.llm_context': true },
+            { streams: { $in: ['mentions', 'conversation'] } },
+            { author_id: { $in: respondedAuthorIds } }
+          ],
+          'processing_status.filtered_by': { $exists: false },
+          text: { $exists: true },
+          ...this._pendingFilter()
+        },
+        { projection: { _id: 1, text: 1 } }
+      )
+      .sort({ created_at: -1 })
+      .limit(this.limits.batchSize)
+      .toArray();
+    if (tweets.length) {
+      const { model, vectors } = await this.provider.embed(tweets.map((t) => t.text));
+      const indexedAt = new Date();
+      await this.tweetsCollection.bulkWrite(
+        tweets.map((t, i) => ({
+          updateOne: { filter: { _id: t._id }, update: { $set: { embedding: { model, vector: vectors[i], indexed_at: indexedAt } } } }
+        })),
+        { ordered: false }
+      );
+    }
+
+    console.log(`[Embeddings] Indexed ${responses.length} responses and ${tweets.length} tweets with ${this.provider.model}`);
+    return { responses: responses.length, tweets: tweets.length };
+  }
+
+  /**
+   * Past exchanges of an account most similar to a text, with any author.
+   * @param {string} text - Usually the tweet being answered.
+   * @param {object} options
+   * @param {string} options.accountId
+   * @param {string[]} [options.excludeTweetIds] - Exchanges already in the prompt.
+   * @param {number} [options.k]
+   * @param {number} [options.minScore]
+   * @returns {Promise<Array<{score: number, response: object}>>} Best first.
+   */
+  async similarExchanges(text, { accountId, excludeTweetIds = [], k = this.limits.k, minScore = this.limits.minScore }) {
+    const matches = await this._search(
+      this.responsesCollection,
+      text,
+      { account_id: accountId, tweet_id: { $nin: excludeTweetIds } },
+      { projection: { tweet_id: 1, tweet_text: 1, response: 1, author_id: 1, author_username: 1, posted_at: 1 }, sort: { posted_at: -1 } },
+      { k, minScore }
+    );
+    return matches.map(({ score, doc: response }) => ({ score, response }));
+  }
+
+  /**
+   * An author's stored tweets most similar to a text.
+   * @param {string} text
+   * @param {string} authorId
+   * @param {object} [options] - { excludeIds, k, minScore }
+   * @returns {Promise<Array<{score: number, tweet: object}>>} Best first.
+   */
+  async similarAuthorTweets(text, authorId, { excludeIds = [], k = this.limits.k, minScore = this.limits.minScore } = {}) {
+    const matches = await this._search(
+      this.tweetsCollection,
+      text,
+      { author_id: authorId, id: { $nin: excludeIds } },
+      { projection: { id: 1, text: 1, created_at: 1 }, sort: { created_at: -1 } },
+      { k, minScore }
+    );
+    return matches.map(({ score, doc: tweet }) => ({ score, tweet }));
+  }
+
+  // Scores the newest candidates with a vector from the current model
+  async _search(collection, text, filter, { projection, sort }, { k, minScore }) {
+    if (!text?.trim()) return [];
+    const { model, vectors: [query] } = await this.provider.embed([text]);
+    const candidates = await collection
+      .find({ ...filter, 'embedding.model': model }, { projection: { ...projection, 'embedding.vector': 1 } })
+      .sort(sort)
+      .limit(this.limits.candidateLimit)
+      .toArray();
+    return candidates
+      .map(({ embedding, ...doc }) => ({ score: cosineSimilarity(query, embedding.vector), doc }))
+      .filter((match) => match.score >= minScore)
+      .sort((a, b) => b.score - a.score)
+      .slice(0, k);
+  }
+}
@@ -0,0 +1,233 @@
+// follow_graph.mjs
+//
+// Keeps the bot's follow graph in MongoDB. The `following` and `followers`
+// collections hold one document per bot account and followed/following user
+// with first/last-seen times and an `active` flag; every change found by a
+// sync is appended to `follow_events`. The context builder and the responder
+// read relationships from here.
+
+import { normalizeAuthor } from './normalize.mjs';
+import { DEFAULT_ACCOUNT_ID } from './accounts.mjs';
+
+export const RELATIONS = ['following', 'followers'];
+
+const DEFAULT_MAX_PAGES = 20; // 1000 accounts per page
+
+/**
+ * Syncs and queries the bot's following/followers lists.
+ */
+export class FollowGraphService {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} [options]
+   * @param {TweetSource} [options.source] - Adapter with listFollowing/listFollowers; only needed for sync().
+   * @param {number} [options.maxPages] - Page cap per list; a capped list is stored but not diffed.
+   * @param {string} [options.accountId] - Bot account whose graph this is.
+   */
+  constructor(db, { source = null, maxPages = DEFAULT_MAX_PAGES, accountId = DEFAULT_ACCOUNT_ID } = {}) {
+    this.db = db;
+    this.source = source;
+    this.maxPages = maxPages;
+    this.accountId = accountId;
+    this.eventsCollection = db.collection('follow_events');
+  }
+
+  /**
+   * Pages through both lists of a user and records what changed.
+   * @param {object} user - The bot account's X user ({ id, username }).
+   * @returns {Promise<object>} { following: {...}, followers: {...} } sync summaries.
+   */
+  async sync(user) {
+    const summary = {};
+    for (const relation of RELATIONS) {
+      try {
+        summary[relation] = await this.syncRelation(user, relation);
+      } catch (error) {
+        console.error(`[FollowGraph] Error syncing ${relation}:`, error);
+        summary[relation] = { error: error.message };
+      }
+    }
+    return summary;
+  }
+
+  /**
+   * Syncs one list. Accounts seen are upserted as active; once the whole list
+   * has been paged through, accounts no longer in it are marked inactive.
+   * The first sync of a list sets the baseline and records no events.
+   * @param {object} user - The bot user.
+   * @param {'following' | 'followers'} relation
+   * @returns {Promise<{total: number, added: number, removed: number, complete: boolean}>}
+   */
+  async syncRelation(user, relation) {
+    const collection = this.db.collection(relation);
+    const scope = { account_id: this.accountId };
+    const isBaseline = (await collection.countDocuments(scope, { limit: 1 })) === 0;
+    const previouslyActive = new Set(
+      (await collection.find({ ...scope, active: { $ne: false } }, { projection: { id: 1 } }).toArray()).map(
+        (doc) => doc.id
+      )
+    );
+
+    const seen = new Map();
+    let paginationToken = null;
+    let pages = 0;
+    do {
+      const page =
+        relation === 'following'
+          ? await this.source.listFollowing(user.id, { paginationToken })
+          : await this.source.listFollowers(user.id, { paginationToken });
+      page.data.forEach((account) => seen.set(account.id, account));
+      paginationToken = page.meta.next_token || null;
+      pages++;
+    } while (paginationToken && pages < this.maxPages);
+    const complete = !paginationToken;
+
+    const now = new Date();
+    if (seen.size) {
+      await collection.bulkWrite(
+        [...seen.values()].map((account) => ({
+          updateOne: {
+            filter: { ...scope, id: account.id },
+            update: {
+              $set: { ...scope, id: account.id, username: account.username, name: account.name, active: true, last_seen_at: now },
+              $setOnInsert: { first_seen_at: now },
+              $unset: { unfollowed_at: '' }
+            },
+            upsert: true
+          }
+        })),
+        { ordered: false }
+      );
+      // The list responses carry full user objects, so keep authors fresh too
+      await this.db.collection('authors').bulkWrite(
+        [...seen.values()].map((account) => ({
+          updateOne: {
+            filter: { id: account.id },
+            update: { $set: { ...normalizeAuthor(account), lastFetched: now } },
+            upsert: true
+          }
+        })),
+        { ordered: false }
+      );
+    }
+
+    const added = [...seen.keys()].filter((id) => !previouslyActive.has(id));
+    // Without the full list, a missing account may just be on an unread page
+    const removed = complete ? [...previouslyActive].filter((id) => !seen.has(id)) : [];
+    if (removed.length) {
+      await collection.updateMany({ ...scope, id: { $in: removed } }, { $set: { active: false, unfollowed_at: now } });
+    }
+
+    if (!isBaseline) {
+      await this._recordEvents(relation, 'follow', added.map((id) => seen.get(id)), now);
+      const removedDocs = removed.length
+        ? await collection.find({ ...scope, id: { $in: removed } }, { projection: { id: 1, username: 1 } }).toArray()
+        : [];
+      await this._recordEvents(relation, 'unfollow', removedDocs, now);
+    }
+
+    console.log(
+      `[FollowGraph] ${this.accountId} ${relation}: ${seen.size} accounts, +${added.length} -${removed.length}` +
+        `${complete ? '' : ` (stopped after ${pages} pages)`}${isBaseline ? ' (baseline)' : ''}`
+    );
+    return { total: seen.size, added: added.length, removed: removed.length, complete };
+  }
+
+  /**
+   * Applies one follow or unfollow pushed by the Account Activity webhook
+   * instead of waiting for the next sync. Events that don't change the stored
+   * state (e.g. a repeated delivery) are ignored.
+   * @param {'following' | 'followers'} relation
+   * @param {'follow' | 'unfollow'} event
+   * @param {object} user - The other account ({ id, username, name }).
+   * @param {Date} [detectedAt]
+   * @returns {Promise<boolean>} Whether the event changed the graph.
+   */
+  async applyEvent(relation, event, user, detectedAt = new Date()) {
+    const collection = this.db.collection(relation);
+    const filter = { account_id: this.accountId, id: user.id };
+    const current = await collection.findOne(filter, { projection: { active: 1 } });
+    const wasActive = Boolean(current) && current.active !== false;
+
+    if (event === 'follow') {
+      if (wasActive) return false;
+      await collection.updateOne(
+        filter,
+        {
+          $set: { ...filter, username: user.username, name: user.name, active: true, last_seen_at: detectedAt },
+          $setOnInsert: { first_seen_at: detectedAt },
+          $unset: { unfollowed_at: '' }
+        },
+        { upsert: true }
+      );
+    } else {
+      if (!wasActive) return false;
+      await collection.updateOne(filter, { $set: { active: false, unfollowed_at: detectedAt } });
+    }
+    await this._recordEvents(relation, event, [user], detectedAt);
+    console.log(`[FollowGraph] ${this.accountId} ${relation}: ${event} @${user.username} (webhook)`);
+    return true;
+  }
+
+  /**
+   * Follow relationship between the bot and one account.
+   * @param {string} userId
+   * @returns {Promise<{following: boolean, followed_by: boolean, mutual: boolean}>}
+   */
+  async getRelationship(userId) {
+    return (await this.getRelationships([userId])).get(userId);
+  }
+
+  /**
+   * Follow relationships for several accounts with one query per list.
+   * @param {string[]} userIds
+   * @returns {Promise<Map<string, {following: boolean, followed_by: boolean, mutual: boolean}>>}
+   */
+  async getRelationships(userIds) {
+    const ids = [...new Set(userIds.filter(Boolean))];
+    const activeIds = async (relation) =>
+      new Set(
+        (
+          await this.db
+            .collection(relation)
+            .find({ account_id: this.accountId, id: { $in: ids }, active: { $ne: false } }, { projection: { id: 1 } })
+            .toArray()
+        ).map((doc) => doc.id)
+      );
+    const [following, followers] = await Promise.all([activeIds('following'), activeIds('followers')]);
+
+    return new Map(
+      userIds.map((id) => {
+        const relationship = { following: following.has(id), followed_by: followers.has(id) };
+        return [id, { ...relationship, mutual: relationship.following && relationship.followed_by }];
+      })
+    );
+  }
+
+  async _recordEvents(relation, event, accounts, detectedAt) {
+    if (!accounts.length) return;
+    await this.eventsCollection.insertMany(
+      accounts.map((account) => ({
+        account_id: this.accountId,
+        relation,
+        event,
+        user_id: account.id,
+        username: account.username,
+        detected_at: detectedAt
+      }))
+    );
+  }
+}
+
+/**
+ * Describes a relationship for an LLM prompt.
+ * @param {{following: boolean, followed_by: boolean, mutual: boolean}} relationship
+ * @returns {string}
+ */
+export function describeRelationship(relationship) {
+  if (!relationship) return 'unknown';
+  if (relationship.mutual) return 'mutual follow';
+  if (relationship.following) return 'we follow them, they do not follow us';
+  if (relationship.followed_by) return 'they follow us, we do not follow them';
+  return 'no follow relationship';
+}
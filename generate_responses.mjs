@@ -3,19 +3,19 @@ import dotenv from 'dotenv';
 dotenv.config();
 
 import { MongoClient } from 'mongodb';
-import { OpenAI } from 'openai';
-import fs from 'fs/promises';
-import path from 'path';
 import process from 'process';
-const __dirname = path.resolve();
+import { STAGES } from './content_filter.mjs';
+import { loadAccountFilter, loadAccounts, loadPersona, resolveAccountIds } from './accounts.mjs';
+import { llm } from './llm_gateway.mjs';
+import { describeTruncation, fitSections, promptBudget } from './prompt_budget.mjs';
+import { RESPONSE_TEMPLATE_TOKENS, renderContext } from './context_renderer.mjs';
+import { PIPELINE_STAGES, PipelineFailures } from './pipeline_failures.mjs';
+import { DECISIONS, ReplyDecider, describeDecision } from './reply_decision.mjs';
+import { ReplyThrottle } from './reply_throttle.mjs';
 
 // -----------------------------------------------------------------------
 // Environment variables and constants
 // -----------------------------------------------------------------------
-const TWITTER_USERNAME = process.env.TWITTER_USERNAME || 'theerebusai';
-const TEXT_MODEL = process.env.TEXT_MODEL || 'gpt-3.5-turbo'; // Default to a known model
-const OPENAI_API_URI = process.env.OPENAI_API_URI || 'http://127.0.0.1:11434/v1';
-const OPENAI_API_KEY = process.env.OPENAI_API_KEY || 'your-openai-api-key';
 const MONGODB_URI = process.env.MONGODB_URI || 'mongodb://localhost:27017';
 const DB_NAME = process.env.DB_NAME || 'test_db';
 const NODE_ENV = process.env.NODE_ENV || 'development';
@@ -27,23 +27,14 @@ const CONNECT_RETRY_DELAY_MS = 5000; // 5 seconds between connection retries
 // -----------------------------------------------------------------------
 // Helper function to filter tweets
 // -----------------------------------------------------------------------
-function isTweetValid(text) {
-  // Regex to match links (http:// or https://)
-  const linkRegex = /https?:\/\/\S+/i;
-  // Check if text contains the word "pump" (case-insensitive)
-  const containsPump = text.toLowerCase().includes('pump');
-  
-  return !linkRegex.test(text) && !containsPump;
+function isTweetValid(tweet, contentFilter) {
+  const verdict = contentFilter.evaluate(tweet, { stage: STAGES.AUTHOR_HISTORY });
+  if (!verdict.allowed) {
+    console.log(`[Filter] Leaving out tweet ${tweet.id} (rules: ${verdict.matched.join(', ')})`);
+  }
+  return verdict.allowed;
 }
 
-// -----------------------------------------------------------------------
-// OpenAI client instance
-// -----------------------------------------------------------------------
-const openai = new OpenAI({
-  baseURL: OPENAI_API_URI,
-  apiKey: OPENAI_API_KEY
-});
-
 // -----------------------------------------------------------------------
 // Connect to MongoDB with retries and maintain a single connection
 // -----------------------------------------------------------------------
@@ -97,9 +88,11 @@ async function connectToMongoDB() {
 }
 
 // -----------------------------------------------------------------------
-// Summarize recent tweets
+// Summarize recent tweets. The author's prompt, the built context and the
+// latest tweets always go in; older posts are dropped to fit the
+// 'author_summary' profile's context window.
 // -----------------------------------------------------------------------
-async function summarizeRecentTweets(authorId, systemPrompt, prior) {
+async function summarizeRecentTweets(authorId, systemPrompt, { authorPrompt, recentPosts, tweetContext }, contentFilter) {
   try {
     const tweetsCollection = db.collection('tweets');
     const authorsCollection = db.collection('authors');
@@ -121,14 +114,14 @@ async function summarizeRecentTweets(authorId, systemPrompt, prior) {
       console.warn(`Author with ID ${authorId} not found. Proceeding with fallback author details.`);
     }
 
-    // Fetch recent tweets for the author and filter out tweets with links or "pump"
+    // Fetch recent tweets for the author and drop those caught by the filter rules
     const rawTweets = await tweetsCollection
       .find({ author_id: authorId })
       .sort({ created_at: -1 })
       .limit(10)
       .toArray();
 
-    const authorTweets = rawTweets.filter(tweet => isTweetValid(tweet.text));
+    const authorTweets = rawTweets.filter(tweet => isTweetValid(tweet, contentFilter));
 
     if (authorTweets.length === 0) {
       console.warn(`No valid tweets found for author ID ${authorId}.`);
@@ -141,54 +134,35 @@ async function summarizeRecentTweets(authorId, systemPrompt, prior) {
       context += `Tweet: ${tweet.text}\nDate: ${tweet.created_at}\n\n`;
     }
 
-    let completion = null;
-
-    const MAX_RETRIES = 5;
-    const RETRY_DELAY = 2000; // 2 seconds
-
-    for (let attempt = 1; attempt <= MAX_RETRIES; attempt++) {
-      try {
-        console.log(`Attempt ${attempt} to generate OpenAI completion...`);
-
-        completion = await openai.chat.completions.create({
-          model: TEXT_MODEL,
-          messages: [
-            {
-              role: 'system',
-              content: systemPrompt || 'You are an alien intelligence from the future.'
-            },
-            {
-              role: 'user',
-              content: `${prior} \n\n${context}\n\nSummarize the vibe of the above tweet's author in one or two sentences.`
-            }
-          ],
-          max_tokens: 100,
-          temperature: 0.5
-        });
-
-        if (completion.choices && completion.choices[0] && completion.choices[0].message) {
-          console.log('Successfully generated completion.');
-          console.log(completion.choices[0].message.content.trim());
-          break;
-        } else {
-          console.warn('No valid response received from OpenAI, retrying...');
+    const instruction = "Summarize the vibe of the above tweet's author in one or two sentences.";
+    const budget = await promptBudget('author_summary', {
+      reserved: [systemPrompt || '', authorPrompt, tweetContext, context, instruction]
+    });
+    const { texts, report } = fitSections(
+      [{ name: 'author_posts', units: recentPosts.map((t) => t.text), keep: 'tail', noun: 'posts' }],
+      budget
+    );
+    const truncation = describeTruncation(report);
+    if (truncation) console.log(`Prompt budget (${budget} tokens): cut ${truncation}`);
+    const prior = `${authorPrompt}\n${texts.author_posts}\n${tweetContext}`;
+
+    // Model, retries and fallbacks come from the 'author_summary' profile
+    const { text } = await llm.chat(
+      'author_summary',
+      [
+        {
+          role: 'system',
+          content: systemPrompt || 'You are an alien intelligence from the future.'
+        },
+        {
+          role: 'user',
+          content: `${prior} \n\n${context}\n\n${instruction}`
         }
-      } catch (error) {
-        console.error(`Error on attempt ${attempt} to generate completion:`, error.message);
-      }
-
-      // If not successful, delay before the next attempt
-      if (attempt < MAX_RETRIES) {
-        console.log(`Retrying OpenAI completion in ${RETRY_DELAY / 1000} seconds...`);
-        await new Promise((resolve) => setTimeout(resolve, RETRY_DELAY));
-      }
-    }
-
-    if (!completion || !completion.choices || !completion.choices[0] || !completion.choices[0].message) {
-      throw new Error('Failed to generate OpenAI completion after maximum retries.');
-    }
-
-    return completion.choices[0].message.content.trim();
+      ],
+      { caller: 'generate_responses', metadata: { author_id: authorId } }
+    );
+    console.log(text);
+    return text;
   } catch (error) {
     console.error('Error in summarizeRecentTweets:', error.message);
     throw error;
@@ -196,9 +170,9 @@ async function summarizeRecentTweets(authorId, systemPrompt, prior) {
 }
 
 // -----------------------------------------------------------------------
-// Generate tweet response using OpenAI's chat completion
+// Generate tweet response through the LLM gateway
 // -----------------------------------------------------------------------
-async function generateTweetResponse(prompt, systemPrompt, journalEntry) {
+async function generateTweetResponse(prompt, systemPrompt, journalEntry, metadata) {
   try {
     // Prepare the messages for Chat Completion
     const messages = [{ role: 'system', content: systemPrompt }];
@@ -223,19 +197,9 @@ async function generateTweetResponse(prompt, systemPrompt, journalEntry) {
 
     console.log('Generating tweet response...');
 
-    const completion = await openai.chat.completions.create({
-      model: TEXT_MODEL,
-      messages,
-      max_tokens: 128, // Adjust token limit as per tweet length
-      temperature: 0.8 // Adjust creativity level
-    });
-
-    // Return the text of the first completion choice
-    if (completion.choices && completion.choices[0] && completion.choices[0].message && completion.choices[0].message.content.trim() !== '') {
-      return completion.choices[0].message.content.trim();
-    }
-
-    throw new Error('Failed to generate a valid completion.');
+    // Model, token limit and temperature come from the 'response' profile
+    const { text } = await llm.chat('response', messages, { caller: 'generate_responses', metadata });
+    return text;
   } catch (error) {
     console.error('Error generating tweet response:', error.message);
     throw error;
@@ -243,54 +207,57 @@ async function generateTweetResponse(prompt, systemPrompt, journalEntry) {
 }
 
 // -----------------------------------------------------------------------
-// Main execution function
+// Main execution function, once per account
 // -----------------------------------------------------------------------
-async function main() {
+async function main(account) {
   try {
     // Grab references to collections
     const responsesCollection = db.collection('responses');
     const authorsCollection = db.collection('authors');
     const postsCollection = db.collection('tweets');
+    const failures = new PipelineFailures(db);
+    const decider = new ReplyDecider(db, account);
+    const throttle = new ReplyThrottle(db, account);
 
-    // Find the ID of Bob
-    const bobAuthor = await authorsCollection.findOne({ username: TWITTER_USERNAME });
-    const bobId = bobAuthor ? bobAuthor.id : null;
+    // The account's own user ID (see resolveAccountIds), so it doesn't answer itself
+    const botId = account.user_id;
 
-    // Fetch prompts that are missing a response but have been processed for LLM context
+    // Fetch prompts that are missing a response but have been processed for LLM context,
+    // leaving out those waiting for a retry or dead-lettered
+    const blockedIds = await failures.blockedTweetIds(PIPELINE_STAGES.GENERATION, account.id);
     const prompts = await responsesCollection
       .find({
-        author_id: { $ne: bobId },
+        account_id: account.id,
+        ...(blockedIds.length && { tweet_id: { $nin: blockedIds } }),
+        author_id: { $ne: botId },
         response: { $exists: false },
+        cancelled_at: { $exists: false }, // tweet deleted or withheld since the context was built
+        'decision.action': { $nin: [DECISIONS.LIKE, DECISIONS.IGNORE] }, // undecided or decided to reply
+        'throttled.until': { $not: { $gt: new Date() } }, // not held back by a reply throttle
         processed_by: 'llm_context_builder_v2',
         processed_at: { $exists: true }
       })
       .toArray();
 
     if (prompts.length === 0) {
-      console.log('No prepared prompts found to process.');
+      console.log(`[${account.id}] No prepared prompts found to process.`);
       return;
     }
 
-    console.log(`Found ${prompts.length} prepared prompts to process`);
+    console.log(`[${account.id}] Found ${prompts.length} prepared prompts to process`);
 
-    // Load system prompt from file, or fallback
+    // Persona of the account: system prompt (or fallback) and latest journal entry
     let systemPrompt = 'You are an alien intelligence from the future.';
-    try {
-      const dataFile = path.join(__dirname, 'assets', 'system_prompt.txt');
-      systemPrompt = await fs.readFile(dataFile, 'utf8');
-    } catch (error) {
-      console.error('Error loading system prompt:', error.message);
-    }
-
-    // Load the latest journal entry from JSON file
     let journalEntry = null;
     try {
-      const journalFile = path.join(__dirname, 'assets', 'latest_journal.json');
-      const journalContent = await fs.readFile(journalFile, 'utf8');
-      journalEntry = JSON.parse(journalContent);
+      const persona = await loadPersona(account);
+      systemPrompt = persona.systemPrompt || systemPrompt;
+      journalEntry = persona.journalEntry;
     } catch (error) {
-      console.error('Error loading journal entry:', error.message);
+      console.error(`[${account.id}] Error loading persona:`, error.message);
     }
+    const contentFilter = await loadAccountFilter(account);
+    const contextTemplate = (await llm.profileSettings('response')).context_template || 'default';
 
     // Process each prompt
     for (const promptDoc of prompts) {
@@ -311,18 +278,61 @@ async function main() {
         }
       }
 
-      // Get the author's existing prompt if available
+      // Get the author's existing prompt for this persona if available
       const author = await authorsCollection.findOne({ id: author_id });
-      const authorPrompt = author?.prompt || '';
+      const authorPrompt = author?.prompts?.[account.id] || '';
+
+      // Decide whether the tweet deserves a reply before spending model calls on it
+      if (!promptDoc.decision) {
+        let decision;
+        try {
+          const tweet = await postsCollection.findOne({ id: promptDoc.tweet_id });
+          decision = await decider.decide(promptDoc, tweet, author);
+          await responsesCollection.updateOne({ _id: promptDoc._id }, { $set: { decision } });
+        } catch (error) {
+          console.error(`Failed to decide on tweet ID ${promptDoc.tweet_id}:`, error.message);
+          await failures.recordFailure(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id, error);
+          continue;
+        }
+        console.log(`Decision for tweet ID ${promptDoc.tweet_id}: ${describeDecision(decision)}`);
+        if (decision.action !== DECISIONS.REPLY) continue;
+      }
 
-      // Get the tweet and fetch recent posts, filtering out tweets with links or "pump"
+      // Hold the reply back while the conversation or author is over its limits,
+      // counting replies already generated but not posted yet
+      let verdict;
+      try {
+        verdict = await throttle.check(
+          {
+            tweetId: promptDoc.tweet_id,
+            authorId: author_id,
+            authorUsername: author?.username,
+            conversationId: promptDoc.conversation_id
+          },
+          { includePending: true }
+        );
+      } catch (error) {
+        console.error(`Failed to check reply throttles for tweet ID ${promptDoc.tweet_id}:`, error.message);
+        await failures.recordFailure(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id, error);
+        continue;
+      }
+      if (!verdict.allowed) {
+        console.log(`Throttled tweet ID ${promptDoc.tweet_id} until ${verdict.until.toISOString()}: ${verdict.detail}`);
+        await responsesCollection.updateOne(
+          { _id: promptDoc._id },
+          { $set: { throttled: { reason: verdict.reason, detail: verdict.detail, until: verdict.until, checked_at: new Date() } } }
+        );
+        continue;
+      }
+
+      // Get the tweet and fetch recent posts, dropping those caught by the filter rules
       const rawRecentPosts = await postsCollection
         .find({ author_id })
         .sort({ id: -1 })
         .limit(100)
         .toArray();
       // Reverse the posts to get them in chronological order and filter invalid ones
-      const recent_posts = rawRecentPosts.reverse().filter(post => isTweetValid(post.text));
+      const recent_posts = rawRecentPosts.reverse().filter(post => isTweetValid(post, contentFilter));
 
       // Summarize recent tweets
       let summarizedPrompt;
@@ -330,10 +340,12 @@ async function main() {
         summarizedPrompt = await summarizeRecentTweets(
           author_id,
           systemPrompt,
-          `${authorPrompt}\n${recent_posts.map((t) => t.text).join('\n')}\n${promptDoc.context}`
+          { authorPrompt, recentPosts: recent_posts, tweetContext: promptDoc.context },
+          contentFilter
         );
       } catch (error) {
         console.error(`Failed to summarize tweets for author ID ${author_id}:`, error.message);
+        await failures.recordFailure(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id, error);
         continue; // Skip this prompt and move to the next
       }
 
@@ -341,25 +353,46 @@ async function main() {
       try {
         await authorsCollection.updateOne(
           { id: author_id },
-          { $set: { prompt: summarizedPrompt } }
+          { $set: { [`prompts.${account.id}`]: summarizedPrompt } }
         );
       } catch (error) {
         console.error(`Failed to update author prompt for author ID ${author_id}:`, error.message);
         continue; // Skip this prompt and move to the next
       }
 
+      // Re-render the structured context for the reply model, with the budget
+      // left now that the summary is known. Older responses only have the text.
+      let replyContext = promptDoc.context;
+      if (promptDoc.context_doc) {
+        try {
+          const budgetTokens = await promptBudget('response', {
+            reserved: [
+              systemPrompt,
+              journalEntry ? `${journalEntry.createdAt}\n${journalEntry.entry}` : '',
+              summarizedPrompt,
+              RESPONSE_TEMPLATE_TOKENS
+            ]
+          });
+          replyContext = renderContext(promptDoc.context_doc, { template: contextTemplate, budgetTokens }).text;
+        } catch (error) {
+          console.error(`Failed to render context for tweet ID ${promptDoc.tweet_id}, using the stored text:`, error.message);
+        }
+      }
+
       // Generate a tweet response using the new prompt
       let tweetResponse;
       try {
         tweetResponse = await generateTweetResponse(
           `${summarizedPrompt}
            
-          ${promptDoc.context}`,
+          ${replyContext}`,
           systemPrompt,
-          journalEntry
+          journalEntry,
+          { account_id: account.id, tweet_id: promptDoc.tweet_id }
         );
       } catch (error) {
         console.error(`Failed to generate tweet response for tweet ID ${promptDoc.tweet_id}:`, error.message);
+        await failures.recordFailure(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id, error);
         continue; // Skip this prompt and move to the next
       }
 
@@ -367,20 +400,24 @@ async function main() {
         // Update the response in the database
         try {
           await responsesCollection.updateOne(
-            { tweet_id: promptDoc.tweet_id },
+            { _id: promptDoc._id },
             {
               $set: {
                 response: tweetResponse,
                 response_generated_at: new Date()
-              }
+              },
+              $unset: { throttled: '' }
             }
           );
+          await failures.recordSuccess(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id);
           console.log(`Generated response for tweet ID ${promptDoc.tweet_id}: ${tweetResponse}`);
         } catch (error) {
           console.error(`Failed to update response for tweet ID ${promptDoc.tweet_id}:`, error.message);
+          await failures.recordFailure(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id, error);
         }
       } else {
         console.log(`Failed to generate response for tweet ID ${promptDoc.tweet_id}`);
+        await failures.recordFailure(PIPELINE_STAGES.GENERATION, account.id, promptDoc.tweet_id, 'Empty response');
       }
     }
   } catch (error) {
@@ -395,7 +432,10 @@ async function main() {
 async function loop() {
   while (true) {
     try {
-      await main();
+      const accounts = await resolveAccountIds(db, await loadAccounts()); // re-read so registry edits apply
+      for (const account of accounts) {
+        await main(account);
+      }
     } catch (err) {
       console.error(
         'Uncaught error in loop(). Waiting for 1 minute before retry...',
@@ -419,6 +459,7 @@ async function loop() {
 (async () => {
   try {
     await connectToMongoDB();
+    llm.attach(db);
     loop().catch(console.error);
 
     // Handle graceful shutdown
@@ -0,0 +1,143 @@
+// ingest_cursors.mjs
+//
+// Persistent per-source ingestion cursors. Each stream/adapter pair keeps its
+// own since_id and pagination token in the `ingest_cursors` collection, and the
+// cursor only moves after a page has been stored.
+
+import { compareTweetIds } from './tweet_sources.mjs';
+
+const DEFAULT_MAX_PAGES = 5;
+
+/**
+ * Reads and advances cursors in the `ingest_cursors` collection.
+ *
+ * Cursor document:
+ *   source             - key such as 'mentions:default:xcache'
+ *   since_id           - newest tweet ID from the last completed pagination run
+ *   next_token         - token of the next page while a pagination run is in progress
+ *   pending_newest_id  - newest tweet ID seen by the in-progress run
+ *   last_success_at    - when a page was last stored
+ *   error_count        - total errors; consecutive_errors resets on success
+ */
+export class IngestCursorStore {
+  constructor(db) {
+    this.collection = db.collection('ingest_cursors');
+  }
+
+  /**
+   * @param {string} source - Cursor key.
+   * @returns {Promise<object>} The cursor document, or an empty cursor.
+   */
+  async get(source) {
+    return (await this.collection.findOne({ source })) || { source };
+  }
+
+  /**
+   * Records a stored page in the middle of a pagination run.
+   */
+  async savePage(source, { nextToken, pendingNewestId }) {
+    await this.collection.updateOne(
+      { source },
+      {
+        $set: {
+          next_token: nextToken,
+          pending_newest_id: pendingNewestId,
+          last_success_at: new Date(),
+          consecutive_errors: 0,
+          updated_at: new Date()
+        },
+        $setOnInsert: { source, error_count: 0 }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Records the last page of a pagination run and moves since_id forward.
+   */
+  async complete(source, { sinceId }) {
+    await this.collection.updateOne(
+      { source },
+      {
+        $set: {
+          ...(sinceId && { since_id: sinceId }),
+          next_token: null,
+          pending_newest_id: null,
+          last_success_at: new Date(),
+          consecutive_errors: 0,
+          updated_at: new Date()
+        },
+        $setOnInsert: { source, error_count: 0 }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Records a failed fetch or store. The cursor position is left untouched.
+   */
+  async recordError(source, error) {
+    await this.collection.updateOne(
+      { source },
+      {
+        $set: { last_error: error.message, last_error_at: new Date(), updated_at: new Date() },
+        $inc: { error_count: 1, consecutive_errors: 1 },
+        $setOnInsert: { source }
+      },
+      { upsert: true }
+    );
+  }
+}
+
+function newestOf(...ids) {
+  return ids.filter(Boolean).reduce((newest, id) => (!newest || compareTweetIds(id, newest) > 0 ? id : newest), null);
+}
+
+/**
+ * Pages through a source from its stored cursor, storing each page before
+ * advancing the cursor. Stops after `maxPages`; the saved next_token lets the
+ * next run resume where this one stopped.
+ * @param {object} options
+ * @param {IngestCursorStore} options.cursors
+ * @param {string} options.source - Cursor key.
+ * @param {Function} options.fetchPage - ({ sinceId, paginationToken }) => page
+ * @param {Function} options.storePage - (page) => Promise, must persist the page
+ * @param {number} [options.maxPages]
+ * @returns {Promise<{pages: number, tweets: number}>}
+ */
+export async function ingestWithCursor({ cursors, source, fetchPage, storePage, maxPages = DEFAULT_MAX_PAGES }) {
+  const cursor = await cursors.get(source);
+  const sinceId = cursor.since_id || null;
+  let nextToken = cursor.next_token || null;
+  let pendingNewestId = cursor.pending_newest_id || null;
+  let pages = 0;
+  let tweets = 0;
+
+  try {
+    do {
+      const page = await fetchPage({ sinceId, paginationToken: nextToken });
+      if (page.data.length) {
+        await storePage(page);
+        tweets += page.data.length;
+      }
+      pages++;
+
+      pendingNewestId = newestOf(pendingNewestId, page.meta.newest_id, ...page.data.map((tweet) => tweet.id));
+      nextToken = page.meta.next_token || null;
+
+      if (nextToken) {
+        await cursors.savePage(source, { nextToken, pendingNewestId });
+      } else {
+        await cursors.complete(source, { sinceId: newestOf(sinceId, pendingNewestId) });
+      }
+    } while (nextToken && pages < maxPages);
+  } catch (error) {
+    await cursors.recordError(source, error);
+    throw error;
+  }
+
+  if (nextToken) {
+    console.log(`[Cursors] ${source}: stopped after ${pages} pages, will resume from next_token`);
+  }
+  return { pages, tweets };
+}
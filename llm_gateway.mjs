@@ -0,0 +1,286 @@
+// llm_gateway.mjs
+//
+// The one place that calls language models. Callers name a profile from
+// assets/llm_profiles.json (or LLM_PROFILES_FILE) instead of a client and a
+// model; the profile holds a chain of provider/model pairs tried in order,
+// with a timeout and retries with exponential backoff per link. Providers are
+// OpenAI-compatible endpoints whose URL and key come from env vars, and a
+// provider without a key is left out of the chain.
+//
+// Every attempt is logged to the `llm_calls` collection with its tokens,
+// latency and cost once a database is attached:
+//   import { llm } from './llm_gateway.mjs';
+//   llm.attach(db);
+//   const { text } = await llm.chat('response', messages, { caller: 'generate_responses' });
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import OpenAI from 'openai';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_PROFILES_FILE = path.join(__dirname, 'assets', 'llm_profiles.json');
+
+const PROFILE_DEFAULTS = {
+  context_window: 8192, // tokens the smallest model in the chain accepts, prompt and completion together
+  timeout_ms: 60000,
+  retries: 2, // retries per chain link after the first attempt
+  retry_delay_ms: 2000, // doubled on each retry
+  max_retry_delay_ms: 30000
+};
+
+// Client errors that another attempt at the same provider won't fix
+const NON_RETRYABLE_STATUSES = [400, 401, 403, 404, 422];
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Loads model profiles, providers and pricing.
+ * @param {string} [filePath] - Defaults to LLM_PROFILES_FILE or assets/llm_profiles.json.
+ * @returns {Promise<{providers: object, profiles: object, pricing: object}>}
+ */
+export async function loadLLMProfiles(filePath = process.env.LLM_PROFILES_FILE || DEFAULT_PROFILES_FILE) {
+  const config = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  for (const [name, profile] of Object.entries(config.profiles || {})) {
+    for (const link of profile.chain || []) {
+      if (!config.providers?.[link.provider]) {
+        throw new Error(`[LLM] Profile ${name} uses unknown provider ${link.provider}`);
+      }
+    }
+  }
+  return { providers: config.providers || {}, profiles: config.profiles || {}, pricing: config.pricing || {} };
+}
+
+/**
+ * Cost of a call in USD: the provider's own figure when it reports one,
+ * otherwise the pricing table. Null for models without a price.
+ * @param {object} pricing - { <model>: { input_per_million, output_per_million } }
+ * @param {string} model
+ * @param {object} [usage] - OpenAI-style usage ({ prompt_tokens, completion_tokens, cost }).
+ * @returns {number|null}
+ */
+export function callCost(pricing, model, usage) {
+  if (!usage) return null;
+  if (typeof usage.cost === 'number') return usage.cost;
+  const price = pricing[model];
+  if (!price) return null;
+  return (
+    ((usage.prompt_tokens || 0) * (price.input_per_million || 0) +
+      (usage.completion_tokens || 0) * (price.output_per_million || 0)) /
+    1e6
+  );
+}
+
+function isRetryable(error) {
+  return !NON_RETRYABLE_STATUSES.includes(error.status);
+}
+
+/**
+ * Runs chat completions through named profiles and logs every attempt.
+ */
+export class LLMGateway {
+  /**
+   * @param {Db} [db] - MongoDB Db instance for the call log. Without one calls are only logged to the console until attach().
+   * @param {object} [options]
+   * @param {object} [options.config] - Loaded profiles; read from filePath on first use when omitted.
+   * @param {string} [options.filePath] - Profiles file.
+   */
+  constructor(db = null, { config = null, filePath } = {}) {
+    this.callsCollection = db ? db.collection('llm_calls') : null;
+    this.config = config;
+    this.filePath = filePath;
+    this.clients = new Map();
+  }
+
+  /**
+   * Starts logging calls to `llm_calls`.
+   * @param {Db} db
+   */
+  attach(db) {
+    this.callsCollection = db.collection('llm_calls');
+  }
+
+  async _config() {
+    if (!this.config) this.config = await loadLLMProfiles(this.filePath);
+    return this.config;
+  }
+
+  // OpenAI-compatible client of a provider, or null when it isn't configured
+  _client(name, provider) {
+    if (!this.clients.has(name)) {
+      const baseURL = (provider.base_url_env && process.env[provider.base_url_env]) || provider.base_url;
+      const apiKey = (provider.api_key_env && process.env[provider.api_key_env]) || provider.api_key;
+      this.clients.set(
+        name,
+        baseURL && apiKey
+          ? new OpenAI({ baseURL, apiKey, defaultHeaders: provider.headers, maxRetries: 0 })
+          : null
+      );
+    }
+    return this.clients.get(name);
+  }
+
+  /**
+   * A profile with defaults applied.
+   * @param {string} profileName
+   * @returns {Promise<object>} { chain, context_window, max_tokens, temperature, timeout_ms, retries, ... }
+   */
+  async profileSettings(profileName) {
+    const { profiles } = await this._config();
+    const profile = profiles[profileName];
+    if (!profile) throw new Error(`[LLM] Unknown profile: ${profileName}`);
+    return { ...PROFILE_DEFAULTS, ...profile };
+  }
+
+  /**
+   * Sends a chat completion through a profile's chain. Each link is tried
+   * 1 + retries times; errors the provider won't recover from (bad request,
+   * auth, unknown model) move on to the next link at once.
+   * @param {string} profileName
+   * @param {Array<object>} messages - Chat messages (text or multi-part content).
+   * @param {object} [options]
+   * @param {string} [options.caller] - Module making the call, for the log.
+   * @param {number} [options.maxTokens] - Overrides the profile's max_tokens.
+   * @param {number} [options.temperature] - Overrides the profile's temperature.
+   * @param {object} [options.metadata] - Stored with the call log (e.g. { tweet_id }).
+   * @returns {Promise<{text: string, provider: string, model: string, usage: object, cost: number|null, latencyMs: number}>}
+   * @throws {Error} When every link in the chain failed.
+   */
+  async chat(profileName, messages, { caller = null, maxTokens, temperature, metadata } = {}) {
+    const settings = await this.profileSettings(profileName);
+    const limits = {
+      ...((maxTokens ?? settings.max_tokens) && { max_tokens: maxTokens ?? settings.max_tokens }),
+      ...((temperature ?? settings.temperature) !== undefined && { temperature: temperature ?? settings.temperature })
+    };
+
+    const { result: text, ...call } = await this._runChain(profileName, settings, { caller, metadata }, async (client, model) => {
+      const completion = await client.chat.completions.create(
+        { model, messages, ...limits },
+        { timeout: settings.timeout_ms }
+      );
+      const content = completion.choices?.[0]?.message?.content?.trim();
+      if (!content) throw new Error('Empty completion');
+      return { result: content, usage: completion.usage, model: completion.model };
+    });
+    return { text, ...call };
+  }
+
+  /**
+   * Embeds texts through a profile's chain, with the same retries and log as chat().
+   * Vectors from different models can't be compared, so callers keep the returned model.
+   * @param {string} profileName - Usually 'embedding'.
+   * @param {string[]} inputs
+   * @param {object} [options] - { caller, metadata } as for chat().
+   * @returns {Promise<{vectors: number[][], provider: string, model: string, usage: object, cost: number|null, latencyMs: number}>}
+   * @throws {Error} When every link in the chain failed.
+   */
+  async embed(profileName, inputs, { caller = null, metadata } = {}) {
+    const settings = await this.profileSettings(profileName);
+    const { result: vectors, ...call } = await this._runChain(profileName, settings, { caller, metadata }, async (client, model) => {
+      const response = await client.embeddings.create({ model, input: inputs }, { timeout: settings.timeout_ms });
+      if (response.data?.length !== inputs.length) throw new Error('Incomplete embedding response');
+      return {
+        result: [...response.data].sort((a, b) => a.index - b.index).map((item) => item.embedding),
+        usage: response.usage,
+        model: response.model
+      };
+    });
+    return { vectors, ...call };
+  }
+
+  // Tries each configured link of the chain with retries; `attempt` returns { result, usage, model }
+  async _runChain(profileName, settings, { caller, metadata }, attempt) {
+    const { providers, pricing } = await this._config();
+    const errors = [];
+    for (const link of settings.chain) {
+      const client = this._client(link.provider, providers[link.provider]);
+      if (!client) continue; // provider has no URL or key in this deployment
+      const model = (link.model_env && process.env[link.model_env]) || link.model;
+
+      for (let attemptNumber = 1; attemptNumber <= settings.retries + 1; attemptNumber++) {
+        const startedAt = Date.now();
+        const logEntry = { profile: profileName, caller, provider: link.provider, model, attempt: attemptNumber, metadata };
+        try {
+          const { result, usage, model: servedModel } = await attempt(client, model);
+          const latencyMs = Date.now() - startedAt;
+          const cost = callCost(pricing, model, usage);
+          await this._log({ ...logEntry, status: 'ok', latencyMs, usage, cost });
+          return { result, provider: link.provider, model: servedModel || model, usage, cost, latencyMs };
+        } catch (error) {
+          const latencyMs = Date.now() - startedAt;
+          errors.push(`${link.provider}/${model}: ${error.message}`);
+          await this._log({ ...logEntry, status: 'error', latencyMs, error });
+          if (!isRetryable(error) || attemptNumber > settings.retries) break;
+
+          const wait = Math.min(settings.retry_delay_ms * 2 ** (attemptNumber - 1), settings.max_retry_delay_ms);
+          console.warn(`[LLM] ${profileName} via ${link.provider}/${model} failed (${error.message}); retrying in ${wait / 1000}s`);
+          await sleep(wait);
+        }
+      }
+    }
+    throw new Error(
+      `[LLM] Profile ${profileName} failed on every provider: ${errors.join('; ') || 'no provider configured'}`
+    );
+  }
+
+  async _log({ profile, caller, provider, model, attempt, metadata, status, latencyMs, usage, cost, error }) {
+    console.log(
+      `[LLM] ${profile} ${provider}/${model} #${attempt} ${status} in ${latencyMs}ms` +
+        (usage ? ` (${usage.prompt_tokens ?? '?'}+${usage.completion_tokens ?? '?'} tokens)` : '')
+    );
+    if (!this.callsCollection) return;
+    try {
+      await this.callsCollection.insertOne({
+        profile,
+        caller,
+        provider,
+        model,
+        attempt,
+        status,
+        latency_ms: latencyMs,
+        prompt_tokens: usage?.prompt_tokens ?? null,
+        completion_tokens: usage?.completion_tokens ?? null,
+        total_tokens: usage?.total_tokens ?? null,
+        cost_usd: cost ?? null,
+        ...(error && { error: error.message, error_status: error.status ?? null }),
+        ...(metadata && { metadata }),
+        created_at: new Date()
+      });
+    } catch (logError) {
+      console.error('[LLM] Error logging call:', logError.message);
+    }
+  }
+
+  /**
+   * Calls, tokens, cost and latency per profile and model.
+   * @param {object} [options] - { since }: only calls after this date.
+   * @returns {Promise<Array>} [{ profile, model, provider, calls, errors, prompt_tokens, completion_tokens, cost_usd, avg_latency_ms }]
+   */
+  async usageSummary({ since } = {}) {
+    if (!this.callsCollection) return [];
+    return this.callsCollection
+      .aggregate([
+        ...(since ? [{ $match: { created_at: { $gte: since } } }] : []),
+        {
+          $group: {
+            _id: { profile: '$profile', provider: '$provider', model: '$model' },
+            calls: { $sum: 1 },
+            errors: { $sum: { $cond: [{ $eq: ['$status', 'error'] }, 1, 0] } },
+            prompt_tokens: { $sum: { $ifNull: ['$prompt_tokens', 0] } },
+            completion_tokens: { $sum: { $ifNull: ['$completion_tokens', 0] } },
+            cost_usd: { $sum: { $ifNull: ['$cost_usd', 0] } },
+            avg_latency_ms: { $avg: '$latency_ms' }
+          }
+        },
+        { $sort: { '_id.profile': 1, '_id.provider': 1, '_id.model': 1 } },
+        { $project: { _id: 0, profile: '$_id.profile', provider: '$_id.provider', model: '$_id.model', calls: 1, errors: 1, prompt_tokens: 1, completion_tokens: 1, cost_usd: 1, avg_latency_ms: 1 } }
+      ])
+      .toArray();
+  }
+}
+
+// Shared by the modules of one process
+export const llm = new LLMGateway();
@@ -2,7 +2,17 @@ import dotenv from 'dotenv';
 import { MongoClient, ObjectId } from 'mongodb';
 import cron from 'node-cron';
 import pLimit from 'p-limit';
-import { describeImage } from './vision.mjs'; // Assuming ES Module
+import { describeMedia, mediaLabel, mediaSourceUrl } from './vision.mjs';
+import { llm } from './llm_gateway.mjs';
+import { promptBudget } from './prompt_budget.mjs';
+import { CONTEXT_SCHEMA_VERSION, RESPONSE_TEMPLATE_TOKENS, renderContext } from './context_renderer.mjs';
+import { EmbeddingIndex } from './embeddings.mjs';
+import { PIPELINE_STAGES, PipelineFailures } from './pipeline_failures.mjs';
+import { STAGES } from './content_filter.mjs';
+import { loadTrackedTopics, topicStream } from './tracked_topics.mjs';
+import { FollowGraphService } from './follow_graph.mjs';
+import { ENGAGEMENT_WEIGHTS, engagementScore } from './metrics_sampler.mjs';
+import { accountFollowsTopic, loadAccountFilter, loadAccounts, loadPersona, resolveAccountIds } from './accounts.mjs';
 
 // --- Configuration Loading ---
 dotenv.config();
@@ -10,19 +20,16 @@ dotenv.config();
 const {
   MONGODB_URI,
   DB_NAME,
-  TWITTER_USERNAME,
-  TWITTER_USER_ID,
   ALWAYS_REPLY_TO,
   AUTHOR_PRIORITY_WEIGHT_FOLLOWERS,
   AUTHOR_PRIORITY_WEIGHT_TWEETS,
   AUTHOR_PRIORITY_WEIGHT_INTERACTIONS,
-  ENGAGEMENT_WEIGHT_LIKES,
-  ENGAGEMENT_WEIGHT_RETWEETS,
-  ENGAGEMENT_WEIGHT_REPLIES,
   TWEET_FETCH_LIMIT,
   CONVERSATION_MAX_TWEETS,
   RECENT_CONTEXT_DAYS,
   RECENT_CONTEXT_LIMIT,
+  RELATED_CONTEXT_LIMIT,
+  RELATED_CONTEXT_MIN_SCORE,
   ENRICHMENT_DAYS_AGO,
   IMAGE_PROCESSING_CONCURRENCY,
   CRON_SCHEDULE
@@ -32,15 +39,9 @@ const {
 const config = {
   dbUri: MONGODB_URI,
   dbName: DB_NAME,
-  twitterUsername: TWITTER_USERNAME,
-  twitterUserId: TWITTER_USER_ID,
   alwaysReplyToUsernames: ALWAYS_REPLY_TO ? ALWAYS_REPLY_TO.toLowerCase().split(',').map(u => u.trim()) : [],
   weights: {
-    engagement: {
-      likes: parseFloat(ENGAGEMENT_WEIGHT_LIKES || '2'),
-      retweets: parseFloat(ENGAGEMENT_WEIGHT_RETWEETS || '1.5'),
-      replies: parseFloat(ENGAGEMENT_WEIGHT_REPLIES || '1')
-    },
+    engagement: ENGAGEMENT_WEIGHTS, // shared with the metrics sampler
     authorPriority: {
       followers: parseFloat(AUTHOR_PRIORITY_WEIGHT_FOLLOWERS || '0.5'),
       tweets: parseFloat(AUTHOR_PRIORITY_WEIGHT_TWEETS || '0.3'),
@@ -52,6 +53,8 @@ const config = {
     conversationMaxTweets: parseInt(CONVERSATION_MAX_TWEETS || '5', 10),
     recentContextDays: parseInt(RECENT_CONTEXT_DAYS || '7', 10),
     recentContextLimit: parseInt(RECENT_CONTEXT_LIMIT || '3', 10),
+    relatedContextLimit: parseInt(RELATED_CONTEXT_LIMIT || '3', 10), // 0 turns retrieval off
+    relatedContextMinScore: parseFloat(RELATED_CONTEXT_MIN_SCORE || '0.35'),
     enrichmentDaysAgo: parseInt(ENRICHMENT_DAYS_AGO || '1', 10),
     imageConcurrency: parseInt(IMAGE_PROCESSING_CONCURRENCY || '5', 10)
   },
@@ -115,29 +118,37 @@ class TweetService {
   constructor(db) {
     this.db = db;
     this.tweetsCollection = db.collection('tweets');
+    this.conversationsCollection = db.collection('conversations');
   }
 
   /**
-   * Fetches prioritized tweets based on mentions, replies, and keywords.
-   * Only fetches tweets that haven't had context built yet.
+   * Fetches prioritized tweets for an account based on its mentions, replies
+   * to it, and the tracked topics it answers. Only fetches tweets that haven't
+   * had context built for this account yet.
+   * @param {object} account - Account from the registry.
+   * @param {Array<object>} [trackedTopics] - Enabled topics, highest priority first.
+   * @param {string[]} [blockedIds] - Tweets waiting for a retry or dead-lettered; see pipeline_failures.mjs.
    * @returns {Promise<Array>} Array of prioritized tweet documents.
    */
-  async getPrioritizedTweets() {
-    console.log('Fetching prioritized tweets...');
+  async getPrioritizedTweets(account, trackedTopics = [], blockedIds = []) {
+    console.log(`Fetching prioritized tweets for ${account.id}...`);
     const commonFilter = {
-      author_id: { $ne: config.twitterUserId },
-      'processing_status.llm_context': { $ne: true } // Only unprocessed
+      ...(blockedIds.length && { id: { $nin: blockedIds } }),
+      author_id: { $ne: account.user_id },
+      'processing_status.llm_context_accounts': { $ne: account.id }, // Only unprocessed for this account
+      availability: { $exists: false } // Skip tweets found deleted or withheld
     };
+    trackedTopics = trackedTopics.filter(topic => accountFollowsTopic(account, topic));
     const commonSort = { engagement_score: -1, created_at: -1 };
     const limit = config.limits.tweetFetch;
 
     const queries = [
       // Mentions
-      { filter: { ...commonFilter, text: { $regex: `@${config.twitterUsername}`, $options: 'i' } }, sort: commonSort },
+      { filter: { ...commonFilter, text: { $regex: `@${account.username}`, $options: 'i' } }, sort: commonSort },
       // Replies
-      { filter: { ...commonFilter, in_reply_to_user_id: config.twitterUserId }, sort: commonSort },
-      // Related (Keywords) - adjust regex as needed
-      { filter: { ...commonFilter, text: { $regex: `(#AI|#MachineLearning|@${config.twitterUsername})`, $options: 'i' } }, sort: commonSort }
+      { filter: { ...commonFilter, in_reply_to_user_id: account.user_id }, sort: commonSort },
+      // Tracked topics, one query per topic in priority order
+      ...trackedTopics.map(topic => ({ filter: { ...commonFilter, streams: topicStream(topic) }, sort: commonSort }))
     ];
 
     try {
@@ -147,12 +158,13 @@ class TweetService {
         )
       );
 
-      const [mentions, replies, related] = results;
-      console.log(`Found unprocessed: ${mentions.length} mentions, ${replies.length} replies, ${related.length} related.`);
+      const [mentions, replies, ...topicResults] = results;
+      const topicCounts = trackedTopics.map((topic, i) => `${topicResults[i].length} ${topic.id}`);
+      console.log(`Found unprocessed: ${mentions.length} mentions, ${replies.length} replies${topicCounts.length ? `, topics: ${topicCounts.join(', ')}` : ''}.`);
 
       // Combine and de-duplicate (using Set based on tweet ID)
       const uniqueTweets = Array.from(new Map(
-        [...mentions, ...replies, ...related].map(tweet => [tweet.id, tweet])
+        [...mentions, ...replies, ...topicResults.flat()].map(tweet => [tweet.id, tweet])
       ).values());
 
       console.log(`Total unique prioritized tweets to process: ${uniqueTweets.length}`);
@@ -170,16 +182,12 @@ class TweetService {
    * @returns {number} The calculated engagement score.
    */
   calculateEngagementScore(tweet) {
-    const { likes, retweets, replies } = config.weights.engagement;
-    return (
-      (tweet.public_metrics?.like_count || tweet.like_count || 0) * likes +
-      (tweet.public_metrics?.retweet_count || tweet.retweet_count || 0) * retweets +
-      (tweet.public_metrics?.reply_count || tweet.reply_count || 0) * replies
-    );
+    return engagementScore(tweet.public_metrics, config.weights.engagement);
   }
 
   /**
-   * Finds recent tweets without an engagement_score and updates them in bulk.
+   * Finds recent tweets without an engagement_score, or whose metrics changed
+   * since it was computed, and updates them in bulk.
    */
   async enrichTweetsWithEngagement() {
     console.log(`Enriching tweets from last ${config.limits.enrichmentDaysAgo} day(s) with engagement scores...`);
@@ -187,12 +195,11 @@ class TweetService {
 
     try {
       const tweetsToUpdate = await this.tweetsCollection.find({
-        engagement_score: { $exists: false },
-        // Assuming metrics are nested or flat
         $or: [
-            { 'public_metrics.like_count': { $exists: true } },
-            { 'like_count': { $exists: true } }
+          { engagement_score: { $exists: false } },
+          { $expr: { $gt: ['$metrics_updated_at', '$engagement_scored_at'] } }
         ],
+        'public_metrics.like_count': { $exists: true },
         created_at: { $gte: startDate }
       }).toArray();
 
@@ -206,7 +213,7 @@ class TweetService {
       const bulkOps = tweetsToUpdate.map(tweet => ({
         updateOne: {
           filter: { _id: tweet._id }, // Use _id for efficiency
-          update: { $set: { engagement_score: this.calculateEngagementScore(tweet) } }
+          update: { $set: { engagement_score: this.calculateEngagementScore(tweet), engagement_scored_at: new Date() } }
         }
       }));
 
@@ -230,27 +237,42 @@ class TweetService {
     let currentTweetId = tweetId;
     const visited = new Set(); // Prevent infinite loops in case of bad data
 
-    try {
-        while (currentTweetId && tweets.length < config.limits.conversationMaxTweets + 10 && !visited.has(currentTweetId)) { // Add buffer for trimming logic
-            visited.add(currentTweetId);
-            const tweet = await this.tweetsCollection.findOne({ id: currentTweetId });
+    // Database errors propagate: a context built from part of the thread is not saved
+    while (currentTweetId && tweets.length < config.limits.conversationMaxTweets + 10 && !visited.has(currentTweetId)) { // Add buffer for trimming logic
+        visited.add(currentTweetId);
+        const tweet = await this.tweetsCollection.findOne({ id: currentTweetId });
 
-            if (!tweet) break; // Stop if tweet not found
+        if (!tweet) break; // Stop if tweet not found
 
-            tweets.unshift(tweet); // Add the current tweet at the beginning
+        tweets.unshift(tweet); // Add the current tweet at the beginning
 
-            // Follow the 'replied_to' reference
-            const repliedToRef = tweet.referenced_tweets?.find(ref => ref.type === 'replied_to');
-            currentTweetId = repliedToRef ? repliedToRef.id : null;
-        }
-    } catch (error) {
-        console.error(`  Error fetching conversation for tweet ${tweetId}:`, error);
-        // Return whatever was fetched so far
+        // Follow the 'replied_to' reference
+        const repliedToRef = tweet.referenced_tweets?.find(ref => ref.type === 'replied_to');
+        currentTweetId = repliedToRef ? repliedToRef.id : null;
     }
 
     return this._trimConversation(tweets);
  }
 
+  /**
+   * Describes what the conversation backfill could not assemble for a thread.
+   * @param {string} conversationId - The conversation (root tweet) ID.
+   * @returns {Promise<string>} A note for the prompt, or empty string if the thread is complete or unknown.
+   */
+  async _getThreadCompleteness(conversationId) {
+    if (!conversationId) return '';
+    const record = await this.conversationsCollection.findOne({ conversation_id: conversationId });
+    if (!record || record.complete) return '';
+
+    const gaps = [
+      !record.has_root ? 'the original post is unavailable' : null,
+      record.missing_parent_ids?.length ? `${record.missing_parent_ids.length} earlier replies are missing` : null,
+      record.depth_limit_reached || record.truncated ? 'the thread was too long to fetch in full' : null,
+      record.descendants_fetched === false ? 'later replies could not be fetched' : null
+    ].filter(Boolean);
+    return gaps.length ? `This thread is incomplete: ${gaps.join('; ')}.` : '';
+  }
+
 
   /**
    * Trims a conversation array to keep the start and end, adding a separator.
@@ -308,8 +330,8 @@ class AuthorService {
         $addFields: {
           interactionCount: { $size: '$authorInteractions' },
           // Ensure numeric types and handle missing values
-          followersCountNum: { $ifNull: ['$public_metrics.followers_count', '$followers_count', 0] },
-          tweetCountNum: { $ifNull: ['$public_metrics.tweet_count', '$tweet_count', 0] }
+          followersCountNum: { $ifNull: ['$public_metrics.followers_count', 0] },
+          tweetCountNum: { $ifNull: ['$public_metrics.tweet_count', 0] }
         }
       },
       // 3. Calculate the priority score
@@ -410,15 +432,27 @@ class AuthorService {
 
 
 // --- Context Builder ---
+const BUILDER_VERSION = 'llm_context_builder_v2';
+
 /**
- * Builds the context prompt for responding to a tweet.
+ * Builds the structured context for responding to a tweet; context_renderer.mjs
+ * turns it into prompt text.
  */
 class ResponseContextBuilder {
-  constructor(db) {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} account - Account the context is built for.
+   * @param {object} [options]
+   * @param {EmbeddingIndex} [options.embeddingIndex] - Recalls related past exchanges; none when omitted.
+   */
+  constructor(db, account, { embeddingIndex = null } = {}) {
     this.db = db;
+    this.account = account;
+    this.embeddingIndex = embeddingIndex;
     this.tweetService = new TweetService(db); // Uses TweetService for conversation
     this.imageVisionsCollection = db.collection('image_visions');
     this.responsesCollection = db.collection('responses');
+    this.followGraph = new FollowGraphService(db, { accountId: account.id });
     this.imageProcessingLimit = pLimit(config.limits.imageConcurrency); // Concurrency limiter
   }
 
@@ -426,151 +460,352 @@ class ResponseContextBuilder {
    * Builds the full context for a given tweet and author.
    * @param {object} tweet - The target tweet document.
    * @param {object | null} author - The author document (or null if not found).
-   * @returns {Promise<string>} The formatted context prompt string.
+   * @returns {Promise<object>} The context document: { schema_version, builder, built_at, account,
+   *   author, target, relationship, thread, vision, history, related }.
+   * @throws {Error} If a part of the context could not be fetched or a media item described; the
+   *   caller records the failure and the tweet stays unprocessed. The helpers below let their errors through.
    */
   async buildContext(tweet, author) {
     console.log(`Building context for tweet ${tweet.id}${author ? ` by @${author.username}` : ' (author unknown)'}`);
 
     // Use fallback details if author is missing
     const authorDetails = author || { username: 'Unknown', id: 'N/A', name: 'Unknown Author' };
+    const base = {
+      schema_version: CONTEXT_SCHEMA_VERSION,
+      builder: BUILDER_VERSION,
+      built_at: new Date(),
+      account: { id: this.account.id, user_id: this.account.user_id, username: this.account.username },
+      // Snapshot, so later profile changes don't rewrite what the reply saw
+      author: {
+        id: authorDetails.id,
+        username: authorDetails.username,
+        name: authorDetails.name || null,
+        ...(author && {
+          priority_score: author.priorityScore ?? null,
+          followers_count: author.public_metrics?.followers_count ?? null
+        })
+      },
+      target: { tweet_id: tweet.id, text: tweet.text, created_at: tweet.created_at || null }
+    };
 
-    try {
-      const [conversation, recentContext, visionContext] = await Promise.all([
-        this.tweetService._getConversationContext(tweet.id), // Use internal method
-        this._getRecentContext(authorDetails.id),
-        this._getVisionContext(tweet)
-      ]);
-
-      // Mark the tweet as processed *after* context is successfully built
-      await this.db.collection('tweets').updateOne(
-        { id: tweet.id },
-        { $set: { 'processing_status.llm_context': true, 'processing_status.llm_context_at': new Date() } }
-      );
-
-      return this._formatPrompt({
-        conversation, recentContext, visionContext, author: authorDetails, tweet
-      });
-
-    } catch (error) {
-      console.error(`Error building context for tweet ${tweet.id}:`, error);
-      // Return a minimal context or error message
-      return `Error building context for tweet ${tweet.id} from @${authorDetails.username}. Please analyze the tweet text directly: ${tweet.text}`;
+    const [conversation, threadNote, recentContext, visionContext, relationship] = await Promise.all([
+      this.tweetService._getConversationContext(tweet.id), // Use internal method
+      this.tweetService._getThreadCompleteness(tweet.conversation_id),
+      this._getRecentContext(authorDetails.id),
+      this._getVisionContext(tweet),
+      this._getRelationship(authorDetails.id)
+    ]);
+    // A media description that failed would leave the reply blind to it; retry the tweet later
+    const failedMedia = visionContext.filter(entry => entry.failed);
+    if (failedMedia.length) {
+      throw new Error(`[Context] Could not describe ${failedMedia.length} media item(s) of tweet ${tweet.id}`);
     }
+    // Skip exchanges already in the thread or the recent history
+    const relatedContext = await this._getRelatedContext(tweet, [
+      ...conversation.map(t => t.id).filter(Boolean),
+      ...recentContext.map(entry => entry.tweet_id)
+    ]);
+
+    return {
+      ...base,
+      // The target text as stored in the thread, in case it was edited since
+      target: { ...base.target, text: conversation.find(t => t.id === tweet.id)?.text || tweet.text },
+      relationship,
+      thread: { note: threadNote || null, messages: conversation.map(t => this._threadMessage(t, authorDetails)) },
+      vision: visionContext,
+      history: recentContext,
+      related: relatedContext
+    };
+  }
+
+  /**
+   * A thread entry of the context document.
+   * @param {object} t - Tweet or separator from _getConversationContext().
+   * @param {object} author - The target tweet's author.
+   * @returns {object} { tweet_id, author_id, role: 'self'|'author'|'other', text } or { separator: true, text }.
+   */
+  _threadMessage(t, author) {
+    if (t.type === 'separator') return { separator: true, text: t.text };
+    const role = t.author_id === this.account.user_id ? 'self' : (t.author_id === author.id ? 'author' : 'other');
+    return { tweet_id: t.id, author_id: t.author_id, role, text: t.text };
   }
 
   /**
-   * Fetches vision descriptions for images in a tweet, using cache and parallel processing.
+   * Fetches vision descriptions for the photos, GIFs and videos of a tweet, using cache and parallel processing.
+   * GIFs and videos are described from their preview image (or frames, see vision.mjs).
    * @param {object} tweet - The tweet document.
-   * @returns {Promise<string>} Formatted string of image descriptions, or empty string.
+   * @returns {Promise<Array<{url: string, media_type: string, duration_ms?: number, source: string, description: string, cached: boolean, failed: boolean}>>}
+   *   One entry per media item, or an empty array.
    */
   async _getVisionContext(tweet) {
-    const mediaUrls = tweet.mediaData?.filter(m => m.type === 'photo').map(m => m.url) || [];
-    if (!mediaUrls.length) {
-      return '';
+    const media = tweet.mediaData?.filter(m => mediaSourceUrl(m)) || [];
+    if (!media.length) {
+      return [];
     }
-    console.log(`  Processing ${mediaUrls.length} image(s) for tweet ${tweet.id}...`);
-    const descriptions = await this._processImagesWithConcurrency(mediaUrls);
-    return descriptions.length > 0 ? `Image Descriptions:\n${descriptions.join('\n')}` : '';
+    console.log(`  Processing ${media.length} media item(s) for tweet ${tweet.id}...`);
+    return this._processMediaWithConcurrency(media);
   }
 
  /**
-  * Processes multiple image URLs concurrently with rate limiting.
-  * Checks cache before calling the vision API.
-  * @param {string[]} urls - Array of image URLs.
-  * @returns {Promise<string[]>} Array of image descriptions (or fallback text on error).
+  * Processes multiple media items concurrently with rate limiting.
+  * Checks cache (keyed by the image shown to the model, or the video frames came from) before calling the vision API.
+  * @param {object[]} mediaItems - Normalized media documents.
+  * @returns {Promise<Array<object>>} { url, media_type, duration_ms, source, description, cached, failed } per item (fallback text on error).
   */
- async _processImagesWithConcurrency(urls) {
-    const descriptions = await Promise.all(
-      urls.map(url => this.imageProcessingLimit(async () => {
+ async _processMediaWithConcurrency(mediaItems) {
+    const entries = await Promise.all(
+      mediaItems.map(media => this.imageProcessingLimit(async () => {
+        const url = mediaSourceUrl(media);
+        const entry = { url, media_type: media.type, ...(media.duration_ms && { duration_ms: media.duration_ms }) };
         try {
           // 1. Check cache
           const cached = await this.imageVisionsCollection.findOne({ url });
           if (cached?.description) {
             console.log(`   Vision Cache HIT for: ${url.substring(0, 50)}...`);
-            return cached.description;
+            return { ...entry, source: cached.source || 'image', description: cached.description, cached: true, failed: false };
           }
 
           // 2. Call Vision API
-          console.log(`   Vision Cache MISS - Calling API for: ${url.substring(0, 50)}...`);
-          const description = await describeImage(url); // External call
+          console.log(`   Vision Cache MISS - Calling API for ${mediaLabel(media)}: ${url.substring(0, 50)}...`);
+          const { description, source, frames } = await describeMedia(media); // External call
 
           // 3. Cache result (even if description is basic)
           await this.imageVisionsCollection.updateOne(
             { url },
-            { $set: { url, description, created_at: new Date() } },
+            { $set: { url, description, media_type: media.type, media_key: media.media_key, source, frames, created_at: new Date() } },
             { upsert: true }
           );
-          return description;
+          return { ...entry, source, description, cached: false, failed: false };
 
         } catch (error) {
-          console.error(`   Failed to process image: ${url}`, error);
-          return "Image description unavailable due to an error."; // Fallback description
+          console.error(`   Failed to process ${mediaLabel(media)}: ${url}`, error);
+          return { ...entry, source: null, description: `${mediaLabel(media)} description unavailable due to an error.`, cached: false, failed: true }; // Fallback description
         }
       }))
     );
-    return descriptions.filter(Boolean); // Filter out any potential null/empty results
+    return entries.filter(entry => entry.description); // Filter out any potential empty results
  }
 
 
   /**
    * Fetches recent responses/interactions with a specific author.
    * @param {string} authorId - The ID of the author.
-   * @returns {Promise<string>} Formatted string of recent interactions, or empty string.
+   * @returns {Promise<Array<{tweet_id: string, tweet_text: string, response: string, created_at: Date}>>} One entry per recent interaction, newest first, or an empty array.
    */
   async _getRecentContext(authorId) {
-      if (!authorId || authorId === 'N/A') return ''; // No context if author unknown
+      if (!authorId || authorId === 'N/A') return []; // No context if author unknown
 
       console.log(`  Fetching recent context for author ${authorId}...`);
       const lookbackDate = new Date(Date.now() - config.limits.recentContextDays * 24 * 60 * 60 * 1000);
-      try {
-          const recentResponses = await this.responsesCollection
-              .find({
-                  author_id: authorId,
-                  response: { $exists: true, $ne: null, $ne: "" }, // Ensure response exists and is meaningful
-                  created_at: { $gte: lookbackDate }
-              })
-              .sort({ created_at: -1 })
-              .limit(config.limits.recentContextLimit)
-              .project({ prompt: 1, response: 1, _id: 0 }) // Only fetch needed fields
-              .toArray();
-
-          if (recentResponses.length === 0) return '';
-
-          const contextStr = recentResponses
-              .map(r => `Previous Interaction:\nTweet Context: ${r.prompt}\nOur Response: ${r.response}`)
-              .join('\n---\n');
-          return `Recent Interactions with this user:\n${contextStr}`;
-      } catch (error) {
-          console.error(`  Error fetching recent context for author ${authorId}:`, error);
-          return "Could not retrieve recent interaction context due to an error.";
+      const recentResponses = await this.responsesCollection
+          .find({
+              author_id: authorId,
+              account_id: this.account.id, // Only this persona's history with the author
+              response: { $exists: true, $ne: null, $ne: "" }, // Ensure response exists and is meaningful
+              created_at: { $gte: lookbackDate }
+          })
+          .sort({ created_at: -1 })
+          .limit(config.limits.recentContextLimit)
+          .project({ tweet_id: 1, tweet_text: 1, response: 1, created_at: 1, _id: 0 }) // Only fetch needed fields
+          .toArray();
+
+      // The answered tweet's text is copied to the response once it's embedded; look up the rest
+      const missing = recentResponses.filter(r => !r.tweet_text).map(r => r.tweet_id);
+      const tweets = missing.length
+          ? await this.db.collection('tweets').find({ id: { $in: missing } }).project({ id: 1, text: 1 }).toArray()
+          : [];
+      const textById = new Map(tweets.map(t => [t.id, t.text]));
+
+      return recentResponses.map(r => ({
+        tweet_id: r.tweet_id,
+        tweet_text: r.tweet_text || textById.get(r.tweet_id) || '(tweet unavailable)',
+        response: r.response,
+        created_at: r.created_at
+      }));
+  }
+
+
+  /**
+   * Finds this account's past exchanges, with anyone and of any age, and the
+   * author's own earlier posts that are most similar to the target tweet.
+   * @param {object} tweet - The target tweet document.
+   * @param {string[]} excludeTweetIds - Tweets already in the prompt.
+   * @returns {Promise<Array<object>>} Exchanges then posts, most similar first, each with its source tweet_id and score, or an empty array.
+   */
+  async _getRelatedContext(tweet, excludeTweetIds) {
+      if (!this.embeddingIndex || !config.limits.relatedContextLimit) return [];
+      const options = {
+        k: config.limits.relatedContextLimit,
+        minScore: config.limits.relatedContextMinScore
+      };
+      const [exchanges, posts] = await Promise.all([
+        this.embeddingIndex.similarExchanges(tweet.text, {
+          ...options,
+          accountId: this.account.id,
+          excludeTweetIds: [tweet.id, ...excludeTweetIds]
+        }),
+        tweet.author_id
+          ? this.embeddingIndex.similarAuthorTweets(tweet.text, tweet.author_id, { ...options, excludeIds: [tweet.id, ...excludeTweetIds] })
+          : []
+      ]);
+      if (exchanges.length || posts.length) {
+        console.log(`  Recalled ${exchanges.length} related exchange(s) and ${posts.length} related post(s)`);
       }
+      return [
+        ...exchanges.map(({ score, response: r }) => ({
+          kind: 'exchange',
+          tweet_id: r.tweet_id,
+          score,
+          author_username: r.author_username || null,
+          tweet_text: r.tweet_text,
+          response: r.response,
+          posted_at: r.posted_at || null
+        })),
+        ...posts.map(({ score, tweet: t }) => ({ kind: 'author_post', tweet_id: t.id, score, text: t.text, created_at: t.created_at || null }))
+      ];
   }
 
 
   /**
-   * Formats the collected context parts into a single prompt string.
-   * @param {object} contextParts - Object containing conversation, recentContext, visionContext, author.
-   * @returns {string} The final formatted prompt.
+   * Looks up the follow relationship between the bot and an author.
+   * @param {string} authorId - The ID of the author.
+   * @returns {Promise<object | null>} { following, followed_by, mutual }, or null if unknown.
    */
-  _formatPrompt({ conversation, recentContext, visionContext, author, tweet }) {
-    const conversationText = conversation.map(t => {
-        if (t.type === 'separator') return t.text;
-        const speaker = t.author_id === config.twitterUserId ? `Me (${config.twitterUsername})`
-                      : (t.author_id === author.id ? `@${author.username}` : `Other (${t.author_id})`);
-        return `${speaker}: ${t.text}`;
-    }).join('\n');
-
-    // Construct the prompt, filtering out empty sections
-    const promptParts = [
-      `Analyze the following context involving @${author.username} (ID: ${author.id}, Name: ${author.name || 'N/A'}) and prepare a response.`,
-      recentContext ? `--- Recent Interaction History ---\n${recentContext}` : null,
-      conversationText ? `--- Current Conversation Thread --- \n${conversationText}` : null,
-      visionContext ? `--- Image Analysis --- \n${visionContext}` : null,
-      `--- Target Tweet to Respond To (@${author.username}) --- \n${conversation.find(t => t.id === tweet.id)?.text || tweet.text}` // Ensure target tweet is clear
-    ];
+  async _getRelationship(authorId) {
+      if (!authorId || authorId === 'N/A') return null;
+      return this.followGraph.getRelationship(authorId);
+  }
+}
+
+// --- Per-Account Processing ---
+
+/**
+ * Tokens the context may take so the reply request still fits the 'response'
+ * profile: its window minus the account's persona, the author summary
+ * generated alongside the context and the reply wrapper.
+ * @param {object} account
+ * @returns {Promise<number>}
+ */
+async function contextBudget(account) {
+  const { systemPrompt, journalEntry } = await loadPersona(account);
+  const summary = await llm.profileSettings('author_summary');
+  return promptBudget('response', {
+    reserved: [
+      systemPrompt || '',
+      journalEntry ? `${journalEntry.createdAt}\n${journalEntry.entry}` : '',
+      summary.max_tokens || 0,
+      RESPONSE_TEMPLATE_TOKENS
+    ]
+  });
+}
 
-    return promptParts.filter(Boolean).join('\n\n');
+/**
+ * Builds and saves context for the tweets an account should answer.
+ * @param {Db} db - MongoDB Db instance.
+ * @param {object} account - Account from the registry.
+ * @param {object} shared - { tweetService, authorMap, trackedTopics, embeddingIndex, failures } from the run.
+ */
+async function processAccount(db, account, { tweetService, authorMap, trackedTopics, embeddingIndex, failures }) {
+  const contextBuilder = new ResponseContextBuilder(db, account, { embeddingIndex });
+  const budgetTokens = await contextBudget(account);
+  const template = (await llm.profileSettings('response')).context_template || 'default';
+  const contentFilter = await loadAccountFilter(account); // Re-read each run so rule edits apply
+
+  // Step 3: Fetch prioritized tweets
+  console.time(`Step 3: Fetch Prioritized Tweets (${account.id})`);
+  console.log(`\n--- Step 3: Fetching Prioritized Tweets for ${account.id} ---`);
+  const blockedIds = await failures.blockedTweetIds(PIPELINE_STAGES.CONTEXT, account.id);
+  const tweetsToProcess = await tweetService.getPrioritizedTweets(account, trackedTopics, blockedIds);
+  console.timeEnd(`Step 3: Fetch Prioritized Tweets (${account.id})`);
+
+  if (tweetsToProcess.length === 0) {
+    console.log(`No tweets need processing for ${account.id} in this run.`);
+    return;
   }
+
+  // Step 4: Process tweets (Build context and save)
+  console.time(`Step 4: Process Tweets (${account.id})`);
+  console.log(`\n--- Step 4: Processing ${tweetsToProcess.length} Tweets for ${account.id} ---`);
+  let processedCount = 0;
+  let failedCount = 0;
+
+  for (const tweet of tweetsToProcess) {
+    console.log(`\nProcessing tweet ${tweet.id} (Author ID: ${tweet.author_id})...`);
+    const author = authorMap.get(tweet.author_id);
+
+    if (!author) {
+      console.warn(`  Author ${tweet.author_id} not found in prioritized list. Processing with limited author info.`);
+      // Proceed, contextBuilder handles null author
+    }
+
+    const verdict = contentFilter.evaluate(tweet, { stage: STAGES.CONTEXT, author });
+    if (!verdict.allowed) {
+      console.log(`  Skipping tweet ${tweet.id}: matched filter rules ${verdict.matched.join(', ')}`);
+      await db.collection('tweets').updateOne(
+        { id: tweet.id },
+        {
+          $set: { 'processing_status.llm_context': true, 'processing_status.filtered_by': verdict.matched, 'processing_status.llm_context_at': new Date() },
+          $addToSet: { 'processing_status.llm_context_accounts': account.id }
+        }
+      );
+      continue;
+    }
+
+    try {
+      console.time(`  Context Build Time Tweet ${tweet.id}`);
+      const contextDoc = await contextBuilder.buildContext(tweet, author);
+      const { text: context, tokens } = renderContext(contextDoc, { template, budgetTokens });
+      console.timeEnd(`  Context Build Time Tweet ${tweet.id}`);
+
+      // Save the processed context, one response per tweet and account
+      await db.collection('responses').updateOne(
+        { tweet_id: tweet.id, account_id: account.id },
+        {
+          $set: {
+            context: context, // The rendered prompt/context
+            context_doc: contextDoc, // What it was rendered from, for re-rendering and provenance
+            context_template: template,
+            author_id: tweet.author_id,
+            author_username: author?.username || 'Unknown',
+            conversation_id: tweet.conversation_id, // For the per-conversation reply throttle
+            context_tokens: tokens,
+            processed_by: BUILDER_VERSION, // Version identifier
+            processed_at: new Date(),
+            // Add priority score if author found
+            ...(author && { author_priority_score: author.priorityScore })
+          },
+          $setOnInsert: { // Fields to set only when inserting a new doc
+              tweet_id: tweet.id,
+              account_id: account.id,
+              created_at: new Date()
+          }
+        },
+        { upsert: true }
+      );
+
+      // Mark the tweet as processed *after* its context is saved
+      await db.collection('tweets').updateOne(
+        { id: tweet.id },
+        {
+          $set: { 'processing_status.llm_context': true, 'processing_status.llm_context_at': new Date() },
+          $addToSet: { 'processing_status.llm_context_accounts': account.id }
+        }
+      );
+      await failures.recordSuccess(PIPELINE_STAGES.CONTEXT, account.id, tweet.id);
+      console.log(`  ✅ Successfully processed and saved context for tweet ${tweet.id}`);
+      processedCount++;
+    } catch (error) {
+      console.error(`  ❌ Failed to process tweet ${tweet.id}:`, error);
+      failedCount++;
+      // Left unprocessed; retried with backoff until it is dead-lettered
+      await failures.recordFailure(PIPELINE_STAGES.CONTEXT, account.id, tweet.id, error)
+        .catch(recordError => console.error(`  Error recording failure for tweet ${tweet.id}:`, recordError));
+    }
+  }
+  console.log(`\n--- Processing Summary (${account.id}) ---`);
+  console.log(`Successfully processed: ${processedCount}`);
+  console.log(`Failed: ${failedCount}`);
+  console.timeEnd(`Step 4: Process Tweets (${account.id})`);
 }
 
 // --- Main Application Logic ---
@@ -593,11 +828,11 @@ async function main() {
   try {
     await dbService.connect();
     const db = dbService.getDb();
+    llm.attach(db); // log vision calls
 
     // Initialize services
     const tweetService = new TweetService(db);
     const authorService = new AuthorService(db);
-    const contextBuilder = new ResponseContextBuilder(db);
 
     // Step 1: Enrich tweets (run concurrently with author prioritization)
     console.time("Step 1: Enrich Tweets");
@@ -616,72 +851,22 @@ async function main() {
 
     // Map authors by ID for quick lookup
     const authorMap = new Map(prioritizedAuthors.map(a => [a.id, a]));
+    const trackedTopics = await loadTrackedTopics();
 
-    // Step 3: Fetch prioritized tweets
-    console.time("Step 3: Fetch Prioritized Tweets");
-    console.log("\n--- Step 3: Fetching Prioritized Tweets ---");
-    const tweetsToProcess = await tweetService.getPrioritizedTweets();
-    console.timeEnd("Step 3: Fetch Prioritized Tweets");
+    const failures = new PipelineFailures(db);
 
-    if (tweetsToProcess.length === 0) {
-        console.log("No tweets need processing in this run.");
-        return; // Exit early if no tweets
+    // Embed exchanges posted since the last run so they can be recalled
+    const embeddingIndex = new EmbeddingIndex(db);
+    try {
+      await embeddingIndex.indexPending();
+    } catch (error) {
+      console.error('Error indexing embeddings; related exchanges may be missing:', error);
     }
 
-    // Step 4: Process tweets (Build context and save)
-    console.time("Step 4: Process Tweets");
-    console.log(`\n--- Step 4: Processing ${tweetsToProcess.length} Tweets ---`);
-    let processedCount = 0;
-    let failedCount = 0;
-
-    for (const tweet of tweetsToProcess) {
-      console.log(`\nProcessing tweet ${tweet.id} (Author ID: ${tweet.author_id})...`);
-      const author = authorMap.get(tweet.author_id);
-
-      if (!author) {
-        console.warn(`  Author ${tweet.author_id} not found in prioritized list. Processing with limited author info.`);
-        // Proceed, contextBuilder handles null author
-      }
-
-      try {
-        console.time(`  Context Build Time Tweet ${tweet.id}`);
-        const context = await contextBuilder.buildContext(tweet, author);
-        console.timeEnd(`  Context Build Time Tweet ${tweet.id}`);
-
-        // Save the processed context
-        // Note: buildContext now marks the tweet as processed internally
-        await db.collection('responses').updateOne(
-          { tweet_id: tweet.id },
-          {
-            $set: {
-              context: context, // The generated prompt/context
-              author_id: tweet.author_id,
-              author_username: author?.username || 'Unknown',
-              processed_by: 'llm_context_builder_v2', // Version identifier
-              processed_at: new Date(),
-              // Add priority score if author found
-              ...(author && { author_priority_score: author.priorityScore })
-            },
-            $setOnInsert: { // Fields to set only when inserting a new doc
-                tweet_id: tweet.id,
-                created_at: new Date()
-            }
-          },
-          { upsert: true }
-        );
-        console.log(`  ✅ Successfully processed and saved context for tweet ${tweet.id}`);
-        processedCount++;
-      } catch (error) {
-        console.error(`  ❌ Failed to process tweet ${tweet.id}:`, error);
-        failedCount++;
-        // Optionally mark tweet as failed?
-        // await db.collection('tweets').updateOne({ id: tweet.id }, { $set: { 'processing_status.llm_context_error': error.message }});
-      }
+    // Steps 3-4 run once per account, re-reading the registry so edits apply
+    for (const account of await resolveAccountIds(db, await loadAccounts())) {
+      await processAccount(db, account, { tweetService, authorMap, trackedTopics, embeddingIndex, failures });
     }
-    console.log(`\n--- Processing Summary ---`);
-    console.log(`Successfully processed: ${processedCount}`);
-    console.log(`Failed: ${failedCount}`);
-    console.timeEnd("Step 4: Process Tweets");
 
   } catch (error) {
     console.error('\n🚨 CRITICAL ERROR in main execution:', error);
@@ -717,8 +902,8 @@ function startLoop() {
 
 // --- Script Entry Point ---
 // Check essential config
-if (!config.dbUri || !config.dbName || !config.twitterUsername || !config.twitterUserId) {
-    console.error("❌ Missing essential configuration in .env file (MONGODB_URI, DB_NAME, TWITTER_USERNAME, TWITTER_USER_ID). Exiting.");
+if (!config.dbUri || !config.dbName) {
+    console.error("❌ Missing essential configuration in .env file (MONGODB_URI, DB_NAME). Exiting.");
     process.exit(1);
 }
 
@@ -0,0 +1,179 @@
+// metrics_sampler.mjs
+//
+// Engagement time series for posted replies. Each posted response is sampled
+// at increasing offsets after `posted_at` (1h, 6h, 24h, 7d by default): the
+// reply (`response_id`) and the tweet it answered are looked up again and a
+// snapshot of their public_metrics goes to `metrics_snapshots`. Stored tweets
+// get their public_metrics and engagement_score refreshed along the way.
+
+const HOUR_MS = 60 * 60 * 1000;
+
+// Weights shared by every engagement score in the pipeline; getters, so the
+// .env an entry script loads after importing this module still applies
+export const ENGAGEMENT_WEIGHTS = {
+  get likes() {
+    return parseFloat(process.env.ENGAGEMENT_WEIGHT_LIKES || '2');
+  },
+  get retweets() {
+    return parseFloat(process.env.ENGAGEMENT_WEIGHT_RETWEETS || '1.5');
+  },
+  get replies() {
+    return parseFloat(process.env.ENGAGEMENT_WEIGHT_REPLIES || '1');
+  }
+};
+
+export const DEFAULT_SAMPLE_HOURS = [1, 6, 24, 168];
+
+/**
+ * Weighted engagement score from a tweet's public_metrics.
+ * @param {object} [metrics] - public_metrics.
+ * @param {object} [weights] - { likes, retweets, replies }
+ * @returns {number}
+ */
+export function engagementScore(metrics, weights = ENGAGEMENT_WEIGHTS) {
+  return (
+    (metrics?.like_count || 0) * weights.likes +
+    (metrics?.retweet_count || 0) * weights.retweets +
+    (metrics?.reply_count || 0) * weights.replies
+  );
+}
+
+function sampleLabel(hours) {
+  return hours % 24 === 0 ? `${hours / 24}d` : `${hours}h`;
+}
+
+/**
+ * Samples engagement of posted replies and the tweets they answered.
+ */
+export class MetricsSampler {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} options
+   * @param {TweetSource} options.source - Adapter implementing lookupTweets.
+   * @param {number[]} [options.sampleHours] - Offsets after posting, ascending.
+   * @param {number} [options.batchSize] - Responses sampled per run.
+   * @param {string} [options.accountId] - Only this account's replies, read through its source; all when omitted.
+   */
+  constructor(db, { source, sampleHours = DEFAULT_SAMPLE_HOURS, batchSize = 100, accountId = null }) {
+    this.db = db;
+    this.source = source;
+    this.accountId = accountId;
+    this.sampleHours = [...sampleHours].sort((a, b) => a - b);
+    this.batchSize = batchSize;
+    this.responsesCollection = db.collection('responses');
+    this.snapshotsCollection = db.collection('metrics_snapshots');
+    this.tweetsCollection = db.collection('tweets');
+  }
+
+  /**
+   * Takes the snapshots that are due.
+   * @returns {Promise<number>} Number of responses sampled.
+   */
+  async run() {
+    const due = await this.findDueResponses();
+    if (!due.length) {
+      console.log('[Metrics] No replies due for a metrics sample');
+      return 0;
+    }
+
+    const tweetIds = [...new Set(due.flatMap(({ response }) => [response.response_id, response.tweet_id]))];
+    const { data } = await this.source.lookupTweets(tweetIds);
+    const metricsById = new Map(data.map((tweet) => [String(tweet.id), tweet.public_metrics]));
+
+    const now = new Date();
+    const snapshots = [];
+    const responseOps = [];
+    for (const { response, sampleIndex } of due) {
+      const hours = this.sampleHours[sampleIndex];
+      for (const [role, tweetId] of [['reply', response.response_id], ['parent', response.tweet_id]]) {
+        const metrics = metricsById.get(tweetId);
+        snapshots.push({
+          response_id: response._id,
+          tweet_id: tweetId,
+          role,
+          sample: sampleLabel(hours),
+          offset_hours: hours,
+          available: !!metrics,
+          ...(metrics && { public_metrics: metrics, engagement_score: engagementScore(metrics) }),
+          sampled_at: now
+        });
+      }
+      const replyMetrics = metricsById.get(response.response_id);
+      responseOps.push({
+        updateOne: {
+          filter: { _id: response._id },
+          update: {
+            $set: {
+              metrics_samples_taken: sampleIndex + 1,
+              last_metrics_at: now,
+              ...(replyMetrics && { reply_metrics: replyMetrics, reply_engagement_score: engagementScore(replyMetrics) })
+            }
+          }
+        }
+      });
+    }
+
+    // Keep stored tweets (parents, and our replies if ingested) current for prioritisation
+    const tweetOps = [...metricsById].map(([id, metrics]) => ({
+      updateOne: {
+        filter: { id },
+        update: {
+          $set: {
+            public_metrics: metrics,
+            engagement_score: engagementScore(metrics),
+            engagement_scored_at: now,
+            metrics_updated_at: now
+          }
+        }
+      }
+    }));
+
+    await this.snapshotsCollection.insertMany(snapshots);
+    await this.responsesCollection.bulkWrite(responseOps, { ordered: false });
+    if (tweetOps.length) await this.tweetsCollection.bulkWrite(tweetOps, { ordered: false });
+
+    console.log(`[Metrics] Sampled ${due.length} replies (${snapshots.length} snapshots)`);
+    return due.length;
+  }
+
+  /**
+   * Posted responses with a sample due, oldest schedule points first. A reply
+   * that is several samples behind (e.g. after downtime) gets one sample now,
+   * filed under the latest offset it has passed.
+   * @returns {Promise<Array<{response: object, sampleIndex: number}>>}
+   */
+  async findDueResponses() {
+    const now = Date.now();
+    const due = new Map();
+    for (const [index, hours] of this.sampleHours.entries()) {
+      if (due.size >= this.batchSize) break;
+      const responses = await this.responsesCollection
+        .find({
+          ...(this.accountId && { account_id: this.accountId }),
+          posted: true,
+          response_id: { $exists: true, $ne: null },
+          posted_at: { $lte: new Date(now - hours * HOUR_MS) },
+          ...(index === 0 ? { metrics_samples_taken: { $in: [null, 0] } } : { metrics_samples_taken: index })
+        })
+        .sort({ posted_at: 1 })
+        .limit(this.batchSize - due.size)
+        .toArray();
+
+      for (const response of responses) {
+        const age = now - new Date(response.posted_at).getTime();
+        const latestPassed = this.sampleHours.findLastIndex((offset) => age >= offset * HOUR_MS);
+        due.set(String(response._id), { response, sampleIndex: latestPassed });
+      }
+    }
+    return [...due.values()];
+  }
+
+  /**
+   * Snapshot series of one response, oldest first.
+   * @param {ObjectId} responseId - The response document's _id.
+   * @returns {Promise<Array>}
+   */
+  async getSeries(responseId) {
+    return this.snapshotsCollection.find({ response_id: responseId }).sort({ sampled_at: 1 }).toArray();
+  }
+}
@@ -0,0 +1,271 @@
+// migrate.mjs
+//
+// Versioned database migrations. Each file in migrations/ is named
+// `<number>_<name>.mjs` and exports `description`, `up(db)` and `down(db)`.
+// Applied migrations are recorded in the `migrations` collection; a lock
+// document in `migration_lock` makes sure only one process migrates at a time.
+// The scraper applies pending migrations on start (MIGRATE_ON_START=false to
+// leave it to this CLI).
+//
+// Usage: node migrate.mjs [up [--to <id>] | status | rollback [steps]]
+
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { fileURLToPath, pathToFileURL } from 'url';
+import dotenv from 'dotenv';
+import { MongoClient } from 'mongodb';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+const MIGRATION_FILE = /^(\d+)_[\w-]+\.mjs$/;
+const LOCK_ID = 'migrate';
+const LOCK_TTL_MS = 30 * 60 * 1000; // a crashed migrator's lock expires after this
+
+/**
+ * Creates indexes unless an index with the same key already exists (under any name).
+ * @param {Db} db
+ * @param {string} collection
+ * @param {Array<{key: object, options: object}>} indexes
+ */
+export async function ensureIndexes(db, collection, indexes) {
+  const existing = await db.collection(collection).listIndexes().toArray().catch((error) => {
+    if (error.codeName === 'NamespaceNotFound') return [];
+    throw error;
+  });
+  for (const { key, options } of indexes) {
+    const sameKey = existing.find((idx) => JSON.stringify(idx.key) === JSON.stringify(key));
+    if (sameKey) {
+      console.log(`[Migrations] Index ${sameKey.name} already covers ${JSON.stringify(key)} on ${collection}`);
+      continue;
+    }
+    await db.collection(collection).createIndex(key, options);
+    console.log(`[Migrations] Created index ${options.name} on ${collection}`);
+  }
+}
+
+/**
+ * Drops indexes by name, ignoring ones that don't exist.
+ * @param {Db} db
+ * @param {string} collection
+ * @param {string[]} names
+ */
+export async function dropIndexes(db, collection, names) {
+  for (const name of names) {
+    try {
+      await db.collection(collection).dropIndex(name);
+      console.log(`[Migrations] Dropped index ${name} on ${collection}`);
+    } catch (error) {
+      if (error.codeName !== 'IndexNotFound' && error.codeName !== 'NamespaceNotFound') throw error;
+    }
+  }
+}
+
+/**
+ * Applies and rolls back migrations from a directory.
+ */
+export class MigrationRunner {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} [options]
+   * @param {string} [options.dir] - Directory of migration files.
+   * @param {string} [options.owner] - Lock owner, for status output.
+   */
+  constructor(db, { dir = MIGRATIONS_DIR, owner = `${os.hostname()}:${process.pid}` } = {}) {
+    this.db = db;
+    this.dir = dir;
+    this.owner = owner;
+    this.migrationsCollection = db.collection('migrations');
+    this.lockCollection = db.collection('migration_lock');
+  }
+
+  /**
+   * Migration modules in order.
+   * @returns {Promise<Array<{id: string, version: number, description: string, up: Function, down: Function}>>}
+   */
+  async loadMigrations() {
+    const files = (await fs.readdir(this.dir)).filter((file) => MIGRATION_FILE.test(file));
+    const migrations = [];
+    for (const file of files) {
+      const module = await import(pathToFileURL(path.join(this.dir, file)).href);
+      if (typeof module.up !== 'function' || typeof module.down !== 'function') {
+        throw new Error(`[Migrations] ${file} must export up(db) and down(db)`);
+      }
+      migrations.push({
+        id: path.basename(file, '.mjs'),
+        version: parseInt(file.match(MIGRATION_FILE)[1], 10),
+        description: module.description || '',
+        up: module.up,
+        down: module.down
+      });
+    }
+    migrations.sort((a, b) => a.version - b.version);
+    const duplicate = migrations.find((migration, i) => i > 0 && migration.version === migrations[i - 1].version);
+    if (duplicate) throw new Error(`[Migrations] Duplicate migration number ${duplicate.version}`);
+    return migrations;
+  }
+
+  /**
+   * Every known migration with whether it has been applied, plus applied
+   * migrations whose files are gone.
+   * @returns {Promise<{migrations: Array<object>, lock: object|null}>}
+   */
+  async status() {
+    const [migrations, applied, lock] = await Promise.all([
+      this.loadMigrations(),
+      this._applied(),
+      this.lockCollection.findOne({ _id: LOCK_ID })
+    ]);
+    const known = new Set(migrations.map((migration) => migration.id));
+    return {
+      migrations: [
+        ...migrations.map(({ id, description }) => ({
+          id,
+          description,
+          applied: applied.has(id),
+          applied_at: applied.get(id)?.applied_at || null
+        })),
+        ...[...applied.values()]
+          .filter((record) => !known.has(record._id))
+          .map((record) => ({ id: record._id, description: record.description, applied: true, applied_at: record.applied_at, missing: true }))
+      ],
+      lock
+    };
+  }
+
+  /**
+   * Applies pending migrations in order, stopping at the first failure.
+   * @param {object} [options]
+   * @param {string} [options.to] - Last migration id to apply.
+   * @returns {Promise<string[]>} Ids applied.
+   */
+  async migrate({ to } = {}) {
+    return this._withLock(async () => {
+      const migrations = await this.loadMigrations();
+      if (to && !migrations.some((migration) => migration.id === to)) {
+        throw new Error(`[Migrations] Unknown migration ${to}`);
+      }
+      const applied = await this._applied();
+      const done = [];
+      for (const migration of migrations) {
+        if (!applied.has(migration.id)) {
+          const startedAt = Date.now();
+          console.log(`[Migrations] Applying ${migration.id}: ${migration.description}`);
+          await migration.up(this.db);
+          await this.migrationsCollection.insertOne({
+            _id: migration.id,
+            description: migration.description,
+            applied_at: new Date(),
+            duration_ms: Date.now() - startedAt
+          });
+          await this._refreshLock();
+          done.push(migration.id);
+        }
+        if (migration.id === to) break;
+      }
+      console.log(done.length ? `[Migrations] Applied ${done.length} migrations` : '[Migrations] Database is up to date');
+      return done;
+    });
+  }
+
+  /**
+   * Rolls back the most recently applied migrations.
+   * @param {object} [options]
+   * @param {number} [options.steps] - How many to roll back.
+   * @returns {Promise<string[]>} Ids rolled back.
+   */
+  async rollback({ steps = 1 } = {}) {
+    return this._withLock(async () => {
+      const migrations = new Map((await this.loadMigrations()).map((migration) => [migration.id, migration]));
+      const applied = [...(await this._applied()).keys()]
+        .sort((a, b) => parseInt(b, 10) - parseInt(a, 10))
+        .slice(0, steps);
+      const done = [];
+      for (const id of applied) {
+        const migration = migrations.get(id);
+        if (!migration) throw new Error(`[Migrations] Cannot roll back ${id}: migration file is missing`);
+        console.log(`[Migrations] Rolling back ${id}`);
+        await migration.down(this.db);
+        await this.migrationsCollection.deleteOne({ _id: id });
+        await this._refreshLock();
+        done.push(id);
+      }
+      return done;
+    });
+  }
+
+  async _applied() {
+    const records = await this.migrationsCollection.find({}).toArray();
+    return new Map(records.map((record) => [record._id, record]));
+  }
+
+  // Takes the lock (or an expired one), runs fn, releases the lock
+  async _withLock(fn) {
+    const now = new Date();
+    try {
+      await this.lockCollection.updateOne(
+        { _id: LOCK_ID, expires_at: { $lt: now } },
+        { $set: { owner: this.owner, locked_at: now, expires_at: new Date(now.getTime() + LOCK_TTL_MS) } },
+        { upsert: true }
+      );
+    } catch (error) {
+      if (error.code !== 11000) throw error;
+      const lock = await this.lockCollection.findOne({ _id: LOCK_ID });
+      throw new Error(
+        `[Migrations] Locked by ${lock?.owner} since ${lock?.locked_at?.toISOString()} (expires ${lock?.expires_at?.toISOString()})`
+      );
+    }
+
+    try {
+      return await fn();
+    } finally {
+      await this.lockCollection.deleteOne({ _id: LOCK_ID, owner: this.owner });
+    }
+  }
+
+  async _refreshLock() {
+    await this.lockCollection.updateOne(
+      { _id: LOCK_ID, owner: this.owner },
+      { $set: { expires_at: new Date(Date.now() + LOCK_TTL_MS) } }
+    );
+  }
+}
+
+async function main() {
+  const [command = 'up', arg] = process.argv.slice(2);
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const runner = new MigrationRunner(client.db(process.env.DB_NAME));
+
+    if (command === 'status') {
+      const { migrations, lock } = await runner.status();
+      for (const migration of migrations) {
+        const state = migration.applied ? `applied ${migration.applied_at.toISOString()}` : 'pending';
+        console.log(`${migration.id.padEnd(40)} ${state}${migration.missing ? ' (file missing)' : ''}  ${migration.description}`);
+      }
+      if (lock) console.log(`Locked by ${lock.owner} until ${lock.expires_at.toISOString()}`);
+    } else if (command === 'up') {
+      const toFlag = process.argv.indexOf('--to');
+      await runner.migrate({ to: toFlag > -1 ? process.argv[toFlag + 1] : undefined });
+    } else if (command === 'rollback') {
+      await runner.rollback({ steps: arg ? parseInt(arg, 10) : 1 });
+    } else {
+      throw new Error('Usage: node migrate.mjs [up [--to <id>] | status | rollback [steps]]');
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+// Run as a script, not when imported by the scraper or a migration
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('[Migrations] Fatal error:', error);
+    process.exit(1);
+  });
+}
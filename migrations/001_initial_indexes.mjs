@@ -0,0 +1,57 @@
+// Indexes previously created by setupDatabaseIndexes in scraper.mjs. On an
+// existing database these are mostly present already and are skipped.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Baseline indexes formerly created on scraper start';
+
+const INDEXES = {
+  tweets: [
+    { key: { id: 1 }, options: { unique: true, name: 'tweet_id_unique' } },
+    { key: { author_id: 1, created_at: -1 }, options: { name: 'tweet_author_date' } },
+    { key: { conversation_id: 1 }, options: { name: 'tweet_conversation' } },
+    { key: { revalidated_at: 1 }, options: { name: 'tweet_revalidated_at' } },
+    { key: { streams: 1 }, options: { name: 'tweet_streams' } },
+    { key: { text: 'text' }, options: { name: 'tweet_text_search' } }
+  ],
+  authors: [
+    { key: { id: 1 }, options: { unique: true, name: 'author_id_unique' } },
+    { key: { username: 1 }, options: { name: 'author_username' } },
+    { key: { lastFetched: 1 }, options: { name: 'author_last_fetched' } }
+  ],
+  ingest_cursors: [{ key: { source: 1 }, options: { unique: true, name: 'ingest_cursor_source_unique' } }],
+  quarantine: [
+    { key: { tweet_id: 1 }, options: { unique: true, name: 'quarantine_tweet_id_unique' } },
+    { key: { status: 1, quarantined_at: -1 }, options: { name: 'quarantine_status_date' } }
+  ],
+  conversations: [
+    { key: { conversation_id: 1 }, options: { unique: true, name: 'conversation_id_unique' } },
+    { key: { next_backfill_at: 1 }, options: { name: 'conversation_next_backfill' } }
+  ],
+  following: [{ key: { id: 1 }, options: { unique: true, name: 'following_id_unique' } }],
+  followers: [{ key: { id: 1 }, options: { unique: true, name: 'followers_id_unique' } }],
+  follow_events: [{ key: { user_id: 1, detected_at: -1 }, options: { name: 'follow_event_user_date' } }],
+  responses: [{ key: { posted: 1, metrics_samples_taken: 1, posted_at: 1 }, options: { name: 'response_metrics_due' } }],
+  metrics_snapshots: [
+    { key: { response_id: 1, sampled_at: 1 }, options: { name: 'metrics_snapshot_response' } },
+    { key: { tweet_id: 1, sampled_at: 1 }, options: { name: 'metrics_snapshot_tweet' } }
+  ],
+  rate_limits: [{ key: { endpoint: 1 }, options: { unique: true, name: 'rate_limit_endpoint_unique' } }],
+  filter_rule_stats: [{ key: { rule_id: 1 }, options: { unique: true, name: 'filter_rule_id_unique' } }],
+  media: [
+    { key: { media_key: 1 }, options: { unique: true, name: 'media_key_unique' } },
+    { key: { type: 1 }, options: { name: 'media_type' } }
+  ]
+};
+
+export async function up(db) {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    await ensureIndexes(db, collection, indexes);
+  }
+}
+
+export async function down(db) {
+  for (const [collection, indexes] of Object.entries(INDEXES)) {
+    await dropIndexes(db, collection, indexes.map(({ options }) => options.name));
+  }
+}
@@ -0,0 +1,18 @@
+// The fixed 30-day TTL on tweets is replaced by retention.mjs, which needs a
+// plain created_at index for its scans.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Replace the tweet_ttl index with a plain created_at index';
+
+export async function up(db) {
+  await dropIndexes(db, 'tweets', ['tweet_ttl']);
+  await ensureIndexes(db, 'tweets', [{ key: { created_at: 1 }, options: { name: 'tweet_created_at' } }]);
+}
+
+export async function down(db) {
+  await dropIndexes(db, 'tweets', ['tweet_created_at']);
+  await ensureIndexes(db, 'tweets', [
+    { key: { created_at: 1 }, options: { expireAfterSeconds: 30 * 24 * 60 * 60, name: 'tweet_ttl' } }
+  ]);
+}
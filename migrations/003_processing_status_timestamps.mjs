@@ -0,0 +1,22 @@
+// Older rows predate the timestamps the pipeline now filters on: revalidation
+// selects tweets by processing_status.llm_context_at and generate_responses.mjs
+// requires processed_at next to processed_by.
+
+export const description = 'Backfill processing_status.llm_context_at and responses.processed_at';
+
+export async function up(db) {
+  const tweets = await db.collection('tweets').updateMany(
+    { 'processing_status.llm_context': true, 'processing_status.llm_context_at': { $exists: false } },
+    [{ $set: { 'processing_status.llm_context_at': { $ifNull: ['$created_at', '$$NOW'] } } }]
+  );
+  const responses = await db.collection('responses').updateMany(
+    { processed_by: { $exists: true }, processed_at: { $exists: false }, context: { $exists: true } },
+    [{ $set: { processed_at: { $ifNull: ['$created_at', '$$NOW'] } } }]
+  );
+  console.log(
+    `[Migrations] Backfilled llm_context_at on ${tweets.modifiedCount} tweets, processed_at on ${responses.modifiedCount} responses`
+  );
+}
+
+// The backfilled timestamps can't be told apart from real ones; leaving them is harmless
+export async function down() {}
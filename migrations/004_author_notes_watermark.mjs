@@ -0,0 +1,40 @@
+// author_notes.mjs used to compare total tweet counts (last_fetched_count),
+// which retention deletes break. It now counts tweets newer than
+// notes_newest_tweet_at; this sets that watermark for authors with notes.
+
+export const description = 'Replace authors.last_fetched_count with notes_newest_tweet_at';
+
+export async function up(db) {
+  const authors = db.collection('authors');
+  const tweets = db.collection('tweets');
+  const cursor = authors.find(
+    { last_fetched_count: { $exists: true }, notes_newest_tweet_at: { $exists: false } },
+    { projection: { id: 1 } }
+  );
+  let updated = 0;
+  for await (const author of cursor) {
+    const [newest] = await tweets
+      .find({ author_id: author.id }, { projection: { created_at: 1 } })
+      .sort({ created_at: -1 })
+      .limit(1)
+      .toArray();
+    await authors.updateOne(
+      { _id: author._id },
+      { $set: { notes_newest_tweet_at: newest?.created_at || new Date(0) }, $unset: { last_fetched_count: '' } }
+    );
+    updated++;
+  }
+  console.log(`[Migrations] Set notes_newest_tweet_at on ${updated} authors`);
+}
+
+export async function down(db) {
+  const authors = db.collection('authors');
+  const cursor = authors.find({ notes_newest_tweet_at: { $exists: true } }, { projection: { id: 1 } });
+  for await (const author of cursor) {
+    const count = await db.collection('tweets').countDocuments({ author_id: author.id });
+    await authors.updateOne(
+      { _id: author._id },
+      { $set: { last_fetched_count: count }, $unset: { notes_newest_tweet_at: '' } }
+    );
+  }
+}
@@ -0,0 +1,96 @@
+// Responses, cursors, the follow graph and rate-limit budgets are now scoped
+// by account (see accounts.mjs). Existing documents belong to the primary
+// account, the first one in the registry.
+
+import { loadPrimaryAccount } from '../accounts.mjs';
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Scope responses, cursors, follow graph and rate limits by account_id';
+
+const SCOPED_COLLECTIONS = ['responses', 'rate_limits', 'following', 'followers', 'follow_events'];
+const CURSOR_STREAMS = ['mentions', 'timeline'];
+
+export async function up(db) {
+  const { id: accountId } = await loadPrimaryAccount();
+
+  for (const name of SCOPED_COLLECTIONS) {
+    const result = await db.collection(name).updateMany(
+      { account_id: { $exists: false } },
+      { $set: { account_id: accountId } }
+    );
+    console.log(`[Migrations] Assigned ${result.modifiedCount} ${name} documents to ${accountId}`);
+  }
+
+  await db.collection('tweets').updateMany(
+    { 'processing_status.llm_context': true, 'processing_status.llm_context_accounts': { $exists: false } },
+    { $set: { 'processing_status.llm_context_accounts': [accountId] } }
+  );
+
+  // 'mentions:<adapter>' -> 'mentions:<account>:<adapter>'
+  const cursors = db.collection('ingest_cursors');
+  for (const stream of CURSOR_STREAMS) {
+    for await (const cursor of cursors.find({ source: { $regex: `^${stream}:[^:]+$` } })) {
+      const [, adapter] = cursor.source.split(':');
+      await cursors.updateOne({ _id: cursor._id }, { $set: { source: `${stream}:${accountId}:${adapter}` } });
+    }
+  }
+
+  await db.collection('authors').updateMany(
+    { prompt: { $exists: true } },
+    { $rename: { prompt: `prompts.${accountId}` } }
+  );
+
+  await dropIndexes(db, 'following', ['following_id_unique']);
+  await dropIndexes(db, 'followers', ['followers_id_unique']);
+  await dropIndexes(db, 'rate_limits', ['rate_limit_endpoint_unique']);
+  await ensureIndexes(db, 'following', [
+    { key: { account_id: 1, id: 1 }, options: { unique: true, name: 'following_account_id_unique' } }
+  ]);
+  await ensureIndexes(db, 'followers', [
+    { key: { account_id: 1, id: 1 }, options: { unique: true, name: 'followers_account_id_unique' } }
+  ]);
+  await ensureIndexes(db, 'rate_limits', [
+    { key: { account_id: 1, endpoint: 1 }, options: { unique: true, name: 'rate_limit_account_endpoint_unique' } }
+  ]);
+  await ensureIndexes(db, 'responses', [
+    { key: { account_id: 1, tweet_id: 1 }, options: { name: 'response_account_tweet' } }
+  ]);
+}
+
+// Only the primary account's documents fit the single-account layout; others are left in place
+export async function down(db) {
+  const { id: accountId } = await loadPrimaryAccount();
+
+  await dropIndexes(db, 'following', ['following_account_id_unique']);
+  await dropIndexes(db, 'followers', ['followers_account_id_unique']);
+  await dropIndexes(db, 'rate_limits', ['rate_limit_account_endpoint_unique']);
+  await dropIndexes(db, 'responses', ['response_account_tweet']);
+
+  for (const name of SCOPED_COLLECTIONS) {
+    await db.collection(name).updateMany({ account_id: accountId }, { $unset: { account_id: '' } });
+  }
+
+  await db.collection('tweets').updateMany(
+    { 'processing_status.llm_context_accounts': { $exists: true } },
+    { $unset: { 'processing_status.llm_context_accounts': '' } }
+  );
+
+  const cursors = db.collection('ingest_cursors');
+  for (const stream of CURSOR_STREAMS) {
+    for await (const cursor of cursors.find({ source: { $regex: `^${stream}:${accountId}:[^:]+$` } })) {
+      const adapter = cursor.source.split(':')[2];
+      await cursors.updateOne({ _id: cursor._id }, { $set: { source: `${stream}:${adapter}` } });
+    }
+  }
+
+  await db.collection('authors').updateMany(
+    { [`prompts.${accountId}`]: { $exists: true } },
+    [{ $set: { prompt: `$prompts.${accountId}` } }, { $unset: `prompts.${accountId}` }]
+  );
+
+  await ensureIndexes(db, 'following', [{ key: { id: 1 }, options: { unique: true, name: 'following_id_unique' } }]);
+  await ensureIndexes(db, 'followers', [{ key: { id: 1 }, options: { unique: true, name: 'followers_id_unique' } }]);
+  await ensureIndexes(db, 'rate_limits', [
+    { key: { endpoint: 1 }, options: { unique: true, name: 'rate_limit_endpoint_unique' } }
+  ]);
+}
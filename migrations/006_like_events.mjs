@@ -0,0 +1,17 @@
+// Likes pushed by the Account Activity webhook are stored once per account,
+// tweet and user, so redelivered payloads don't count twice.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Index like_events for webhook deliveries';
+
+export async function up(db) {
+  await ensureIndexes(db, 'like_events', [
+    { key: { account_id: 1, tweet_id: 1, user_id: 1 }, options: { unique: true, name: 'like_event_unique' } },
+    { key: { liked_at: 1 }, options: { name: 'like_event_date' } }
+  ]);
+}
+
+export async function down(db) {
+  await dropIndexes(db, 'like_events', ['like_event_unique', 'like_event_date']);
+}
@@ -0,0 +1,17 @@
+// llm_gateway.mjs logs every model call to `llm_calls`; retention expires
+// them by created_at and usage is summarized per profile.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Index llm_calls by date and profile';
+
+export async function up(db) {
+  await ensureIndexes(db, 'llm_calls', [
+    { key: { created_at: 1 }, options: { name: 'llm_call_date' } },
+    { key: { profile: 1, created_at: -1 }, options: { name: 'llm_call_profile_date' } }
+  ]);
+}
+
+export async function down(db) {
+  await dropIndexes(db, 'llm_calls', ['llm_call_date', 'llm_call_profile_date']);
+}
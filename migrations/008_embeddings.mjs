@@ -0,0 +1,20 @@
+// embeddings.mjs stores vectors on responses and tweets and searches the
+// newest documents embedded with the current model.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Index embedded responses and tweets by model';
+
+export async function up(db) {
+  await ensureIndexes(db, 'responses', [
+    { key: { account_id: 1, 'embedding.model': 1, posted_at: -1 }, options: { name: 'response_account_embedding' } }
+  ]);
+  await ensureIndexes(db, 'tweets', [
+    { key: { author_id: 1, 'embedding.model': 1, created_at: -1 }, options: { name: 'tweet_author_embedding' } }
+  ]);
+}
+
+export async function down(db) {
+  await dropIndexes(db, 'responses', ['response_account_embedding']);
+  await dropIndexes(db, 'tweets', ['tweet_author_embedding']);
+}
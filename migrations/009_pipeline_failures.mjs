@@ -0,0 +1,61 @@
+// pipeline_failures.mjs tracks failed context building, generation and
+// posting per stage, account and tweet. Responses that failed to post used to
+// be flagged `posted: false` and never retried; they become dead-lettered
+// posting failures that can be requeued.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Index pipeline_failures and dead-letter responses that failed to post';
+
+export async function up(db) {
+  await ensureIndexes(db, 'pipeline_failures', [
+    { key: { stage: 1, account_id: 1, tweet_id: 1 }, options: { unique: true, name: 'pipeline_failure_unique' } },
+    { key: { stage: 1, account_id: 1, status: 1, next_attempt_at: 1 }, options: { name: 'pipeline_failure_due' } },
+    { key: { last_failed_at: 1 }, options: { name: 'pipeline_failure_date' } }
+  ]);
+
+  const failed = await db
+    .collection('responses')
+    .find({ posted: false }, { projection: { _id: 1, account_id: 1, tweet_id: 1, error: 1 } })
+    .toArray();
+  if (!failed.length) return;
+  const now = new Date();
+  await db.collection('pipeline_failures').bulkWrite(
+    failed.map((response) => ({
+      updateOne: {
+        filter: { stage: 'posting', account_id: response.account_id, tweet_id: response.tweet_id },
+        update: {
+          $setOnInsert: {
+            attempts: 1,
+            status: 'dead',
+            last_error: response.error || 'Unknown error',
+            errors: [{ at: now, message: response.error || 'Unknown error' }],
+            first_failed_at: now,
+            last_failed_at: now,
+            next_attempt_at: null,
+            dead_at: now,
+            migrated: true
+          }
+        },
+        upsert: true
+      }
+    })),
+    { ordered: false }
+  );
+  await db.collection('responses').updateMany({ _id: { $in: failed.map((r) => r._id) } }, { $unset: { posted: '' } });
+  console.log(`[Migrations] Dead-lettered ${failed.length} responses that failed to post`);
+}
+
+export async function down(db) {
+  const migrated = await db
+    .collection('pipeline_failures')
+    .find({ stage: 'posting', migrated: true, status: 'dead' }, { projection: { account_id: 1, tweet_id: 1 } })
+    .toArray();
+  for (const failure of migrated) {
+    await db.collection('responses').updateOne(
+      { account_id: failure.account_id, tweet_id: failure.tweet_id, posted: { $exists: false } },
+      { $set: { posted: false } }
+    );
+  }
+  await dropIndexes(db, 'pipeline_failures', ['pipeline_failure_unique', 'pipeline_failure_due', 'pipeline_failure_date']);
+}
@@ -0,0 +1,34 @@
+// reply_throttle.mjs counts an account's replies per conversation and per
+// author over time. Responses now store the conversation of the tweet they
+// answer; older ones get it from their tweet.
+
+import { dropIndexes, ensureIndexes } from '../migrate.mjs';
+
+export const description = 'Backfill responses.conversation_id and index replies per conversation and author';
+
+export async function up(db) {
+  await ensureIndexes(db, 'responses', [
+    { key: { account_id: 1, conversation_id: 1, posted_at: 1 }, options: { name: 'response_account_conversation' } },
+    { key: { account_id: 1, author_id: 1, posted_at: 1 }, options: { name: 'response_account_author' } }
+  ]);
+
+  const missing = await db
+    .collection('responses')
+    .find({ conversation_id: { $exists: false } }, { projection: { _id: 1, tweet_id: 1 } })
+    .toArray();
+  if (!missing.length) return;
+  const tweets = await db
+    .collection('tweets')
+    .find({ id: { $in: missing.map((r) => r.tweet_id) }, conversation_id: { $exists: true } }, { projection: { id: 1, conversation_id: 1 } })
+    .toArray();
+  const conversations = new Map(tweets.map((t) => [t.id, t.conversation_id]));
+  const updates = missing
+    .filter((r) => conversations.has(r.tweet_id))
+    .map((r) => ({ updateOne: { filter: { _id: r._id }, update: { $set: { conversation_id: conversations.get(r.tweet_id) } } } }));
+  if (updates.length) await db.collection('responses').bulkWrite(updates, { ordered: false });
+  console.log(`[Migrations] Backfilled conversation_id on ${updates.length} of ${missing.length} responses`);
+}
+
+export async function down(db) {
+  await dropIndexes(db, 'responses', ['response_account_conversation', 'response_account_author']);
+}
@@ -0,0 +1,28 @@
+// Replies posted before responses carried `posted_at` only have the time they
+// were generated or built. The metrics sampler, the embeddings index and the
+// reply throttles all select posted replies by `posted_at`, so those replies
+// get the closest timestamp they have.
+
+export const description = 'Backfill responses.posted_at on posted responses';
+
+export async function up(db) {
+  const result = await db.collection('responses').updateMany(
+    { posted: true, posted_at: { $exists: false } },
+    [
+      {
+        $set: {
+          posted_at: { $ifNull: ['$response_generated_at', '$processed_at', '$created_at', '$$NOW'] },
+          posted_at_backfilled: true
+        }
+      }
+    ]
+  );
+  console.log(`[Migrations] Backfilled posted_at on ${result.modifiedCount} responses`);
+}
+
+export async function down(db) {
+  await db.collection('responses').updateMany(
+    { posted_at_backfilled: true },
+    { $unset: { posted_at: '', posted_at_backfilled: '' } }
+  );
+}
@@ -0,0 +1,149 @@
+// normalize.mjs
+//
+// Converts incoming payloads (Twitter v2, XCache, JSONL) into the canonical
+// tweet, author and media documents stored in MongoDB. Downstream modules
+// read only this shape.
+
+// Bump when the canonical shape changes; normalize_documents.mjs rewrites older documents
+export const SCHEMA_VERSION = 1;
+
+const TWEET_METRICS = ['like_count', 'retweet_count', 'reply_count', 'quote_count', 'bookmark_count', 'impression_count'];
+const USER_METRICS = ['followers_count', 'following_count', 'tweet_count', 'listed_count'];
+
+// Flat fields some sources put at the top level instead of under public_metrics
+export const LEGACY_TWEET_FIELDS = [...TWEET_METRICS, 'author'];
+export const LEGACY_AUTHOR_FIELDS = [...USER_METRICS];
+
+function toDate(value) {
+  if (value === undefined || value === null || value === '') return undefined;
+  const date = value instanceof Date ? value : new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+}
+
+function toId(value) {
+  return value === undefined || value === null ? undefined : String(value);
+}
+
+/**
+ * Drops undefined values so a partial payload never unsets stored fields.
+ */
+function compact(doc) {
+  return Object.fromEntries(Object.entries(doc).filter(([, value]) => value !== undefined));
+}
+
+/**
+ * Collects metrics from `public_metrics` or flat fields.
+ * @returns {object | undefined} Metrics object, or undefined if none are present.
+ */
+function pickMetrics(raw, names) {
+  const metrics = {};
+  for (const name of names) {
+    const value = raw.public_metrics?.[name] ?? raw[name];
+    if (value !== undefined && value !== null && !Number.isNaN(Number(value))) {
+      metrics[name] = Number(value);
+    }
+  }
+  return Object.keys(metrics).length ? metrics : undefined;
+}
+
+/**
+ * Normalizes a media object.
+ * @param {object} raw - Media payload.
+ * @returns {object} Canonical media document.
+ */
+export function normalizeMedia(raw) {
+  return compact({
+    media_key: raw.media_key,
+    type: raw.type,
+    url: raw.url,
+    preview_image_url: raw.preview_image_url,
+    duration_ms: raw.duration_ms,
+    width: raw.width,
+    height: raw.height,
+    alt_text: raw.alt_text,
+    variants: raw.variants,
+    schema_version: SCHEMA_VERSION
+  });
+}
+
+/**
+ * Normalizes a user object.
+ * @param {object} raw - User payload (v2 user, XCache author, or stored document).
+ * @returns {object} Canonical author document (API-derived fields only).
+ */
+export function normalizeAuthor(raw) {
+  return compact({
+    id: toId(raw.id),
+    username: raw.username?.replace(/^@/, ''),
+    name: raw.name,
+    description: raw.description,
+    profile_image_url: raw.profile_image_url,
+    location: raw.location,
+    verified: raw.verified,
+    created_at: toDate(raw.created_at),
+    public_metrics: pickMetrics(raw, USER_METRICS),
+    schema_version: SCHEMA_VERSION
+  });
+}
+
+/**
+ * Normalizes a tweet object.
+ * @param {object} raw - Tweet payload (v2 tweet, XCache tweet, or stored document).
+ * @param {object} [includes] - The page's includes, used to attach media.
+ * @returns {object} Canonical tweet document (API-derived fields only).
+ */
+export function normalizeTweet(raw, includes = {}) {
+  const mediaKeys = raw.attachments?.media_keys || [];
+  const includedMedia = (includes.media || []).filter((m) => mediaKeys.includes(m.media_key));
+  const media = includedMedia.length ? includedMedia : raw.mediaData || [];
+
+  return compact({
+    id: toId(raw.id),
+    text: raw.text,
+    author_id: toId(raw.author_id ?? raw.author?.id),
+    created_at: toDate(raw.created_at),
+    conversation_id: toId(raw.conversation_id),
+    in_reply_to_user_id: toId(raw.in_reply_to_user_id),
+    referenced_tweets: raw.referenced_tweets?.map((ref) => ({ type: ref.type, id: toId(ref.id) })),
+    entities: raw.entities,
+    attachments: raw.attachments,
+    public_metrics: pickMetrics(raw, TWEET_METRICS),
+    context_annotations: raw.context_annotations,
+    lang: raw.lang,
+    possibly_sensitive: raw.possibly_sensitive,
+    source: raw.source,
+    geo: raw.geo,
+    edit_history_tweet_ids: raw.edit_history_tweet_ids?.map(toId),
+    edit_controls: raw.edit_controls && {
+      ...raw.edit_controls,
+      editable_until: toDate(raw.edit_controls.editable_until)
+    },
+    withheld: raw.withheld,
+    mediaData: media.length ? media.map(normalizeMedia) : undefined,
+    schema_version: SCHEMA_VERSION
+  });
+}
+
+/**
+ * Normalizes a whole page ({ data, includes }) into canonical documents.
+ * Authors come from includes.users and from authors embedded on tweets.
+ * @returns {{tweets: Array, authors: Array, media: Array}}
+ */
+export function normalizePage({ data = [], includes = {} } = {}) {
+  const tweets = data.map((tweet) => normalizeTweet(tweet, includes));
+
+  const authors = new Map();
+  for (const user of [...(includes.users || []), ...data.map((t) => t.author).filter(Boolean)]) {
+    const author = normalizeAuthor(user);
+    if (author.id) authors.set(author.id, { ...authors.get(author.id), ...author });
+  }
+
+  const media = new Map();
+  for (const tweet of tweets) {
+    for (const m of tweet.mediaData || []) {
+      if (m.media_key) media.set(m.media_key, m);
+    }
+  }
+
+  return { tweets, authors: [...authors.values()], media: [...media.values()] };
+}
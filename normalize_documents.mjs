@@ -0,0 +1,135 @@
+// normalize_documents.mjs
+//
+// One-off normalizer: rewrites stored tweets, authors and media that predate
+// the current SCHEMA_VERSION into the canonical shape from normalize.mjs.
+//
+// Usage: node normalize_documents.mjs [--dry-run]
+
+import dotenv from 'dotenv';
+import { MongoClient } from 'mongodb';
+import {
+  SCHEMA_VERSION,
+  LEGACY_AUTHOR_FIELDS,
+  LEGACY_TWEET_FIELDS,
+  normalizeAuthor,
+  normalizeMedia,
+  normalizeTweet
+} from './normalize.mjs';
+
+dotenv.config();
+
+const BATCH_SIZE = 500;
+const DRY_RUN = process.argv.includes('--dry-run');
+
+const outdated = { schema_version: { $ne: SCHEMA_VERSION } };
+
+function unsetFields(fields) {
+  return Object.fromEntries(fields.map((field) => [field, '']));
+}
+
+/**
+ * Streams outdated documents from a collection and writes the updates
+ * returned by `buildOps` in batches.
+ * @returns {Promise<number>} Number of documents rewritten.
+ */
+async function rewriteCollection(db, collectionName, buildOps) {
+  const collection = db.collection(collectionName);
+  const cursor = collection.find(outdated);
+  let batch = [];
+  let rewritten = 0;
+
+  const flush = async () => {
+    if (!batch.length) return;
+    const ops = batch.flatMap(buildOps);
+    if (!DRY_RUN) {
+      for (const [target, targetOps] of Object.entries(groupByCollection(ops, collectionName))) {
+        await db.collection(target).bulkWrite(targetOps, { ordered: false });
+      }
+    }
+    rewritten += batch.length;
+    console.log(`[Normalizer] ${collectionName}: ${rewritten} documents ${DRY_RUN ? 'would be ' : ''}rewritten`);
+    batch = [];
+  };
+
+  for await (const doc of cursor) {
+    batch.push(doc);
+    if (batch.length >= BATCH_SIZE) await flush();
+  }
+  await flush();
+  return rewritten;
+}
+
+// Ops may target another collection ({ collection, op }) or the current one (plain op)
+function groupByCollection(ops, defaultCollection) {
+  const grouped = {};
+  for (const entry of ops) {
+    const target = entry.collection || defaultCollection;
+    (grouped[target] ||= []).push(entry.op || entry);
+  }
+  return grouped;
+}
+
+function tweetOps(doc) {
+  const ops = [
+    {
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: normalizeTweet(doc), $unset: unsetFields(LEGACY_TWEET_FIELDS) }
+      }
+    }
+  ];
+  // XCache tweets carried their author inline: keep it as an author document
+  if (doc.author?.id) {
+    const author = normalizeAuthor(doc.author);
+    ops.push({
+      collection: 'authors',
+      op: { updateOne: { filter: { id: author.id }, update: { $set: author }, upsert: true } }
+    });
+  }
+  return ops;
+}
+
+function authorOps(doc) {
+  return [
+    {
+      updateOne: {
+        filter: { _id: doc._id },
+        update: { $set: normalizeAuthor(doc), $unset: unsetFields(LEGACY_AUTHOR_FIELDS) }
+      }
+    }
+  ];
+}
+
+function mediaOps(doc) {
+  return [{ updateOne: { filter: { _id: doc._id }, update: { $set: normalizeMedia(doc) } } }];
+}
+
+/**
+ * Rewrites every outdated document.
+ * @param {Db} db - MongoDB Db instance.
+ * @returns {Promise<object>} Count of rewritten documents per collection.
+ */
+async function normalizeStoredDocuments(db) {
+  return {
+    tweets: await rewriteCollection(db, 'tweets', tweetOps),
+    authors: await rewriteCollection(db, 'authors', authorOps),
+    media: await rewriteCollection(db, 'media', mediaOps)
+  };
+}
+
+async function main() {
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    console.log(`[Normalizer] Connected. Normalizing to schema version ${SCHEMA_VERSION}${DRY_RUN ? ' (dry run)' : ''}...`);
+    const summary = await normalizeStoredDocuments(client.db(process.env.DB_NAME));
+    console.log('[Normalizer] Done:', summary);
+  } finally {
+    await client.close();
+  }
+}
+
+main().catch((error) => {
+  console.error('[Normalizer] Fatal error:', error);
+  process.exit(1);
+});
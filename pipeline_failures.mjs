@@ -0,0 +1,233 @@
+// pipeline_failures.mjs
+//
+// Failure tracking for the three reply stages: building context
+// (llm_response_context.mjs), generating the reply (generate_responses.mjs) and
+// posting it (xresponder.mjs). Each failing tweet gets one document per stage
+// and account in `pipeline_failures` with its attempt count, recent errors and
+// the time of the next retry, doubling the wait after every failure. After
+// PIPELINE_MAX_ATTEMPTS failures it is dead-lettered and left alone until it
+// is requeued through the API or this script:
+//   node pipeline_failures.mjs list [context|generation|posting] [--account <id>] [--status retrying|dead]
+//   node pipeline_failures.mjs requeue <stage> <tweet_id> [--account <id>]
+//   node pipeline_failures.mjs requeue-all <stage> [--account <id>]
+
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { MongoClient } from 'mongodb';
+
+export const PIPELINE_STAGES = {
+  CONTEXT: 'context',
+  GENERATION: 'generation',
+  POSTING: 'posting'
+};
+
+export const FAILURE_STATUS = {
+  RETRYING: 'retrying',
+  DEAD: 'dead'
+};
+
+const MAX_ERRORS_KEPT = 10;
+
+// Read at construction so values from .env apply
+function defaultPolicy() {
+  return {
+    maxAttempts: parseInt(process.env.PIPELINE_MAX_ATTEMPTS || '5', 10),
+    baseDelayMs: parseFloat(process.env.PIPELINE_RETRY_BASE_MINUTES || '5') * 60 * 1000,
+    maxDelayMs: parseFloat(process.env.PIPELINE_RETRY_MAX_MINUTES || '360') * 60 * 1000
+  };
+}
+
+/**
+ * Wait before the next attempt after `attempts` failures.
+ * @param {number} attempts - Failures so far (1 after the first).
+ * @param {object} policy - { baseDelayMs, maxDelayMs }
+ * @returns {number} Milliseconds.
+ */
+export function retryDelay(attempts, { baseDelayMs, maxDelayMs }) {
+  return Math.min(baseDelayMs * 2 ** Math.max(0, attempts - 1), maxDelayMs);
+}
+
+/**
+ * Records failures per stage, account and tweet, and decides which tweets a
+ * stage should leave out for now.
+ */
+export class PipelineFailures {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} [options]
+   * @param {object} [options.policy] - Overrides for { maxAttempts, baseDelayMs, maxDelayMs }.
+   */
+  constructor(db, { policy = {} } = {}) {
+    this.db = db;
+    this.failuresCollection = db.collection('pipeline_failures');
+    this.policy = { ...defaultPolicy(), ...policy };
+  }
+
+  /**
+   * Counts a failed attempt and schedules the next one, or dead-letters the
+   * tweet once it has used up its attempts.
+   * @param {string} stage - One of PIPELINE_STAGES.
+   * @param {string} accountId
+   * @param {string} tweetId
+   * @param {Error|string} error
+   * @returns {Promise<object>} The updated failure document.
+   */
+  async recordFailure(stage, accountId, tweetId, error) {
+    const message = error?.message || String(error);
+    const now = new Date();
+    const previous = await this.failuresCollection.findOne({ stage, account_id: accountId, tweet_id: tweetId });
+    const attempts = (previous?.attempts || 0) + 1;
+    const dead = attempts >= this.policy.maxAttempts;
+
+    const failure = await this.failuresCollection.findOneAndUpdate(
+      { stage, account_id: accountId, tweet_id: tweetId },
+      {
+        $set: {
+          attempts,
+          status: dead ? FAILURE_STATUS.DEAD : FAILURE_STATUS.RETRYING,
+          last_error: message,
+          last_failed_at: now,
+          next_attempt_at: dead ? null : new Date(now.getTime() + retryDelay(attempts, this.policy)),
+          ...(dead && { dead_at: now })
+        },
+        $push: { errors: { $each: [{ at: now, message }], $slice: -MAX_ERRORS_KEPT } },
+        $setOnInsert: { stage, account_id: accountId, tweet_id: tweetId, first_failed_at: now }
+      },
+      { upsert: true, returnDocument: 'after' }
+    );
+
+    if (dead) {
+      console.warn(`[Failures] ${stage} of tweet ${tweetId} (${accountId}) dead-lettered after ${attempts} attempts: ${message}`);
+    } else {
+      console.log(`[Failures] ${stage} of tweet ${tweetId} (${accountId}) failed (attempt ${attempts}/${this.policy.maxAttempts}); retrying after ${failure.next_attempt_at.toISOString()}`);
+    }
+    return failure;
+  }
+
+  /**
+   * Clears a tweet's failures at a stage once it went through.
+   * @param {string} stage
+   * @param {string} accountId
+   * @param {string} tweetId
+   */
+  async recordSuccess(stage, accountId, tweetId) {
+    await this.failuresCollection.deleteOne({ stage, account_id: accountId, tweet_id: tweetId });
+  }
+
+  /**
+   * Tweets a stage should skip for an account: dead-lettered ones and those
+   * whose next retry isn't due yet.
+   * @param {string} stage
+   * @param {string} accountId
+   * @returns {Promise<string[]>} Tweet ids, for a `$nin` filter.
+   */
+  async blockedTweetIds(stage, accountId) {
+    return this.failuresCollection.distinct('tweet_id', {
+      stage,
+      account_id: accountId,
+      $or: [{ status: FAILURE_STATUS.DEAD }, { next_attempt_at: { $gt: new Date() } }]
+    });
+  }
+
+  /**
+   * Lists failures, most recent first.
+   * @param {object} [options] - { stage, accountId, status, limit, skip }
+   * @returns {Promise<Array>}
+   */
+  async list({ stage, accountId, status = FAILURE_STATUS.DEAD, limit = 50, skip = 0 } = {}) {
+    const filter = {
+      ...(stage && { stage }),
+      ...(accountId && { account_id: accountId }),
+      ...(status && { status })
+    };
+    return this.failuresCollection.find(filter).sort({ last_failed_at: -1 }).skip(skip).limit(limit).toArray();
+  }
+
+  /**
+   * Failures per stage and status.
+   * @returns {Promise<Array>} [{ stage, status, count }]
+   */
+  async counts() {
+    return this.failuresCollection
+      .aggregate([
+        { $group: { _id: { stage: '$stage', status: '$status' }, count: { $sum: 1 } } },
+        { $sort: { '_id.stage': 1, '_id.status': 1 } },
+        { $project: { _id: 0, stage: '$_id.stage', status: '$_id.status', count: 1 } }
+      ])
+      .toArray();
+  }
+
+  /**
+   * Gives dead-lettered tweets a fresh set of attempts, due at once. The
+   * error history is kept.
+   * @param {string} stage
+   * @param {object} [options]
+   * @param {string} [options.tweetId] - One tweet; every dead-lettered tweet of the stage when omitted.
+   * @param {string} [options.accountId] - Only this account's failures.
+   * @returns {Promise<number>} Failures requeued.
+   */
+  async requeue(stage, { tweetId, accountId } = {}) {
+    const result = await this.failuresCollection.updateMany(
+      {
+        stage,
+        status: FAILURE_STATUS.DEAD,
+        ...(tweetId && { tweet_id: tweetId }),
+        ...(accountId && { account_id: accountId })
+      },
+      {
+        $set: { status: FAILURE_STATUS.RETRYING, attempts: 0, next_attempt_at: new Date(), requeued_at: new Date() },
+        $unset: { dead_at: '' }
+      }
+    );
+    if (result.modifiedCount) console.log(`[Failures] Requeued ${result.modifiedCount} ${stage} failure(s)`);
+    return result.modifiedCount;
+  }
+}
+
+function flag(name) {
+  const index = process.argv.indexOf(name);
+  return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+async function main() {
+  dotenv.config();
+  const [command = 'list', stage, tweetId] = process.argv.slice(2).filter((arg, i, args) => !arg.startsWith('--') && !args[i - 1]?.startsWith('--'));
+  const accountId = flag('--account');
+  if (stage && !Object.values(PIPELINE_STAGES).includes(stage)) {
+    throw new Error(`[Failures] Unknown stage: ${stage} (expected ${Object.values(PIPELINE_STAGES).join(', ')})`);
+  }
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const failures = new PipelineFailures(client.db(process.env.DB_NAME));
+
+    if (command === 'list') {
+      const entries = await failures.list({ stage, accountId, status: flag('--status') || FAILURE_STATUS.DEAD, limit: 200 });
+      for (const entry of entries) {
+        console.log(`${entry.stage.padEnd(11)} ${entry.account_id.padEnd(12)} ${entry.tweet_id.padEnd(20)} ${entry.status} x${entry.attempts}  ${entry.last_error}`);
+      }
+      console.log(`${entries.length} failure(s)`);
+    } else if (command === 'requeue' && stage && tweetId) {
+      const count = await failures.requeue(stage, { tweetId, accountId });
+      if (!count) console.log(`No dead-lettered ${stage} failure for tweet ${tweetId}`);
+    } else if (command === 'requeue-all' && stage) {
+      console.log(`Requeued ${await failures.requeue(stage, { accountId })} failure(s)`);
+    } else {
+      throw new Error(
+        'Usage: node pipeline_failures.mjs [list [stage] [--status retrying|dead] | requeue <stage> <tweet_id> | requeue-all <stage>] [--account <id>]'
+      );
+    }
+  } finally {
+    await client.close();
+  }
+}
+
+// Run as a script, not when imported by the pipeline
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('[Failures] Fatal error:', error);
+    process.exit(1);
+  });
+}
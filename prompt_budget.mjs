@@ -0,0 +1,171 @@
+// prompt_budget.mjs
+//
+// Keeps assembled prompts inside the model's context window. A prompt is a
+// fixed part (instructions, headers) plus sections made of units (thread
+// messages, image descriptions, past interactions, author posts). Each
+// section is granted tokens by priority and share of the budget; a section
+// over its grant drops whole units from its far end and says how many it
+// left out.
+//
+// Priority, highest first: target tweet > thread tail > vision > history >
+// related past exchanges > author posts.
+
+import { llm } from './llm_gateway.mjs';
+
+export const SECTION_PRIORITY = ['target', 'thread', 'vision', 'history', 'related', 'author_posts'];
+
+// Share of the budget a section is guaranteed before leftovers go out by priority
+export const DEFAULT_SHARES = {
+  target: 1,
+  thread: 0.4,
+  vision: 0.15,
+  history: 0.2,
+  related: 0.15,
+  author_posts: 0.2
+};
+
+const OMISSION_NOTE_TOKENS = 16;
+
+// The target tweet always goes in, cut to at least this many tokens if the
+// budget is used up (e.g. by a long system prompt), even if that overruns it
+const MIN_TARGET_TOKENS = 64;
+
+/**
+ * Rough token count: about four characters per token for ASCII text, one per
+ * character otherwise (emoji, CJK). Errs high for non-English text.
+ * @param {string} text
+ * @returns {number}
+ */
+export function estimateTokens(text) {
+  if (!text) return 0;
+  const ascii = text.replace(/[^\x00-\x7F]/g, '').length;
+  return Math.ceil(ascii / 4) + (text.length - ascii);
+}
+
+/**
+ * Tokens left for a prompt sent through an LLM profile: the context window
+ * minus the completion's max_tokens and whatever else shares the request.
+ * @param {string} profileName - Profile in assets/llm_profiles.json.
+ * @param {object} [options]
+ * @param {Array<string|number>} [options.reserved] - Texts (estimated) or token counts sent alongside, e.g. the system prompt.
+ * @returns {Promise<number>}
+ */
+export async function promptBudget(profileName, { reserved = [] } = {}) {
+  const settings = await llm.profileSettings(profileName);
+  const reservedTokens = reserved.reduce(
+    (sum, item) => sum + (typeof item === 'number' ? item : estimateTokens(item)),
+    0
+  );
+  return Math.max(0, settings.context_window - (settings.max_tokens || 0) - reservedTokens);
+}
+
+// Cuts a single unit to roughly `tokens`, keeping the side closest to the prompt's focus
+function cutUnit(unit, tokens, keep) {
+  const chars = Math.max(0, tokens * 4 - 1);
+  if (unit.length <= chars) return unit;
+  return keep === 'tail' ? `…${unit.slice(unit.length - chars)}` : `${unit.slice(0, chars)}…`;
+}
+
+/**
+ * Keeps as many units as fit in `tokens`, from the head or the tail.
+ * @returns {{text: string, kept: number, dropped: number}}
+ */
+function truncateUnits(units, tokens, { keep = 'head', joiner = '\n', noun = 'items', minTokens = 0 } = {}) {
+  const full = units.join(joiner);
+  if (estimateTokens(full) <= tokens) return { text: full, kept: units.length, dropped: 0 };
+
+  const available = Math.max(0, tokens - OMISSION_NOTE_TOKENS);
+  const ordered = keep === 'tail' ? [...units].reverse() : [...units];
+  const kept = [];
+  let used = 0;
+  for (const unit of ordered) {
+    const cost = estimateTokens(unit) + estimateTokens(joiner);
+    if (used + cost > available) break;
+    kept.push(unit);
+    used += cost;
+  }
+  // Not even one unit fits: keep part of the closest one
+  const cutTokens = Math.max(available, minTokens);
+  if (!kept.length && ordered.length && cutTokens > 0) kept.push(cutUnit(ordered[0], cutTokens, keep));
+
+  const dropped = units.length - kept.length;
+  if (keep === 'tail') kept.reverse();
+  if (!dropped) return { text: kept.join(joiner), kept: kept.length, dropped };
+  const note = keep === 'tail'
+    ? `[${dropped} earlier ${noun} omitted to fit the prompt]`
+    : `[${dropped} more ${noun} omitted to fit the prompt]`;
+  return {
+    text: keep === 'tail' ? [note, ...kept].join(joiner) : [...kept, note].join(joiner),
+    kept: kept.length,
+    dropped
+  };
+}
+
+/**
+ * Fits sections into a token budget. Each section first gets up to its share
+ * of the budget, in priority order; tokens left over then go to sections that
+ * still need more, again in priority order. The target is never left out.
+ * @param {Array<{name: string, units: string[], keep?: 'head'|'tail', joiner?: string, noun?: string}>} sections
+ *   keep: 'tail' keeps the newest units of a chronological list (thread, author posts).
+ * @param {number} budgetTokens - Tokens for all sections together.
+ * @param {object} [options]
+ * @param {object} [options.shares] - Overrides for DEFAULT_SHARES.
+ * @returns {{texts: object, report: Array<{name: string, need: number, granted: number, used: number, dropped: number}>}}
+ *   texts maps each section name to its fitted text.
+ */
+export function fitSections(sections, budgetTokens, { shares = {} } = {}) {
+  const rank = (name) => {
+    const index = SECTION_PRIORITY.indexOf(name);
+    return index === -1 ? SECTION_PRIORITY.length : index;
+  };
+  const ordered = [...sections].sort((a, b) => rank(a.name) - rank(b.name));
+  const sharesByName = { ...DEFAULT_SHARES, ...shares };
+
+  const needs = new Map(ordered.map((s) => [s.name, estimateTokens(s.units.join(s.joiner ?? '\n'))]));
+  const grants = new Map();
+  // A budget below zero (reserved texts larger than the window) leaves nothing to share
+  const budget = Math.max(0, budgetTokens);
+  let remaining = budget;
+  for (const section of ordered) {
+    const guaranteed = Math.floor((sharesByName[section.name] || 0) * budget);
+    const grant = Math.min(needs.get(section.name), guaranteed, remaining);
+    grants.set(section.name, grant);
+    remaining -= grant;
+  }
+  for (const section of ordered) {
+    const extra = Math.min(needs.get(section.name) - grants.get(section.name), remaining);
+    grants.set(section.name, grants.get(section.name) + extra);
+    remaining -= extra;
+  }
+
+  const texts = {};
+  const report = [];
+  for (const section of ordered) {
+    const minTokens = section.name === 'target' ? MIN_TARGET_TOKENS : 0;
+    const { text, dropped } = truncateUnits(section.units, Math.max(grants.get(section.name), Math.min(minTokens, needs.get(section.name))), {
+      ...section,
+      minTokens
+    });
+    texts[section.name] = text;
+    report.push({
+      name: section.name,
+      need: needs.get(section.name),
+      granted: grants.get(section.name),
+      used: estimateTokens(text),
+      dropped
+    });
+  }
+  return { texts, report };
+}
+
+/**
+ * One-line summary of the sections that had to be cut, for logs.
+ * @param {Array} report - From fitSections().
+ * @returns {string} Empty when everything fit.
+ */
+export function describeTruncation(report) {
+  return report
+    .filter((entry) => entry.used < entry.need)
+    .map((entry) => `${entry.name} ${entry.need}→${entry.used} tokens${entry.dropped ? ` (-${entry.dropped})` : ''}`)
+    .join(', ');
+}
@@ -0,0 +1,139 @@
+// quarantine.mjs
+//
+// Tweets dropped by the content filter at ingest are kept in the `quarantine`
+// collection with the rules that caught them, so false positives can be
+// reviewed and released back into the pipeline. Per-rule counters live in
+// `filter_rule_stats`.
+
+export const QUARANTINE_STATUS = {
+  PENDING: 'pending',
+  RELEASED: 'released',
+  DISCARDED: 'discarded'
+};
+
+/**
+ * Stores, lists and reviews quarantined tweets.
+ */
+export class QuarantineService {
+  constructor(db) {
+    this.db = db;
+    this.quarantineCollection = db.collection('quarantine');
+    this.ruleStatsCollection = db.collection('filter_rule_stats');
+  }
+
+  /**
+   * Stores filtered tweets. A tweet already in quarantine only has its
+   * sighting updated, so rule hits are counted once per tweet.
+   * @param {Array<{tweet: object, matched: string[], stage: string}>} entries
+   */
+  async quarantine(entries) {
+    for (const { tweet, matched, stage } of entries) {
+      const result = await this.quarantineCollection.updateOne(
+        { tweet_id: tweet.id },
+        {
+          $set: { last_seen_at: new Date() },
+          $inc: { times_seen: 1 },
+          $setOnInsert: {
+            tweet_id: tweet.id,
+            tweet,
+            matched_rules: matched,
+            stage,
+            status: QUARANTINE_STATUS.PENDING,
+            quarantined_at: new Date()
+          }
+        },
+        { upsert: true }
+      );
+      if (result.upsertedCount) {
+        await this._incrementRules(matched, { hits: 1 }, { last_hit_at: new Date() });
+        console.log(`[Quarantine] Quarantined tweet ${tweet.id} (rules: ${matched.join(', ')})`);
+      }
+    }
+  }
+
+  /**
+   * Returns the review status of tweets that have already been reviewed.
+   * @param {string[]} tweetIds
+   * @returns {Promise<Map<string, string>>} tweet_id -> 'released' | 'discarded'
+   */
+  async getReviewedStatuses(tweetIds) {
+    if (!tweetIds.length) return new Map();
+    const reviewed = await this.quarantineCollection
+      .find(
+        { tweet_id: { $in: tweetIds }, status: { $ne: QUARANTINE_STATUS.PENDING } },
+        { projection: { tweet_id: 1, status: 1 } }
+      )
+      .toArray();
+    return new Map(reviewed.map((doc) => [doc.tweet_id, doc.status]));
+  }
+
+  /**
+   * Lists quarantined tweets, newest first.
+   * @param {object} [options] - { status, rule, limit, skip }
+   */
+  async list({ status = QUARANTINE_STATUS.PENDING, rule, limit = 50, skip = 0 } = {}) {
+    const filter = { ...(status && { status }), ...(rule && { matched_rules: rule }) };
+    return this.quarantineCollection
+      .find(filter)
+      .sort({ quarantined_at: -1 })
+      .skip(skip)
+      .limit(limit)
+      .toArray();
+  }
+
+  /**
+   * Releases a pending tweet: writes it to `tweets` without processing
+   * status, so the context builder picks it up like a new tweet.
+   * @returns {Promise<object | null>} The released tweet, or null if there was no pending entry.
+   */
+  async release(tweetId) {
+    const entry = await this._review(tweetId, QUARANTINE_STATUS.RELEASED);
+    if (!entry) return null;
+    await this.db.collection('tweets').updateOne({ id: tweetId }, { $set: entry.tweet }, { upsert: true });
+    await this._incrementRules(entry.matched_rules, { released: 1 });
+    console.log(`[Quarantine] Released tweet ${tweetId}`);
+    return entry.tweet;
+  }
+
+  /**
+   * Permanently discards a pending tweet. The tweet payload is removed and a
+   * tombstone is kept so the tweet isn't quarantined again if re-ingested.
+   * @returns {Promise<boolean>} False if there was no pending entry.
+   */
+  async discard(tweetId) {
+    const entry = await this._review(tweetId, QUARANTINE_STATUS.DISCARDED, { tweet: '' });
+    if (!entry) return false;
+    await this._incrementRules(entry.matched_rules, { discarded: 1 });
+    console.log(`[Quarantine] Discarded tweet ${tweetId}`);
+    return true;
+  }
+
+  /**
+   * Per-rule counters, most hit first.
+   * @returns {Promise<Array>} [{ rule_id, hits, released, discarded, last_hit_at }]
+   */
+  async ruleStats() {
+    return this.ruleStatsCollection.find({}, { projection: { _id: 0 } }).sort({ hits: -1 }).toArray();
+  }
+
+  async _review(tweetId, status, unset) {
+    return this.quarantineCollection.findOneAndUpdate(
+      { tweet_id: tweetId, status: QUARANTINE_STATUS.PENDING },
+      { $set: { status, reviewed_at: new Date() }, ...(unset && { $unset: unset }) },
+      { returnDocument: 'before' }
+    );
+  }
+
+  async _incrementRules(ruleIds, counters, set) {
+    if (!ruleIds?.length) return;
+    await this.ruleStatsCollection.bulkWrite(
+      ruleIds.map((ruleId) => ({
+        updateOne: {
+          filter: { rule_id: ruleId },
+          update: { $inc: counters, ...(set && { $set: set }) },
+          upsert: true
+        }
+      }))
+    );
+  }
+}
@@ -0,0 +1,205 @@
+// rate_limits.mjs
+//
+// Rate-limit budgets shared by every process that talks to X. Each endpoint's
+// limit/remaining/reset is taken from the x-rate-limit-* headers that
+// twitter-api-v2 exposes and kept in the `rate_limits` collection, so the
+// scraper, the poster and the liker draw from the same budget. Budgets belong
+// to the user token that spends them, so each account has its own.
+//
+// Attach the store to a client as a plugin:
+//   const store = new RateLimitStore(db);
+//   const client = new TwitterApi(tokens, { plugins: [store.plugin()] });
+// Every request then waits for budget before it is sent and records the
+// headers of its response.
+
+import { DEFAULT_ACCOUNT_ID } from './accounts.mjs';
+
+const MAX_WAIT_MS = 16 * 60 * 1000; // longer waits than one window fail instead of blocking
+
+function sleep(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+/**
+ * Builds the budget key for a request, e.g. 'GET /2/users/:id/mentions'.
+ * Numeric path segments and usernames are collapsed so one endpoint shares one budget.
+ * @param {string} method - HTTP method.
+ * @param {URL | string} url - Request URL.
+ * @returns {string}
+ */
+export function endpointKey(method, url) {
+  const { pathname } = new URL(url);
+  const [version, ...segments] = pathname.replace(/\/by\/username\/[^/]+/, '/by/username/:username').slice(1).split('/');
+  const path = [version, ...segments.map((segment) => (/^\d+$/.test(segment) ? ':id' : segment))].join('/');
+  return `${method.toUpperCase()} /${path}`;
+}
+
+function toBudget({ limit, remaining, reset }) {
+  return { limit, remaining, reset_at: new Date(reset * 1000) };
+}
+
+// Aggregation expression for a budget's `remaining` after one request. A window
+// whose reset has passed starts again from its limit until new headers arrive,
+// and the count never goes below 0.
+function takeOne(remaining, limit, resetAt, now) {
+  const left = { $cond: [{ $lte: [resetAt, now] }, limit, remaining] };
+  return { $max: [{ $subtract: [{ $ifNull: [left, 0] }, 1] }, 0] };
+}
+
+/**
+ * Reads and updates per-endpoint budgets in the `rate_limits` collection.
+ *
+ * Budget document:
+ *   account_id   - account whose tokens spend the budget
+ *   endpoint     - key from endpointKey()
+ *   limit        - requests allowed per window
+ *   remaining    - requests left in the current window
+ *   reset_at     - when the window resets
+ *   day          - { limit, remaining, reset_at } for endpoints with a 24-hour cap
+ *   last_limited_at - last time the endpoint answered 429
+ */
+export class RateLimitStore {
+  /**
+   * @param {Db} [db] - MongoDB Db instance. Without one the store is a pass-through until attach().
+   * @param {object} [options]
+   * @param {string} [options.accountId] - Account whose budgets this store gates.
+   */
+  constructor(db = null, { accountId = DEFAULT_ACCOUNT_ID } = {}) {
+    this.collection = db ? db.collection('rate_limits') : null;
+    this.accountId = accountId;
+  }
+
+  /**
+   * Connects a store created before the database was available.
+   * @param {Db} db
+   */
+  attach(db) {
+    this.collection = db.collection('rate_limits');
+  }
+
+  /** Whether budgets are persisted (and enforced) yet. */
+  get attached() {
+    return this.collection !== null;
+  }
+
+  /**
+   * twitter-api-v2 client plugin that gates requests and records rate-limit headers.
+   * @returns {object}
+   */
+  plugin() {
+    return {
+      onBeforeRequest: async ({ url, params }) => {
+        await this.acquire(endpointKey(params.method, url));
+      },
+      onAfterRequest: async ({ url, params, response }) => {
+        if (response.rateLimit) await this.record(endpointKey(params.method, url), response.rateLimit);
+      },
+      onResponseError: async ({ url, params, error }) => {
+        if (!error.rateLimit) return;
+        await this.record(endpointKey(params.method, url), error.rateLimit, { limited: error.code === 429 });
+      }
+    };
+  }
+
+  /**
+   * Takes one request from an endpoint's budget, waiting for the window to
+   * reset when it is used up. Endpoints without a recorded budget, or whose
+   * window has already reset, go through and are recorded from the response.
+   * @param {string} endpoint
+   * @throws {Error} If the budget won't reset within MAX_WAIT_MS (e.g. a 24-hour cap).
+   */
+  async acquire(endpoint) {
+    if (!this.collection) return;
+
+    while (true) {
+      const now = new Date();
+      const taken = await this.collection.findOneAndUpdate(
+        {
+          account_id: this.accountId,
+          endpoint,
+          $and: [
+            { $or: [{ remaining: { $gt: 0 } }, { reset_at: { $lte: now } }] },
+            { $or: [{ day: null }, { 'day.remaining': { $gt: 0 } }, { 'day.reset_at': { $lte: now } }] }
+          ]
+        },
+        // Pipeline update, so the 24-hour budget is only taken from when the endpoint has one
+        [
+          {
+            $set: {
+              remaining: takeOne('$remaining', '$limit', '$reset_at', now),
+              day: {
+                $cond: [
+                  { $eq: [{ $type: '$day.remaining' }, 'missing'] },
+                  '$day',
+                  { $mergeObjects: ['$day', { remaining: takeOne('$day.remaining', '$day.limit', '$day.reset_at', now) }] }
+                ]
+              }
+            }
+          }
+        ]
+      );
+      if (taken) return;
+
+      const budget = await this.collection.findOne({ account_id: this.accountId, endpoint });
+      if (!budget) return;
+
+      const blockedUntil = [
+        budget.remaining <= 0 ? budget.reset_at : null,
+        budget.day?.remaining <= 0 ? budget.day.reset_at : null
+      ]
+        .filter((resetAt) => resetAt && resetAt > now)
+        .reduce((latest, resetAt) => (!latest || resetAt > latest ? resetAt : latest), null);
+      // Raced with a reset or a header update; take the budget again
+      if (!blockedUntil) continue;
+
+      const waitMs = blockedUntil.getTime() - now.getTime() + 1000;
+      if (waitMs > MAX_WAIT_MS) {
+        throw new Error(
+          `[RateLimits] ${this.accountId} ${endpoint} budget exhausted until ${blockedUntil.toISOString()}`
+        );
+      }
+      console.log(`[RateLimits] ${this.accountId} ${endpoint} budget exhausted, waiting ${Math.ceil(waitMs / 1000)}s for reset`);
+      await sleep(waitMs);
+    }
+  }
+
+  /**
+   * Records the rate-limit headers of a response.
+   * @param {string} endpoint
+   * @param {object} rateLimit - twitter-api-v2 rateLimit ({ limit, remaining, reset, day }).
+   * @param {object} [options] - { limited: true } when the response was a 429.
+   */
+  async record(endpoint, rateLimit, { limited = false } = {}) {
+    if (!this.collection) return;
+    await this.collection.updateOne(
+      { account_id: this.accountId, endpoint },
+      {
+        $set: {
+          ...toBudget(rateLimit),
+          ...(limited && { remaining: 0, last_limited_at: new Date() }),
+          ...(rateLimit.day && { day: toBudget(rateLimit.day) }),
+          updated_at: new Date()
+        }
+      },
+      { upsert: true }
+    );
+  }
+
+  /**
+   * Current budget per account and endpoint. Windows that have already reset report their full limit.
+   * @param {object} [options] - { accountId } to list one account only.
+   * @returns {Promise<Array>} [{ account_id, endpoint, limit, remaining, reset_at, day, updated_at }]
+   */
+  async list({ accountId } = {}) {
+    if (!this.collection) return [];
+    const now = new Date();
+    const budgets = await this.collection
+      .find(accountId ? { account_id: accountId } : {}, { projection: { _id: 0 } })
+      .sort({ account_id: 1, endpoint: 1 })
+      .toArray();
+    return budgets.map((budget) => ({
+      ...budget,
+      remaining: budget.reset_at <= now ? budget.limit : Math.max(budget.remaining, 0)
+    }));
+  }
+}
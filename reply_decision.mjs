@@ -0,0 +1,271 @@
+// reply_decision.mjs
+//
+// Decides, between context building and generation, whether a tweet is worth
+// a reply, only a like, or nothing. Heuristics score the tweet from 0 to 1:
+// substance of the text, questions, direct mentions, quote tweets, how often
+// we already replied in the thread, the follow relationship and how spammy the
+// author looks (account age, followers, tweet rate, default avatar, numbered
+// handle, tweets held in quarantine). With REPLY_DECISION_LLM=true the
+// 'reply_decision' profile also classifies the tweet and its verdict is
+// blended into the score. The decision and its reasons are stored on the
+// response as `decision`; generate_responses.mjs only answers 'reply' and
+// xresponder.mjs likes the tweets decided 'like'.
+
+import { llm } from './llm_gateway.mjs';
+import { promptBudget } from './prompt_budget.mjs';
+import { renderContext } from './context_renderer.mjs';
+import { alwaysReplyTo } from './accounts.mjs';
+
+export const DECISIONS = {
+  REPLY: 'reply',
+  LIKE: 'like',
+  IGNORE: 'ignore'
+};
+
+// Bump when the heuristics change, so stored decisions can be told apart
+export const DECISION_VERSION = 1;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Score a classifier verdict stands for when blended with the heuristics
+const CLASSIFIER_SCORES = { reply: 0.9, like: 0.35, ignore: 0 };
+
+// Replies that carry nothing to answer
+const LOW_EFFORT = /^(gm|gn|good (morning|night)|lol|lmao|haha+|wow|nice|based|same|this|ok(ay)?|ty|thanks|true|fr|\p{Extended_Pictographic}|\s)+[!.]*$/iu;
+
+// Read at construction so values from .env apply
+function defaultOptions() {
+  return {
+    replyThreshold: parseFloat(process.env.REPLY_THRESHOLD || '0.5'),
+    likeThreshold: parseFloat(process.env.LIKE_THRESHOLD || '0.25'),
+    spamThreshold: parseFloat(process.env.SPAM_AUTHOR_THRESHOLD || '0.7'),
+    useClassifier: (process.env.REPLY_DECISION_LLM || 'false').toLowerCase() === 'true',
+    classifierWeight: parseFloat(process.env.REPLY_DECISION_LLM_WEIGHT || '0.5'),
+    alwaysReplyTo: alwaysReplyTo()
+  };
+}
+
+/**
+ * The words of a tweet once mentions and links are removed.
+ * @param {string} text
+ * @returns {string}
+ */
+export function substantiveText(text) {
+  return (text || '')
+    .replace(/https?:\/\/\S+/g, ' ')
+    .replace(/(^|\s)@\w+/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * How much an author looks like a spam or bot account, from 0 to 1.
+ * @param {object|null} author - Author document (public_metrics, created_at, profile_image_url, username).
+ * @param {object} [signals]
+ * @param {number} [signals.quarantined] - The author's tweets held in quarantine.
+ * @param {Date} [signals.now]
+ * @returns {{score: number, reasons: string[]}}
+ */
+export function authorSpamScore(author, { quarantined = 0, now = new Date() } = {}) {
+  if (!author) return { score: 0.3, reasons: ['author unknown'] };
+  const reasons = [];
+  let score = 0;
+  const metrics = author.public_metrics || {};
+  const ageDays = author.created_at ? (now - new Date(author.created_at)) / DAY_MS : null;
+
+  if (ageDays !== null && ageDays < 30) {
+    score += 0.25;
+    reasons.push(`account ${Math.floor(ageDays)} days old`);
+  }
+  if ((metrics.followers_count ?? Infinity) < 10) {
+    score += 0.2;
+    reasons.push(`${metrics.followers_count} followers`);
+  }
+  if ((metrics.following_count || 0) > 500 && (metrics.following_count || 0) > 20 * (metrics.followers_count || 1)) {
+    score += 0.2;
+    reasons.push('follows far more accounts than follow it');
+  }
+  if (ageDays && (metrics.tweet_count || 0) / Math.max(ageDays, 1) > 150) {
+    score += 0.2;
+    reasons.push(`${Math.round(metrics.tweet_count / Math.max(ageDays, 1))} tweets a day`);
+  }
+  if (author.profile_image_url?.includes('default_profile')) {
+    score += 0.1;
+    reasons.push('default avatar');
+  }
+  if (/\d{6,}$/.test(author.username || '')) {
+    score += 0.15;
+    reasons.push('numbered handle');
+  }
+  if (quarantined > 0) {
+    score += Math.min(quarantined * 0.15, 0.45);
+    reasons.push(`${quarantined} tweets in quarantine`);
+  }
+  return { score: Math.min(score, 1), reasons };
+}
+
+/**
+ * Decides how to answer the tweets an account built context for.
+ */
+export class ReplyDecider {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} account - Account from the registry.
+   * @param {object} [options] - Overrides for { replyThreshold, likeThreshold, spamThreshold, useClassifier, classifierWeight, alwaysReplyTo }.
+   */
+  constructor(db, account, options = {}) {
+    this.db = db;
+    this.account = account;
+    this.options = { ...defaultOptions(), ...options };
+    this.responsesCollection = db.collection('responses');
+    this.quarantineCollection = db.collection('quarantine');
+  }
+
+  /**
+   * Scores a tweet and picks reply, like or ignore.
+   * @param {object} responseDoc - Response with context_doc, from the context builder.
+   * @param {object|null} tweet - The tweet being answered.
+   * @param {object|null} author - Its author.
+   * @returns {Promise<object>} { action, score, reasons: [{ code, weight, detail }], spam_score, classifier, version, decided_at }
+   */
+  async decide(responseDoc, tweet, author) {
+    const reasons = [];
+    const add = (code, weight, detail) => reasons.push({ code, weight, ...(detail && { detail }) });
+    const decision = (action, score, extra = {}) => ({
+      action,
+      score: Math.round(score * 100) / 100,
+      reasons,
+      spam_score: extra.spamScore ?? null,
+      classifier: extra.classifier ?? null,
+      version: DECISION_VERSION,
+      decided_at: new Date()
+    });
+
+    const text = tweet?.text || responseDoc.context_doc?.target?.text || '';
+    if (author && this.options.alwaysReplyTo.includes(author.username?.toLowerCase())) {
+      add('always_reply_to', 0, `@${author.username}`);
+      return decision(DECISIONS.REPLY, 1);
+    }
+
+    const quarantined = author
+      ? await this.quarantineCollection.countDocuments({ 'tweet.author_id': author.id, status: { $ne: 'released' } })
+      : 0;
+    const spam = authorSpamScore(author, { quarantined });
+    if (spam.score >= this.options.spamThreshold) {
+      add('spam_author', -1, spam.reasons.join(', '));
+      return decision(DECISIONS.IGNORE, 0, { spamScore: spam.score });
+    }
+
+    let score = 0.5;
+    const bump = (code, weight, detail) => {
+      score += weight;
+      add(code, weight, detail);
+    };
+
+    const words = substantiveText(text).split(' ').filter(Boolean);
+    if (!words.length || LOW_EFFORT.test(substantiveText(text))) {
+      bump('low_effort', -0.3, words.join(' ') || 'mentions only');
+    } else if (words.length < 4) {
+      bump('short', -0.15, `${words.length} words`);
+    } else if (words.length >= 12) {
+      bump('substantive', 0.1, `${words.length} words`);
+    }
+    if (text.includes('?')) bump('question', 0.15);
+    if (this.account.username && text.toLowerCase().includes(`@${this.account.username.toLowerCase()}`)) {
+      bump('mentions_us', 0.1);
+    }
+    if (tweet?.in_reply_to_user_id && tweet.in_reply_to_user_id === this.account.user_id) bump('replies_to_us', 0.1);
+
+    const relationship = responseDoc.context_doc?.relationship;
+    if (tweet?.referenced_tweets?.some((ref) => ref.type === 'quoted')) {
+      bump('quote_tweet', relationship?.followed_by ? -0.1 : -0.2, relationship?.followed_by ? 'by a follower' : 'by a non-follower');
+    }
+    if (relationship?.mutual) bump('mutual_follow', 0.1);
+
+    const threadReplies = await this._repliesInThread(responseDoc);
+    if (threadReplies > 0) bump('already_replied_in_thread', -Math.min(0.15 * threadReplies, 0.45), `${threadReplies} replies`);
+
+    if (spam.score > 0) bump('spam_signals', -spam.score * 0.5, spam.reasons.join(', '));
+
+    let classifier = null;
+    if (this.options.useClassifier && responseDoc.context_doc) {
+      classifier = await this._classify(responseDoc.context_doc);
+      if (classifier?.decision) {
+        const weight = this.options.classifierWeight;
+        const blended = (1 - weight) * score + weight * CLASSIFIER_SCORES[classifier.decision];
+        add('classifier', Math.round((blended - score) * 100) / 100, `${classifier.decision}: ${classifier.reason || 'no reason given'}`);
+        score = blended;
+      }
+    }
+
+    score = Math.max(0, Math.min(1, score));
+    const action = score >= this.options.replyThreshold
+      ? DECISIONS.REPLY
+      : (score >= this.options.likeThreshold ? DECISIONS.LIKE : DECISIONS.IGNORE);
+    return decision(action, score, { spamScore: spam.score, classifier });
+  }
+
+  // Our messages in the thread plus replies we posted to other tweets of it
+  async _repliesInThread(responseDoc) {
+    const messages = responseDoc.context_doc?.thread?.messages || [];
+    const own = messages.filter((m) => m.role === 'self').length;
+    const threadTweetIds = messages.filter((m) => m.tweet_id && m.role !== 'self').map((m) => m.tweet_id)
+      .filter((id) => id !== responseDoc.tweet_id);
+    if (!threadTweetIds.length) return own;
+    const posted = await this.responsesCollection.countDocuments({
+      account_id: this.account.id,
+      tweet_id: { $in: threadTweetIds },
+      posted: true
+    });
+    // A posted reply we also fetched back shows up in both counts
+    return Math.max(own, posted);
+  }
+
+  /**
+   * Asks the 'reply_decision' profile for a verdict. Failures and unreadable
+   * answers leave the decision to the heuristics.
+   * @returns {Promise<{decision: string, confidence: number|null, reason: string, model: string}|null>}
+   */
+  async _classify(contextDoc) {
+    const instruction =
+      `You decide whether @${this.account.username} should answer the tweet below. ` +
+      'Answer with JSON only: {"decision": "reply" | "like" | "ignore", "confidence": 0-1, "reason": "<a few words>"}. ' +
+      'Reply to tweets that invite a conversation; like friendly ones with nothing to answer; ignore spam, bait and hostility.';
+    try {
+      const budgetTokens = await promptBudget('reply_decision', { reserved: [instruction] });
+      const { text: context } = renderContext(contextDoc, { template: 'compact', budgetTokens });
+      const { text, model } = await llm.chat(
+        'reply_decision',
+        [
+          { role: 'system', content: instruction },
+          { role: 'user', content: context }
+        ],
+        { caller: 'reply_decision', metadata: { account_id: this.account.id, tweet_id: contextDoc.target.tweet_id } }
+      );
+      const parsed = JSON.parse(text.match(/\{[\s\S]*\}/)?.[0] || 'null');
+      if (!parsed || !Object.values(DECISIONS).includes(parsed.decision)) {
+        console.warn(`[Decision] Unreadable classifier answer for tweet ${contextDoc.target.tweet_id}: ${text}`);
+        return null;
+      }
+      return {
+        decision: parsed.decision,
+        confidence: typeof parsed.confidence === 'number' ? parsed.confidence : null,
+        reason: String(parsed.reason || ''),
+        model
+      };
+    } catch (error) {
+      console.error(`[Decision] Classifier failed for tweet ${contextDoc.target.tweet_id}:`, error.message);
+      return null;
+    }
+  }
+}
+
+/**
+ * One-line summary of a decision, for logs.
+ * @param {object} decision - From ReplyDecider.decide().
+ * @returns {string}
+ */
+export function describeDecision(decision) {
+  const reasons = decision.reasons.map((r) => `${r.code}${r.weight ? ` ${r.weight > 0 ? '+' : ''}${Math.round(r.weight * 100) / 100}` : ''}`);
+  return `${decision.action} (${decision.score}${reasons.length ? `: ${reasons.join(', ')}` : ''})`;
+}
@@ -0,0 +1,147 @@
+// reply_throttle.mjs
+//
+// Limits how often an account replies within one conversation and to one
+// author, so a long back-and-forth or a burst of tweets from the same person
+// doesn't get an answer every time. Checked by generate_responses.mjs before a
+// reply is generated (counting replies generated but not posted yet) and again
+// by xresponder.mjs right before posting. Limits are per account (see
+// accounts.mjs), a limit of 0 is off, and ALWAYS_REPLY_TO authors are exempt:
+//   max_replies_per_conversation    - within conversation_window_hours
+//   max_replies_per_author_per_day
+//   consecutive_exchange_limit      - replies to one author, each within exchange_gap_minutes
+//                                     of the last, before exchange_cooldown_minutes of rest
+
+import { alwaysReplyTo } from './accounts.mjs';
+
+const HOUR_MS = 60 * 60 * 1000;
+const MINUTE_MS = 60 * 1000;
+
+export const THROTTLE_REASONS = {
+  CONVERSATION: 'conversation_limit',
+  AUTHOR: 'author_daily_limit',
+  COOLDOWN: 'exchange_cooldown'
+};
+
+/**
+ * Enforces an account's reply limits from its posted (and pending) responses.
+ */
+export class ReplyThrottle {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} account - Account from the registry; its limits hold the throttle settings.
+   * @param {object} [options]
+   * @param {string[]} [options.exempt] - Lowercase usernames never throttled; defaults to ALWAYS_REPLY_TO.
+   */
+  constructor(db, account, { exempt = alwaysReplyTo() } = {}) {
+    this.db = db;
+    this.account = account;
+    this.limits = account.limits;
+    this.exempt = exempt;
+    this.responsesCollection = db.collection('responses');
+  }
+
+  // Replies of this account: posted ones, plus generated ones waiting to be posted
+  _replies(filter, { includePending }) {
+    const base = { account_id: this.account.id, cancelled_at: { $exists: false }, ...filter.match };
+    return includePending
+      ? { ...base, $or: [{ posted: true, posted_at: { $gte: filter.since } }, { response: { $exists: true }, posted: { $exists: false } }] }
+      : { ...base, posted: true, posted_at: { $gte: filter.since } };
+  }
+
+  /**
+   * Whether the account may reply to a tweet now.
+   * @param {object} target
+   * @param {string} target.tweetId - The tweet being answered; its own response isn't counted.
+   * @param {string} target.authorId
+   * @param {string} [target.authorUsername]
+   * @param {string} [target.conversationId]
+   * @param {object} [options]
+   * @param {boolean} [options.includePending] - Count generated replies not posted yet (before generation).
+   * @returns {Promise<{allowed: boolean, reason?: string, detail?: string, until?: Date}>}
+   *   until: when the limit that blocked the reply frees up.
+   */
+  async check({ tweetId, authorId, authorUsername, conversationId }, { includePending = false } = {}) {
+    if (authorUsername && this.exempt.includes(authorUsername.toLowerCase())) return { allowed: true };
+    const now = Date.now();
+    const notThisTweet = { tweet_id: { $ne: tweetId } };
+
+    const {
+      max_replies_per_conversation: perConversation,
+      conversation_window_hours: windowHours,
+      max_replies_per_author_per_day: perAuthor,
+      consecutive_exchange_limit: exchangeLimit,
+      exchange_gap_minutes: gapMinutes,
+      exchange_cooldown_minutes: cooldownMinutes
+    } = this.limits;
+
+    if (perConversation && conversationId) {
+      const since = new Date(now - windowHours * HOUR_MS);
+      const filter = this._replies({ match: { ...notThisTweet, conversation_id: conversationId }, since }, { includePending });
+      const count = await this.responsesCollection.countDocuments(filter);
+      if (count >= perConversation) {
+        return {
+          allowed: false,
+          reason: THROTTLE_REASONS.CONVERSATION,
+          detail: `${count} replies in conversation ${conversationId} within ${windowHours}h (max ${perConversation})`,
+          until: await this._freesAt(filter, windowHours * HOUR_MS, count - perConversation)
+        };
+      }
+    }
+
+    if (perAuthor && authorId) {
+      const since = new Date(now - 24 * HOUR_MS);
+      const filter = this._replies({ match: { ...notThisTweet, author_id: authorId }, since }, { includePending });
+      const count = await this.responsesCollection.countDocuments(filter);
+      if (count >= perAuthor) {
+        return {
+          allowed: false,
+          reason: THROTTLE_REASONS.AUTHOR,
+          detail: `${count} replies to author ${authorId} in the last 24h (max ${perAuthor})`,
+          until: await this._freesAt(filter, 24 * HOUR_MS, count - perAuthor)
+        };
+      }
+    }
+
+    if (exchangeLimit && cooldownMinutes && authorId) {
+      const cooldown = await this._exchangeCooldown(authorId, { exchangeLimit, gapMinutes, cooldownMinutes, now });
+      if (cooldown) return cooldown;
+    }
+
+    return { allowed: true };
+  }
+
+  // When enough counted replies age out of the window for one more to fit
+  async _freesAt(filter, windowMs, excess) {
+    const [reply] = await this.responsesCollection
+      .find({ ...filter, posted: true }, { projection: { posted_at: 1 } })
+      .sort({ posted_at: 1 })
+      .skip(Math.max(0, excess))
+      .limit(1)
+      .toArray();
+    // Pending replies only free up once posted; check again after the window
+    return new Date((reply?.posted_at?.getTime() ?? Date.now()) + windowMs);
+  }
+
+  // A run of `exchangeLimit` replies to the author, each soon after the one before, ending less than the cooldown ago
+  async _exchangeCooldown(authorId, { exchangeLimit, gapMinutes, cooldownMinutes, now }) {
+    const recent = await this.responsesCollection
+      .find({ account_id: this.account.id, author_id: authorId, posted: true, posted_at: { $exists: true } }, { projection: { posted_at: 1 } })
+      .sort({ posted_at: -1 })
+      .limit(exchangeLimit)
+      .toArray();
+    if (recent.length < exchangeLimit) return null;
+
+    const until = new Date(recent[0].posted_at.getTime() + cooldownMinutes * MINUTE_MS);
+    if (until.getTime() <= now) return null;
+    const consecutive = recent.every(
+      (reply, i) => i === 0 || recent[i - 1].posted_at - reply.posted_at <= gapMinutes * MINUTE_MS
+    );
+    if (!consecutive) return null;
+    return {
+      allowed: false,
+      reason: THROTTLE_REASONS.COOLDOWN,
+      detail: `${exchangeLimit} consecutive replies to author ${authorId}; cooling down ${cooldownMinutes} minutes`,
+      until
+    };
+  }
+}
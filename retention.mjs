@@ -0,0 +1,317 @@
+// retention.mjs
+//
+// Retention policy for stored collections, replacing the fixed 30-day TTL on
+// tweets. Rules in assets/retention_policy.json give each collection a date
+// field and categories with their own max age (e.g. timeline noise after 7
+// days, mentions after 180). Tweets we replied to, their conversations and
+// each author's latest tweets are kept regardless. Expired documents are
+// written to a gzipped EJSON JSONL archive before they are deleted, and an
+// archive can be restored with the restore command.
+//
+// Usage: node retention.mjs [--dry-run]
+//        node retention.mjs restore <archive.jsonl.gz> [--collection <name>]
+
+import fs from 'fs';
+import path from 'path';
+import readline from 'readline';
+import zlib from 'zlib';
+import { pipeline } from 'stream/promises';
+import { fileURLToPath } from 'url';
+import dotenv from 'dotenv';
+import { BSON, MongoClient } from 'mongodb';
+import { chunk } from './tweet_sources.mjs';
+
+dotenv.config();
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_POLICY_FILE = path.join(__dirname, 'assets', 'retention_policy.json');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DELETE_BATCH_SIZE = 1000;
+const RESTORE_BATCH_SIZE = 500;
+
+/**
+ * Loads the retention policy.
+ * @param {string} [filePath] - Defaults to RETENTION_POLICY_FILE or assets/retention_policy.json.
+ * @returns {Promise<object>} Policy with archive_dir resolved against the repo root.
+ */
+export async function loadRetentionPolicy(filePath = process.env.RETENTION_POLICY_FILE || DEFAULT_POLICY_FILE) {
+  const policy = JSON.parse(await fs.promises.readFile(filePath, 'utf8'));
+  for (const rule of policy.collections || []) {
+    if (!rule.collection || !rule.date_field) {
+      throw new Error('[Retention] Every collection rule needs a collection and a date_field');
+    }
+    if (!rule.categories?.length) {
+      throw new Error(`[Retention] ${rule.collection}: at least one category is required`);
+    }
+  }
+  return {
+    max_documents_per_run: 50000,
+    ...policy,
+    archive_dir: path.resolve(__dirname, process.env.RETENTION_ARCHIVE_DIR || policy.archive_dir || 'archives')
+  };
+}
+
+/**
+ * Filters selecting each category's documents. A document matching several
+ * categories belongs only to the longest of them, or on a tie to the first
+ * listed; a category without `match` covers documents in no other category.
+ * Categories with a null max_age_days are kept forever and get no filter.
+ * @param {Array<object>} categories
+ * @returns {Array<{category: object, filter: object}>}
+ */
+export function categoryFilters(categories) {
+  const explicit = categories.filter((category) => category.match);
+  const ageOf = (category) => category.max_age_days ?? Infinity;
+
+  return categories
+    .filter((category) => category.max_age_days != null)
+    .map((category) => {
+      if (!category.match) {
+        return { category, filter: explicit.length ? { $nor: explicit.map((c) => c.match) } : {} };
+      }
+      const index = explicit.indexOf(category);
+      const outranking = explicit.filter(
+        (other, otherIndex) =>
+          ageOf(other) > ageOf(category) || (otherIndex < index && ageOf(other) === ageOf(category))
+      );
+      return { category, filter: outranking.length ? { $and: [category.match, { $nor: outranking.map((c) => c.match) }] } : category.match };
+    });
+}
+
+/**
+ * Applies the retention policy: archives, then deletes expired documents.
+ */
+export class RetentionService {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} options
+   * @param {object} options.policy - From loadRetentionPolicy().
+   * @param {boolean} [options.dryRun] - Count what would expire without archiving or deleting.
+   */
+  constructor(db, { policy, dryRun = false }) {
+    this.db = db;
+    this.policy = policy;
+    this.dryRun = dryRun;
+    this.runsCollection = db.collection('retention_runs');
+  }
+
+  /**
+   * Runs every collection rule in the policy.
+   * @returns {Promise<object>} Report per collection.
+   */
+  async run() {
+    const startedAt = new Date();
+    const report = {};
+    let budget = this.policy.max_documents_per_run;
+    for (const rule of this.policy.collections) {
+      if (budget <= 0) break;
+      try {
+        report[rule.collection] = await this.applyCollectionRule(rule, budget);
+        budget -= report[rule.collection].expired;
+      } catch (error) {
+        console.error(`[Retention] Error applying policy to ${rule.collection}:`, error);
+        report[rule.collection] = { error: error.message };
+      }
+    }
+    if (!this.dryRun) {
+      await this.runsCollection.insertOne({ started_at: startedAt, finished_at: new Date(), report });
+    }
+    return report;
+  }
+
+  /**
+   * Archives and deletes the expired documents of one collection.
+   * @param {object} rule - Collection rule from the policy.
+   * @param {number} budget - Max documents expired by this call.
+   * @returns {Promise<{expired: number, kept: number, categories: object, archive: string|null}>}
+   */
+  async applyCollectionRule(rule, budget) {
+    const collection = this.db.collection(rule.collection);
+    const keep = await this._buildKeepCheck(rule);
+    const summary = { expired: 0, kept: 0, categories: {}, archive: null };
+    const expiredIds = [];
+    let archive = null;
+
+    for (const { category, filter } of categoryFilters(rule.categories)) {
+      const cutoff = new Date(Date.now() - category.max_age_days * DAY_MS);
+      const cursor = collection
+        .find({ ...filter, [rule.date_field]: { $lt: cutoff } })
+        .sort({ [rule.date_field]: 1 });
+      summary.categories[category.id] = 0;
+
+      for await (const doc of cursor) {
+        if (expiredIds.length >= budget) break;
+        if (await keep(doc)) {
+          summary.kept++;
+          continue;
+        }
+        if (!this.dryRun) {
+          archive ||= this._openArchive(rule.collection);
+          await archive.write(doc);
+        }
+        expiredIds.push(doc._id);
+        summary.categories[category.id]++;
+      }
+      await cursor.close();
+    }
+
+    // Delete only once the archive is fully written to disk
+    if (archive) {
+      summary.archive = await archive.close();
+      for (const ids of chunk(expiredIds, DELETE_BATCH_SIZE)) {
+        await collection.deleteMany({ _id: { $in: ids } });
+      }
+    }
+    summary.expired = expiredIds.length;
+
+    console.log(
+      `[Retention] ${rule.collection}: ${summary.expired} expired ` +
+        `(${Object.entries(summary.categories).map(([id, count]) => `${id}: ${count}`).join(', ')}), ` +
+        `${summary.kept} kept by keep rules${this.dryRun ? ' (dry run)' : summary.archive ? `, archived to ${summary.archive}` : ''}`
+    );
+    return summary;
+  }
+
+  // Returns an async predicate for documents kept regardless of age
+  async _buildKeepCheck(rule) {
+    const keep = rule.keep || {};
+    const checks = [];
+
+    if (keep.replied_to || keep.replied_conversations) {
+      const responses = this.db.collection('responses');
+      // Only replies that went out; cancelled, ignored and unposted responses don't protect a tweet
+      const repliedTo = await responses.distinct('tweet_id', { posted: true });
+      // Our own posted replies count as replied-to too
+      const ownReplies = await responses.distinct('response_id', { posted: true, response_id: { $exists: true, $ne: null } });
+      const protectedIds = new Set([...repliedTo, ...ownReplies].map(String));
+      checks.push((doc) => protectedIds.has(doc.id));
+
+      if (keep.replied_conversations) {
+        const conversationIds = new Set();
+        for (const ids of chunk([...protectedIds], DELETE_BATCH_SIZE)) {
+          const found = await this.db.collection('tweets').distinct('conversation_id', { id: { $in: ids } });
+          found.filter(Boolean).forEach((id) => conversationIds.add(id));
+        }
+        checks.push((doc) => conversationIds.has(doc.conversation_id));
+      }
+    }
+
+    if (keep.latest_per_author) {
+      // created_at of each author's Nth newest tweet; null when they have fewer
+      const cutoffs = new Map();
+      checks.push(async (doc) => {
+        if (!doc.author_id) return false;
+        if (!cutoffs.has(doc.author_id)) {
+          const [nth] = await this.db
+            .collection(rule.collection)
+            .find({ author_id: doc.author_id }, { projection: { [rule.date_field]: 1 } })
+            .sort({ [rule.date_field]: -1 })
+            .skip(keep.latest_per_author - 1)
+            .limit(1)
+            .toArray();
+          cutoffs.set(doc.author_id, nth ? nth[rule.date_field] : null);
+        }
+        const cutoff = cutoffs.get(doc.author_id);
+        return cutoff === null || doc[rule.date_field] >= cutoff;
+      });
+    }
+
+    return async (doc) => {
+      for (const check of checks) {
+        if (await check(doc)) return true;
+      }
+      return false;
+    };
+  }
+
+  // Gzipped EJSON lines under <archive_dir>/<collection>/
+  _openArchive(collectionName) {
+    const dir = path.join(this.policy.archive_dir, collectionName);
+    fs.mkdirSync(dir, { recursive: true });
+    const file = path.join(dir, `${collectionName}-${new Date().toISOString().replace(/[:.]/g, '-')}.jsonl.gz`);
+    const gzip = zlib.createGzip();
+    const done = pipeline(gzip, fs.createWriteStream(file));
+
+    return {
+      write: async (doc) => {
+        if (!gzip.write(`${BSON.EJSON.stringify(doc, { relaxed: false })}\n`)) {
+          await new Promise((resolve) => gzip.once('drain', resolve));
+        }
+      },
+      close: async () => {
+        gzip.end();
+        await done;
+        return file;
+      }
+    };
+  }
+}
+
+/**
+ * Restores an archive written by RetentionService. Documents are upserted by
+ * _id, so restoring twice is harmless.
+ * @param {Db} db - MongoDB Db instance.
+ * @param {string} file - Path to a .jsonl.gz archive.
+ * @param {object} [options]
+ * @param {string} [options.collection] - Target collection; defaults to the one in the file name.
+ * @returns {Promise<number>} Number of documents restored.
+ */
+export async function restoreArchive(db, file, { collection } = {}) {
+  const target = collection || path.basename(file).match(/^(.+?)-\d{4}-\d{2}-\d{2}T/)?.[1];
+  if (!target) throw new Error(`[Retention] Cannot tell the collection of ${file}; pass --collection`);
+
+  const lines = readline.createInterface({ input: fs.createReadStream(file).pipe(zlib.createGunzip()), crlfDelay: Infinity });
+  let batch = [];
+  let restored = 0;
+  const flush = async () => {
+    if (!batch.length) return;
+    await db.collection(target).bulkWrite(
+      batch.map((doc) => ({ replaceOne: { filter: { _id: doc._id }, replacement: doc, upsert: true } })),
+      { ordered: false }
+    );
+    restored += batch.length;
+    batch = [];
+  };
+
+  for await (const line of lines) {
+    if (!line.trim()) continue;
+    batch.push(BSON.EJSON.parse(line, { relaxed: false }));
+    if (batch.length >= RESTORE_BATCH_SIZE) await flush();
+  }
+  await flush();
+  console.log(`[Retention] Restored ${restored} documents into ${target} from ${file}`);
+  return restored;
+}
+
+async function main() {
+  const [command] = process.argv.slice(2);
+  const client = new MongoClient(process.env.MONGODB_URI);
+  try {
+    await client.connect();
+    const db = client.db(process.env.DB_NAME);
+
+    if (command === 'restore') {
+      const file = process.argv[3];
+      if (!file) throw new Error('Usage: node retention.mjs restore <archive.jsonl.gz> [--collection <name>]');
+      const collectionFlag = process.argv.indexOf('--collection');
+      await restoreArchive(db, file, { collection: collectionFlag > -1 ? process.argv[collectionFlag + 1] : undefined });
+      return;
+    }
+
+    const dryRun = process.argv.includes('--dry-run');
+    console.log(`[Retention] Connected. Applying retention policy${dryRun ? ' (dry run)' : ''}...`);
+    await new RetentionService(db, { policy: await loadRetentionPolicy(), dryRun }).run();
+  } finally {
+    await client.close();
+  }
+}
+
+// Run as a script, not when imported
+if (process.argv[1] && path.resolve(process.argv[1]) === fileURLToPath(import.meta.url)) {
+  main().catch((error) => {
+    console.error('[Retention] Fatal error:', error);
+    process.exit(1);
+  });
+}
@@ -0,0 +1,232 @@
+// revalidation.mjs
+//
+// Re-fetches stored tweets to catch deletions, withholdings and edits after
+// ingest. Tweets in the reply pipeline are checked first, then a sample of
+// recent tweets. Deleted or withheld tweets cancel their pending responses;
+// materially edited tweets keep their prior text in `text_versions` and are
+// sent back through the context builder.
+
+import { normalizeTweet } from './normalize.mjs';
+
+export const AVAILABILITY = {
+  DELETED: 'deleted',
+  WITHHELD: 'withheld',
+  UNAVAILABLE: 'unavailable' // protected or suspended author
+};
+
+const DEFAULT_LIMITS = {
+  pipelineBatch: 300, // tweets with pending responses or built context
+  sampleSize: 100, // random recent tweets
+  sampleHours: 48,
+  recheckMinutes: 30 // a tweet isn't revalidated more often than this
+};
+
+const MINUTE_MS = 60 * 1000;
+
+/**
+ * Whether an edit changes what a reply would respond to. Case, whitespace,
+ * punctuation and links are ignored, so typo fixes and link swaps don't count.
+ * @param {string} before
+ * @param {string} after
+ * @returns {boolean}
+ */
+export function isMaterialEdit(before, after) {
+  const canonical = (text) =>
+    (text || '')
+      .toLowerCase()
+      .replace(/https?:\/\/\S+/g, '')
+      .replace(/[^\p{L}\p{N}@#$\s]/gu, '')
+      .replace(/\s+/g, ' ')
+      .trim();
+  return canonical(before) !== canonical(after);
+}
+
+function availabilityFromError(error) {
+  const text = `${error.title || ''} ${error.detail || ''} ${error.type || ''}`.toLowerCase();
+  if (text.includes('withheld')) return AVAILABILITY.WITHHELD;
+  if (text.includes('not found') || text.includes('resource-not-found')) return AVAILABILITY.DELETED;
+  return AVAILABILITY.UNAVAILABLE;
+}
+
+/**
+ * Revalidates stored tweets against a source adapter.
+ */
+export class TweetRevalidationService {
+  /**
+   * @param {Db} db - MongoDB Db instance.
+   * @param {object} options
+   * @param {TweetSource} [options.source] - Adapter implementing lookupTweets; only needed for run().
+   * @param {object} [options.limits] - Overrides for DEFAULT_LIMITS.
+   */
+  constructor(db, { source = null, limits = {} } = {}) {
+    this.db = db;
+    this.source = source;
+    this.limits = { ...DEFAULT_LIMITS, ...limits };
+    this.tweetsCollection = db.collection('tweets');
+    this.responsesCollection = db.collection('responses');
+  }
+
+  /**
+   * Revalidates the next batch of candidate tweets.
+   * @returns {Promise<object>} Counts: { checked, deleted, withheld, unavailable, edited, cancelled, recontextualized }
+   */
+  async run() {
+    const tweets = await this.findCandidates();
+    const summary = { checked: 0, deleted: 0, withheld: 0, unavailable: 0, edited: 0, cancelled: 0, recontextualized: 0 };
+    if (!tweets.length) return summary;
+
+    const { data, includes, errors } = await this.source.lookupTweets(tweets.map((tweet) => tweet.id));
+    const found = new Map(data.map((raw) => [String(raw.id), raw]));
+    const failed = new Map(errors.filter((error) => error.resource_id).map((error) => [String(error.resource_id), error]));
+
+    // Edited tweets: the looked-up version lists newer versions in edit_history_tweet_ids
+    const latestIds = new Map();
+    for (const [id, raw] of found) {
+      const latestId = raw.edit_history_tweet_ids?.at(-1);
+      if (latestId && String(latestId) !== id) latestIds.set(id, String(latestId));
+    }
+    const latestVersions = new Map();
+    if (latestIds.size) {
+      const latest = await this.source.lookupTweets([...new Set(latestIds.values())]);
+      latest.data.forEach((raw) => latestVersions.set(String(raw.id), normalizeTweet(raw, latest.includes)));
+    }
+
+    for (const tweet of tweets) {
+      summary.checked++;
+      try {
+        if (failed.has(tweet.id) || found.get(tweet.id)?.withheld) {
+          const availability = failed.has(tweet.id) ? availabilityFromError(failed.get(tweet.id)) : AVAILABILITY.WITHHELD;
+          summary[availability]++;
+          summary.cancelled += await this.markUnavailable(tweet, availability, failed.get(tweet.id));
+        } else if (found.has(tweet.id)) {
+          const current = normalizeTweet(found.get(tweet.id), includes);
+          const latest = latestVersions.get(latestIds.get(tweet.id)) || current;
+          const outcome = await this._applyCurrentVersion(tweet, current, latest);
+          if (outcome.edited) summary.edited++;
+          if (outcome.recontextualized) summary.recontextualized++;
+        }
+      } catch (error) {
+        console.error(`[Revalidation] Error revalidating tweet ${tweet.id}:`, error);
+      }
+    }
+
+    console.log(
+      `[Revalidation] Checked ${summary.checked} tweets: ${summary.deleted} deleted, ${summary.withheld} withheld, ` +
+        `${summary.unavailable} unavailable, ${summary.edited} edited; ${summary.cancelled} responses cancelled, ` +
+        `${summary.recontextualized} tweets re-contextualized`
+    );
+    return summary;
+  }
+
+  /**
+   * Tweets due a check: those with unposted responses or built context first,
+   * then a random sample of recent tweets. Tweets already marked unavailable are skipped.
+   * @returns {Promise<Array>} Tweet documents.
+   */
+  async findCandidates() {
+    const due = {
+      availability: { $exists: false },
+      $or: [
+        { revalidated_at: { $exists: false } },
+        { revalidated_at: { $lte: new Date(Date.now() - this.limits.recheckMinutes * MINUTE_MS) } }
+      ]
+    };
+
+    const pendingIds = await this.responsesCollection.distinct('tweet_id', {
+      posted: { $exists: false },
+      cancelled_at: { $exists: false }
+    });
+    const recentSince = new Date(Date.now() - this.limits.sampleHours * 60 * MINUTE_MS);
+    const recentlyContextualized = {
+      'processing_status.llm_context': true,
+      'processing_status.llm_context_at': { $gte: recentSince }
+    };
+    const pipelineTweets = await this.tweetsCollection
+      .find({ ...due, $and: [{ $or: [{ id: { $in: pendingIds } }, recentlyContextualized] }] })
+      .sort({ revalidated_at: 1 })
+      .limit(this.limits.pipelineBatch)
+      .toArray();
+
+    const seen = new Set(pipelineTweets.map((tweet) => tweet.id));
+    const sample = await this.tweetsCollection
+      .aggregate([
+        { $match: { ...due, id: { $nin: [...seen] }, created_at: { $gte: recentSince } } },
+        { $sample: { size: this.limits.sampleSize } }
+      ])
+      .toArray();
+
+    return [...pipelineTweets, ...sample];
+  }
+
+  /**
+   * Marks a tweet deleted/withheld/unavailable and cancels its unposted responses.
+   * Also used by the Account Activity webhook for delete events.
+   * @param {{id: string}} tweet
+   * @param {string} availability - One of AVAILABILITY.
+   * @param {object} [error] - Source error ({ title, detail }) kept as the reason.
+   * @returns {Promise<number>} Number of responses cancelled.
+   */
+  async markUnavailable(tweet, availability, error) {
+    const now = new Date();
+    await this.tweetsCollection.updateOne(
+      { id: tweet.id },
+      {
+        $set: {
+          availability,
+          unavailable_at: now,
+          revalidated_at: now,
+          ...(error && { unavailable_reason: error.detail || error.title })
+        }
+      }
+    );
+    const result = await this.responsesCollection.updateMany(
+      { tweet_id: tweet.id, posted: { $exists: false }, cancelled_at: { $exists: false } },
+      { $set: { cancelled_at: now, cancel_reason: `tweet_${availability}` } }
+    );
+    console.log(`[Revalidation] Tweet ${tweet.id} is ${availability}${result.modifiedCount ? ', response cancelled' : ''}`);
+    return result.modifiedCount;
+  }
+
+  // Stores the latest version of a tweet, keeping the prior text when it changed
+  async _applyCurrentVersion(tweet, current, latest) {
+    const now = new Date();
+    // Only a newer version in edit_history_tweet_ids counts; text differences alone can be source quirks
+    const edited =
+      latest.id !== (tweet.latest_version_id || tweet.id) && latest.text !== undefined && latest.text !== tweet.text;
+    const material = edited && isMaterialEdit(tweet.text, latest.text);
+
+    const update = {
+      $set: {
+        revalidated_at: now,
+        ...(current.public_metrics && { public_metrics: current.public_metrics, metrics_updated_at: now }),
+        ...(current.edit_history_tweet_ids && { edit_history_tweet_ids: current.edit_history_tweet_ids }),
+        ...(current.edit_controls && { edit_controls: current.edit_controls }),
+        ...(edited && { text: latest.text, latest_version_id: latest.id, edited_at: now })
+      },
+      ...(edited && {
+        $push: { text_versions: { version_id: tweet.latest_version_id || tweet.id, text: tweet.text, replaced_at: now } }
+      })
+    };
+
+    let recontextualized = false;
+    if (material) {
+      // Build the context again from the new text; an unposted reply to the old text is discarded
+      update.$set['processing_status.llm_context'] = false;
+      update.$set['processing_status.llm_context_accounts'] = [];
+      const result = await this.responsesCollection.updateMany(
+        { tweet_id: tweet.id, posted: { $exists: false }, cancelled_at: { $exists: false } },
+        {
+          $unset: { response: '', context: '', processed_by: '', processed_at: '' },
+          $set: { recontextualized_at: now, recontext_reason: 'tweet_edited' }
+        }
+      );
+      recontextualized = true;
+      console.log(
+        `[Revalidation] Tweet ${tweet.id} was edited${result.modifiedCount ? ', pending response reset' : ''}`
+      );
+    }
+
+    await this.tweetsCollection.updateOne({ id: tweet.id }, update);
+    return { edited, recontextualized };
+  }
+}
@@ -2,9 +2,21 @@
 
 import dotenv from 'dotenv';
 import { MongoClient } from 'mongodb';
-import { TwitterApi } from 'twitter-api-v2';
 import { v4 as uuidv4 } from 'uuid';
-import fetch from 'node-fetch';
+import { chunk, createSource, USER_FIELDS, USER_LOOKUP_BATCH_SIZE } from './tweet_sources.mjs';
+import { normalizeAuthor } from './normalize.mjs';
+import { IngestCursorStore, ingestWithCursor } from './ingest_cursors.mjs';
+import { ContentFilter } from './content_filter.mjs';
+import { addTweetToMongoDB } from './tweet_store.mjs';
+import { buildSearchQuery, loadTrackedTopics, topicStream } from './tracked_topics.mjs';
+import { ConversationBackfillService } from './conversation_backfill.mjs';
+import { RateLimitStore } from './rate_limits.mjs';
+import { AuthorMergeService, TEMP_AUTHOR_PREFIX } from './author_merge.mjs';
+import { FollowGraphService } from './follow_graph.mjs';
+import { TweetRevalidationService } from './revalidation.mjs';
+import { DEFAULT_SAMPLE_HOURS, MetricsSampler } from './metrics_sampler.mjs';
+import { MigrationRunner } from './migrate.mjs';
+import { accountFollowsTopic, accountTokens, createAccountClient, loadAccounts } from './accounts.mjs';
 
 // Load environment variables from .env
 dotenv.config();
@@ -13,89 +25,47 @@ dotenv.config();
 const XCACHE_API_BASE_URL = process.env.XCACHE_API_BASE_URL
 const XCACHE_API_KEY = process.env.XCACHE_API_KEY;
 
-// Constants
-const TWEET_FIELDS = [
-  'created_at',
-  'text',
-  'author_id',
-  'attachments',
-  'referenced_tweets',
-  'in_reply_to_user_id',
-  'entities',
-  'conversation_id',
-  'public_metrics',
-  'context_annotations',
-  'lang',
-  'possibly_sensitive',
-  'source',
-  'geo'
-];
-
-const USER_FIELDS = [
-  'username',
-  'name',
-  'profile_image_url',
-  'description',
-  'public_metrics',
-  'created_at',
-  'verified',
-  'location'
-];
-
-const MEDIA_FIELDS = [
-  'url',
-  'preview_image_url',
-  'type',
-  'duration_ms',
-  'height',
-  'width',
-  'alt_text',
-  'variants'
-];
-
-const EXPANSIONS = [
-  'attachments.media_keys',
-  'referenced_tweets.id',
-  'author_id',
-  'in_reply_to_user_id',
-  'entities.mentions.username'
-];
+// Source adapter per stream: 'twitter', 'xcache' or 'jsonl'
+const SOURCE_CONFIG = {
+  mentions: process.env.MENTIONS_SOURCE || 'xcache',
+  timeline: process.env.TIMELINE_SOURCE || 'twitter',
+  tweets: process.env.TWEET_LOOKUP_SOURCE || 'xcache',
+  users: process.env.USER_LOOKUP_SOURCE || 'twitter',
+  topics: process.env.TOPICS_SOURCE || 'twitter',
+  follows: process.env.FOLLOWS_SOURCE || 'twitter',
+  revalidation: process.env.REVALIDATION_SOURCE || 'twitter',
+  metrics: process.env.METRICS_SOURCE || 'twitter'
+};
+const JSONL_SOURCE_FILE = process.env.JSONL_SOURCE_FILE;
 
 // Configuration
 const FETCH_INTERVAL = 1000 * 60 * 5; // 5 minutes
 const AUTHOR_TWEET_LIMIT = 50;
-const HOME_TIMELINE_MAX_RESULTS = 100;
 const AUTHOR_UPDATE_INTERVAL = 72 * 1000 * 60 * 60; // 72 hours
-const MENTION_FETCH_INTERVAL = 1000 * 60 * 10; // 10 minutes
+const AUTHOR_STALE_AFTER = 24 * 3600 * 1000; // 1 day
+const MENTION_FETCH_INTERVAL = parseInt(process.env.MENTION_FETCH_INTERVAL_MINUTES || '10', 10) * 1000 * 60;
+const REVALIDATION_INTERVAL = parseInt(process.env.REVALIDATION_INTERVAL_MINUTES || '15', 10) * 1000 * 60;
+const METRICS_SAMPLE_INTERVAL = 1000 * 60 * 15; // 15 minutes
+const METRICS_SAMPLE_HOURS = process.env.METRICS_SAMPLE_HOURS
+  ? process.env.METRICS_SAMPLE_HOURS.split(',').map(Number)
+  : DEFAULT_SAMPLE_HOURS;
+const FOLLOW_SYNC_INTERVAL = parseInt(process.env.FOLLOW_SYNC_INTERVAL_HOURS || '6', 10) * 1000 * 60 * 60;
+const MIGRATE_ON_START = process.env.MIGRATE_ON_START !== 'false';
+const INGEST_MAX_PAGES = parseInt(process.env.INGEST_MAX_PAGES || '5', 10); // pages per stream per cycle
 const MAX_RETRIES = 3;
 const INITIAL_RETRY_DELAY = 1000;
 const MAX_RETRY_DELAY = 60000;
 const MONGODB_OPERATION_TIMEOUT = 30000;
 const TWITTER_API_TIMEOUT = 10000;
 
-// Twitter Client
-const twitterClient = new TwitterApi({
-  appKey: process.env.TWITTER_APP_TOKEN,
-  appSecret: process.env.TWITTER_APP_SECRET,
-  accessToken: process.env.TWITTER_ACCESS_TOKEN,
-  accessSecret: process.env.TWITTER_ACCESS_SECRET,
-  timeout: TWITTER_API_TIMEOUT
-});
-
 // Utility function to pause execution with logging
 function delay(ms) {
   console.log(`[${new Date().toISOString()}] Pausing for ${ms / 1000} seconds...`);
   return new Promise((resolve) => setTimeout(resolve, ms));
 }
 
-function shouldIgnoreTweet(tweet) {
-  const text = tweet.text;
-  const hasNumbers = /\d/.test(text);
-  const hasPump = /pump/i.test(text);
-  const hasEthAddress = /0x[a-fA-F0-9]{40}/.test(text);
-  const hasSolAddress = /[1-9A-HJ-NP-Za-km-z]{32,44}/.test(text);
-  return (hasNumbers && hasPump) || hasEthAddress || hasSolAddress;
-}
+// Content filter, loaded from the rules file in main()
+let contentFilter = new ContentFilter();
 
 // Adaptive RateLimiter
 class AdaptiveRateLimiter {
@@ -149,12 +119,8 @@ class AdaptiveRateLimiter {
   }
 }
 
-// Rate limiters
+// Rate limiters for non-X APIs; X endpoints are gated by each account's RateLimitStore
 const rateLimiters = {
-  homeTimeline: new AdaptiveRateLimiter(180, 15 * 60 * 1000),
-  userTweets: new AdaptiveRateLimiter(900, 15 * 60 * 1000),
-  searchTweets: new AdaptiveRateLimiter(450, 15 * 60 * 1000),
-  userByUsername: new AdaptiveRateLimiter(300, 15 * 60 * 1000),
   xCacheAPI: new AdaptiveRateLimiter(180, 15 * 60 * 1000)
 };
 
@@ -174,7 +140,7 @@ async function connectToMongoDB() {
     await client.connect();
     console.log('[MongoDB] Connected successfully');
     const db = client.db(process.env.DB_NAME);
-    await setupDatabaseIndexes(db);
+    await runMigrations(db);
     return db;
   } catch (error) {
     console.error('[MongoDB] Connection error:', error);
@@ -182,114 +148,22 @@ async function connectToMongoDB() {
   }
 }
 
-// Setup indexes
-async function setupDatabaseIndexes(db) {
+// Apply pending migrations (indexes and data backfills live in migrations/)
+async function runMigrations(db) {
+  if (!MIGRATE_ON_START) return;
   try {
-    const indexOperations = [
-      {
-        collection: 'tweets',
-        indexes: [
-          {
-            key: { id: 1 },
-            options: { unique: true, name: 'tweet_id_unique' }
-          },
-          {
-            key: { created_at: 1 },
-            options: {
-              expireAfterSeconds: 30 * 24 * 60 * 60,
-              name: 'tweet_ttl'
-            }
-          },
-          {
-            key: { author_id: 1, created_at: -1 },
-            options: { name: 'tweet_author_date' }
-          },
-          {
-            key: { conversation_id: 1 },
-            options: { name: 'tweet_conversation' }
-          },
-          {
-            key: { text: 'text' },
-            options: { name: 'tweet_text_search' }
-          }
-        ]
-      },
-      {
-        collection: 'authors',
-        indexes: [
-          {
-            key: { id: 1 },
-            options: { unique: true, name: 'author_id_unique' }
-          },
-          {
-            key: { username: 1 },
-            options: { name: 'author_username' }
-          },
-          {
-            key: { lastFetched: 1 },
-            options: { name: 'author_last_fetched' }
-          }
-        ]
-      },
-      {
-        collection: 'media',
-        indexes: [
-          {
-            key: { media_key: 1 },
-            options: { unique: true, name: 'media_key_unique' }
-          },
-          {
-            key: { type: 1 },
-            options: { name: 'media_type' }
-          }
-        ]
-      }
-    ];
-
-    for (const { collection, indexes } of indexOperations) {
-      console.log(`[MongoDB] Setting up indexes for ${collection} collection...`);
-      for (const { key, options } of indexes) {
-        try {
-          const existingIndexes = await db.collection(collection).listIndexes().toArray();
-          const indexExists = existingIndexes.some((idx) =>
-            Object.keys(idx.key).every((k) => idx.key[k] === key[k])
-          );
-          if (!indexExists) {
-            await db.collection(collection).createIndex(key, {
-              background: true,
-              ...options
-            });
-            console.log(`[MongoDB] Created index ${options.name} on ${collection}`);
-          } else {
-            console.log(
-              `[MongoDB] Index already exists for ${JSON.stringify(key)} on ${collection}, skipping...`
-            );
-          }
-        } catch (indexError) {
-          console.error(
-            `[MongoDB] Error creating index ${options.name} on ${collection}:`,
-            indexError
-          );
-          continue;
-        }
-      }
-    }
-    console.log('[MongoDB] Index setup completed');
+    await new MigrationRunner(db).migrate();
   } catch (error) {
-    console.error('[MongoDB] Index setup error:', error);
-    console.log('[MongoDB] Continuing with existing indexes...');
+    // Another process holding the lock, or a failed migration: keep scraping on the current schema
+    console.error('[MongoDB] Migrations not applied:', error.message);
   }
 }
 
-// Twitter call with retry
-async function retryTwitterCall(apiCall, limiter, retryCount = 0) {
+// Twitter call with retry; the client's rate-limit plugin waits for budget before each request
+async function retryTwitterCall(apiCall, name, retryCount = 0) {
   try {
-    await limiter.removeTokens();
-    const result = await apiCall();
-    limiter.recordSuccess();
-    return result;
+    return await apiCall();
   } catch (error) {
-    limiter.recordFailure();
     if (error.code === 429 || (error.status === 503 && retryCount < MAX_RETRIES)) {
       const resetTime = error.rateLimit?.reset
         ? error.rateLimit.reset * 1000
@@ -297,139 +171,37 @@ async function retryTwitterCall(apiCall, limiter, retryCount = 0) {
           Math.min(INITIAL_RETRY_DELAY * Math.pow(2, retryCount), MAX_RETRY_DELAY);
       const waitTime = Math.max(resetTime - Date.now(), INITIAL_RETRY_DELAY);
       console.error(
-        `[Twitter] Rate limit exceeded. Attempt ${retryCount + 1}/${MAX_RETRIES}. Waiting ${
+        `[Twitter] ${name}: rate limit exceeded. Attempt ${retryCount + 1}/${MAX_RETRIES}. Waiting ${
           waitTime / 1000
         }s...`
       );
       await delay(waitTime);
-      return retryTwitterCall(apiCall, limiter, retryCount + 1);
+      return retryTwitterCall(apiCall, name, retryCount + 1);
     }
     console.error('[Twitter] API error:', error);
     throw error;
   }
 }
 
-// Fetch a single tweet using the conversations endpoint and extract only the specific tweet
-async function fetchSingleTweetFromXCache(tweetId) {
-  const url = `${XCACHE_API_BASE_URL}/api/v1/conversations/${tweetId}`;
-  
-  try {
-    await rateLimiters.xCacheAPI.removeTokens();
-    console.log(`[XCACHE] Fetching tweet ${tweetId} via conversations endpoint`);
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-API-KEY': XCACHE_API_KEY,
-        'Content-Type': 'application/json'
-      },
+// Build the source adapter for each stream from SOURCE_CONFIG, reading X as the client's account
+function createScraperSources(twitterClient) {
+  const deps = {
+    twitterClient,
+    call: (apiCall, name) => retryTwitterCall(apiCall, name),
+    xcache: {
+      baseUrl: XCACHE_API_BASE_URL,
+      apiKey: XCACHE_API_KEY,
+      limiter: rateLimiters.xCacheAPI,
       timeout: TWITTER_API_TIMEOUT
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API returned ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    rateLimiters.xCacheAPI.recordSuccess();
-    
-    // Extract only the specific tweet we requested from the response
-    if (data && data.data && Array.isArray(data.data)) {
-      // Find the specific tweet with our requested ID
-      const targetTweet = data.data.find(tweet => tweet.id === tweetId);
-      
-      if (targetTweet) {
-        // Ensure author_id is set properly
-        if (targetTweet.author && targetTweet.author.id) {
-          targetTweet.author_id = targetTweet.author.id;
-        }
-        
-        // Return only this tweet in the expected format
-        return {
-          data: [targetTweet],
-          includes: data.includes // Keep the includes as they may contain relevant author info
-        };
-      }
-    }
-    
-    // If we couldn't find the specific tweet
-    console.warn(`[XCACHE] Couldn't extract tweet ${tweetId} from conversation response`);
-    return null;
-  } catch (error) {
-    rateLimiters.xCacheAPI.recordFailure();
-    console.error(`[XCACHE] Error fetching tweet ${tweetId}:`, error);
-    throw error;
-  }
-}
-
-
-// Fetch mentions from X-Cache API
-async function fetchMentionsFromXCache(sinceId = null) {
-  const username = process.env.TWITTER_USERNAME || 'theerebusai';
-  let url = `${XCACHE_API_BASE_URL}/api/v1/users/${username}/mentions`;
-  
-  if (sinceId) {
-    url += `?since_id=${sinceId}`;
-  }
-  
-  try {
-    await rateLimiters.xCacheAPI.removeTokens();
-    console.log(`[XCACHE] Fetching mentions for @${username} from: ${url}`);
-    
-    const response = await fetch(url, {
-      method: 'GET',
-      headers: {
-        'X-API-KEY': XCACHE_API_KEY,
-        'Content-Type': 'application/json'
-      },
-      timeout: TWITTER_API_TIMEOUT
-    });
-    
-    if (!response.ok) {
-      throw new Error(`API returned ${response.status}: ${response.statusText}`);
-    }
-    
-    const data = await response.json();
-    rateLimiters.xCacheAPI.recordSuccess();
-    
-    // Transform the data structure to match what existing code expects
-    if (data && data.data && Array.isArray(data.data)) {
-      data.data = data.data.map(tweet => {
-        // Extract author.id into author_id field for compatibility
-        if (tweet.author && tweet.author.id) {
-          tweet.author_id = tweet.author.id;
-        }
-        return tweet;
-      });
-    }
-    
-    return data;
-  } catch (error) {
-    rateLimiters.xCacheAPI.recordFailure();
-    console.error('[XCACHE] Error fetching mentions:', error);
-    throw error;
-  }
-}
-
-// Get user data by ID from Twitter
-async function fetchUserById(authorId) {
-  try {
-    const response = await retryTwitterCall(
-      () =>
-        twitterClient.v2.user(authorId, {
-          'user.fields': USER_FIELDS
-        }),
-      rateLimiters.userByUsername
-    );
-    return response?.data || null;
-  } catch (error) {
-    if (error.code === 50 || error.code === 404) {
-      console.warn(`[AuthorService] User not found by ID: ${authorId}`);
-      return null;
-    }
-    console.error(`[AuthorService] fetchUserById error for ID ${authorId}:`, error);
-    return null;
+    },
+    jsonlFile: JSONL_SOURCE_FILE
+  };
+  const sources = {};
+  for (const [stream, name] of Object.entries(SOURCE_CONFIG)) {
+    sources[stream] = createSource(name, deps);
+    console.log(`[Sources] ${stream} -> ${sources[stream].name}`);
   }
+  return sources;
 }
 
 // Add or update author in DB
@@ -438,7 +210,7 @@ async function addOrUpdateAuthor(db, authorData) {
     const authorsCollection = db.collection('authors');
     let authorId = authorData.id;
     if (!authorId && authorData.username) {
-      authorId = `temp_${uuidv4()}`;
+      authorId = `${TEMP_AUTHOR_PREFIX}${uuidv4()}`;
       console.warn(`[MongoDB] Author @${authorData.username} missing ID. Assigned temp ID: ${authorId}`);
     }
     if (!authorId) {
@@ -448,14 +220,9 @@ async function addOrUpdateAuthor(db, authorData) {
       { id: authorId },
       {
         $set: {
-          username: authorData.username,
-          lastFetched: new Date(),
-          ...(authorData.profile_image_url && { profile_image_url: authorData.profile_image_url }),
-          ...(authorData.public_metrics && {
-            followers_count: authorData.public_metrics.followers_count,
-            tweet_count: authorData.public_metrics.tweet_count
-          }),
-          ...authorData
+          ...normalizeAuthor(authorData),
+          id: authorId,
+          lastFetched: new Date()
         }
       },
       { upsert: true }
@@ -471,8 +238,9 @@ async function addOrUpdateAuthor(db, authorData) {
 // AuthorService: ensures authors are enriched from Twitter
 // ────────────────────────────────────────────────────────────────────────────
 class AuthorService {
-  constructor(db) {
+  constructor(db, usersSource) {
     this.db = db;
+    this.usersSource = usersSource;
   }
 
   /**
@@ -489,139 +257,97 @@ class AuthorService {
       console.log('[AuthorService] No author IDs to collect.');
       return;
     }
-    console.log(`[AuthorService] Collecting/updating info for ${authorIds.length} authors...`);
+    await this.hydrateAuthors(authorIds);
+  }
 
-    for (const authorId of authorIds) {
+  /**
+   * Refreshes missing and stale authors with batched user lookups. One `$in`
+   * query finds what needs refreshing; missing authors are looked up first,
+   * then stale ones from the oldest `lastFetched`, up to 100 per lookup call.
+   * @param {string[]} authorIds
+   * @returns {Promise<number>} Number of authors refreshed.
+   */
+  async hydrateAuthors(authorIds) {
+    const authorsCollection = this.db.collection('authors');
+    const stored = await authorsCollection
+      .find({ id: { $in: authorIds } }, { projection: { id: 1, lastFetched: 1 } })
+      .toArray();
+    const storedById = new Map(stored.map((author) => [author.id, author]));
+
+    const staleBefore = Date.now() - AUTHOR_STALE_AFTER;
+    const missing = authorIds.filter((id) => !storedById.has(id));
+    const stale = stored
+      .filter((author) => !author.lastFetched || new Date(author.lastFetched).getTime() < staleBefore)
+      .sort((a, b) => new Date(a.lastFetched || 0) - new Date(b.lastFetched || 0))
+      .map((author) => author.id);
+    const queue = [...missing, ...stale];
+    if (!queue.length) return 0;
+
+    console.log(
+      `[AuthorService] Refreshing ${queue.length} authors (${missing.length} missing, ${stale.length} stale)...`
+    );
+    let refreshed = 0;
+    for (const batch of chunk(queue, USER_LOOKUP_BATCH_SIZE)) {
       try {
-        const existing = await this.db.collection('authors').findOne({ id: authorId });
-        const isStale =
-          !existing?.lastFetched ||
-          Date.now() - new Date(existing.lastFetched).getTime() > 24 * 3600 * 1000; // 1 day
-        if (!existing || isStale) {
-          // fetch from Twitter
-          const userData = await fetchUserById(authorId);
-          if (userData) {
-            await addOrUpdateAuthor(this.db, userData);
+        const { data, errors } = await this.usersSource.lookupUsers({ ids: batch });
+        const fetchedAt = new Date();
+        const ops = data.map((user) => ({
+          updateOne: {
+            filter: { id: user.id },
+            update: { $set: { ...normalizeAuthor(user), lastFetched: fetchedAt }, $unset: { lookup_error: '' } },
+            upsert: true
           }
-        }
-      } catch (err) {
-        console.error(`[AuthorService] Error refreshing author ${authorId}:`, err);
-      }
-    }
-  }
-}
-// ────────────────────────────────────────────────────────────────────────────
-
-async function addTweetToMongoDB(db, tweets, includes) {
-  const bulkOps = {
-    tweets: [],
-    authors: [],
-    media: []
-  };
-
-  for (const tweet of tweets) {
-    // Process media
-    if (tweet.attachments?.media_keys && includes?.media) {
-      const mediaData = includes.media.filter((m) => tweet.attachments.media_keys.includes(m.media_key));
-      if (mediaData.length > 0) {
-        tweet.mediaData = mediaData;
-        bulkOps.media.push(
-          ...mediaData.map((media) => ({
-            updateOne: {
-              filter: { media_key: media.media_key },
-              update: { $set: media },
-              upsert: true
-            }
-          }))
-        );
-      }
-    }
-    // Process mentions and authors
-    if (tweet.entities?.mentions) {
-      for (const mention of tweet.entities.mentions) {
-        if (mention.id) {
-          bulkOps.authors.push({
-            updateOne: {
-              filter: { id: mention.id },
-              update: { $set: { username: mention.username } },
-              upsert: true
-            }
-          });
-        } else if (mention.username) {
-          const tempId = `temp_${uuidv4()}`;
-          bulkOps.authors.push({
+        }));
+        // Suspended or deleted accounts: remember the failure so they aren't looked up again until
+        // stale. Authors never stored get a stub holding just that, or every batch would ask again.
+        const found = new Set(data.map((user) => user.id));
+        const notFound = batch.filter((id) => !found.has(id));
+        for (const id of notFound) {
+          const lookupError = errors.find((error) => error.resource_id === id || error.value === id);
+          ops.push({
             updateOne: {
-              filter: { id: tempId },
-              update: { $set: { username: mention.username } },
+              filter: { id },
+              update: { $set: { lastFetched: fetchedAt, lookup_error: lookupError?.title || 'Not Found' } },
               upsert: true
             }
           });
         }
+        if (ops.length) await authorsCollection.bulkWrite(ops, { ordered: false });
+        refreshed += data.length;
+      } catch (error) {
+        console.error(`[AuthorService] Error refreshing batch of ${batch.length} authors:`, error);
+        if (error.code === 429) break;
       }
     }
-    // Add tweet only if it should not be ignored
-    if (shouldIgnoreTweet(tweet)) {
-      console.log(`[Filter] Ignoring tweet ${tweet.id} due to content: ${tweet.text.substring(0, 50)}...`);
-    } else {
-      bulkOps.tweets.push({
-        updateOne: {
-          filter: { id: tweet.id },
-          update: { $set: tweet },
-          upsert: true
-        }
-      });
-    }
-  }
-
-  try {
-    // Bulk-write in parallel
-    await Promise.all([
-      bulkOps.tweets.length && db.collection('tweets').bulkWrite(bulkOps.tweets),
-      bulkOps.authors.length && db.collection('authors').bulkWrite(bulkOps.authors),
-      bulkOps.media.length && db.collection('media').bulkWrite(bulkOps.media)
-    ]);
-    console.log('[MongoDB] Bulk operations completed successfully');
-  } catch (error) {
-    console.error('[MongoDB] Bulk operation error:', error);
-    throw error;
-  }
-}
-
-// Mentions search using XCACHE API
-async function searchAuthenticatedUserMentions(authUser, sinceId) {
-  try {
-    console.log(`[XCACHE] Searching mentions for @${authUser.username}`);
-    return await fetchMentionsFromXCache(sinceId);
-  } catch (error) {
-    console.error(`[XCACHE] Error searching mentions:`, error);
-    throw error;
+    console.log(`[AuthorService] Refreshed ${refreshed}/${queue.length} authors`);
+    return refreshed;
   }
 }
+// ────────────────────────────────────────────────────────────────────────────
 
 // Main mentions fetch cycle
-async function startMentionsFetchCycle(db, authUser, authorService) {
-  const mentionsCollection = db.collection('tweets');
+async function startMentionsFetchCycle(db, account, authUser, authorService, source, cursors) {
+  const cursorKey = `mentions:${account.id}:${source.name}`;
   while (true) {
     try {
-      console.log('[Mentions] Starting mentions fetch...');
-      const mostRecentMention = await mentionsCollection
-        .find({ 'entities.mentions.username': authUser.username })
-        .sort({ created_at: -1 })
-        .limit(1)
-        .toArray();
-      const sinceId = mostRecentMention.length > 0 ? mostRecentMention[0].id : null;
-
-      const mentions = await searchAuthenticatedUserMentions(authUser, sinceId);
-      if (mentions.data) {
-        const newTweets = mentions.data;
-        await addTweetToMongoDB(db, newTweets, mentions.includes);
-
-        // ── Enrich authors here ──
-        await authorService.collectAuthorsFromTweets(newTweets);
-        
-        console.log(`[Mentions] Processed ${newTweets.length} new mentions`);
+      console.log(`[Mentions] Starting mentions fetch for ${account.id}...`);
+      const { pages, tweets } = await ingestWithCursor({
+        cursors,
+        source: cursorKey,
+        maxPages: INGEST_MAX_PAGES,
+        fetchPage: (options) => source.listMentions(authUser, options),
+        storePage: async (page) => {
+          await addTweetToMongoDB(db, page.data, page.includes, { stream: 'mentions', accountId: account.id, contentFilter });
+
+          // ── Enrich authors here ──
+          await authorService.collectAuthorsFromTweets(page.data);
+        }
+      });
+
+      if (tweets) {
+        console.log(`[Mentions] Processed ${tweets} new mentions of ${account.id} across ${pages} page(s)`);
       } else {
-        console.log('[Mentions] No new mentions found');
+        console.log(`[Mentions] No new mentions found for ${account.id}`);
       }
 
       await delay(MENTION_FETCH_INTERVAL);
@@ -632,138 +358,98 @@ async function startMentionsFetchCycle(db, authUser, authorService) {
   }
 }
 
-// Home timeline
-async function getHomeTimeline(lastId) {
-  const params = {
-    max_results: HOME_TIMELINE_MAX_RESULTS,
-    since_id: lastId,
-    expansions: EXPANSIONS.join(','),
-    'media.fields': MEDIA_FIELDS.join(','),
-    'tweet.fields': TWEET_FIELDS.join(','),
-    'user.fields': USER_FIELDS.join(',')
+// Tracked topic fetch cycle: one per topic, with its own schedule and request budget.
+// Read through the first account answering the topic and tagged with every one of them.
+async function startTopicFetchCycle(db, topic, accountIds, authorService, source, cursors) {
+  const stream = topicStream(topic);
+  const budget = new AdaptiveRateLimiter(topic.max_requests_per_window, topic.window_minutes * 60 * 1000);
+  const query = buildSearchQuery(topic);
+
+  const storePage = async (page) => {
+    await addTweetToMongoDB(db, page.data, page.includes, { stream, accountId: accountIds, contentFilter });
+    await authorService.collectAuthorsFromTweets(page.data);
   };
-  console.log('[Twitter] Requesting home timeline:', params);
-  return await retryTwitterCall(() => twitterClient.v2.homeTimeline(params), rateLimiters.homeTimeline);
-}
 
-// Optimized function to process only tweets with missing parents
-async function processConversationThreads(db, authorService) {
-  const tweetsCollection = db.collection('tweets');
-  
-  console.log('[ConversationProcessor] Starting optimized conversation thread processing...');
-  
-  try {
-    // The magic happens here - we use MongoDB aggregation to find only tweets
-    // that reference parent tweets that aren't in our database yet
-    const pipeline = [
-      // Stage 1: Unwind the referenced_tweets array to work with each reference individually
-      { $unwind: '$referenced_tweets' },
-      
-      // Stage 2: Filter to only include "replied_to" references
-      { $match: { 'referenced_tweets.type': 'replied_to' } },
-      
-      // Stage 3: Group by the referenced tweet ID to avoid duplicates
-      { $group: { 
-          _id: '$referenced_tweets.id',
-          tweetId: { $first: '$id' },
-          conversationId: { $first: '$conversation_id' },
-          referencedId: { $first: '$referenced_tweets.id' }
-      }},
-      
-      // Stage 4: Perform a lookup to see if the referenced tweet exists in our collection
-      { $lookup: {
-          from: 'tweets',
-          localField: 'referencedId',
-          foreignField: 'id',
-          as: 'parentTweet'
-      }},
-      
-      // Stage 5: Filter to only include references where the parent tweet doesn't exist
-      { $match: { 'parentTweet': { $size: 0 } } },
-      
-      // Stage 6: Limit the number we process at once
-      { $limit: 50 }
-    ];
-    
-    const missingParents = await tweetsCollection.aggregate(pipeline).toArray();
-    
-    console.log(`[ConversationProcessor] Found ${missingParents.length} tweets with missing parents`);
-    
-    if (missingParents.length === 0) {
-      return;
-    }
-    
-    // Extract the IDs of the missing parent tweets
-    const missingParentIds = missingParents.map(item => item.referencedId);
-    
-    console.log(`[ConversationProcessor] Will fetch these missing parent tweets: ${missingParentIds.join(', ')}`);
-    
-    // Fetch and store each missing parent tweet
-    for (const parentId of missingParentIds) {
-      try {
-        const tweetData = await fetchSingleTweetFromXCache(parentId);
-        
-        if (tweetData && tweetData.data && tweetData.data.length > 0) {
-          // Store the tweet in MongoDB
-          await addTweetToMongoDB(db, tweetData.data, tweetData.includes);
-          
-          // Enrich author information
-          await authorService.collectAuthorsFromTweets(tweetData.data);
-          
-          console.log(`[ConversationProcessor] Added parent tweet ${parentId} to database`);
-          
-          // Check if this newly added tweet is also a reply
-          // If so, it will be picked up in the next processing cycle
-        }
-      } catch (error) {
-        console.error(`[ConversationProcessor] Error fetching parent tweet ${parentId}:`, error);
+  while (true) {
+    try {
+      console.log(`[Topics] Starting fetch for topic ${topic.id} (${accountIds.join(', ')})...`);
+      let total = 0;
+
+      if (query) {
+        const { tweets } = await ingestWithCursor({
+          cursors,
+          source: `${stream}:search:${source.name}`,
+          maxPages: INGEST_MAX_PAGES,
+          fetchPage: async (options) => {
+            await budget.removeTokens();
+            return source.searchTweets(query, options);
+          },
+          storePage
+        });
+        total += tweets;
       }
-      
-      // Apply a small delay between API calls to avoid rate limiting
-      await delay(1000);
+
+      for (const listId of topic.list_ids) {
+        const { tweets } = await ingestWithCursor({
+          cursors,
+          source: `${stream}:list:${listId}:${source.name}`,
+          maxPages: INGEST_MAX_PAGES,
+          fetchPage: async (options) => {
+            await budget.removeTokens();
+            return source.listListTweets(listId, options);
+          },
+          storePage
+        });
+        total += tweets;
+      }
+
+      console.log(`[Topics] Processed ${total} new tweets for topic ${topic.id}`);
+      await delay(topic.interval_minutes * 60 * 1000);
+    } catch (error) {
+      console.error(`[Topics] Error in fetch cycle for topic ${topic.id}:`, error);
+      await delay(INITIAL_RETRY_DELAY);
     }
-    
-    console.log(`[ConversationProcessor] Completed conversation thread processing`);
-  } catch (error) {
-    console.error('[ConversationProcessor] Error during conversation processing:', error);
   }
 }
 
-
-// Start the conversation processor on a different schedule
-async function startConversationProcessingCycle(db, authorService) {
+// Start the conversation backfill on a different schedule
+async function startConversationProcessingCycle(backfillService) {
   const CONVERSATION_PROCESSING_INTERVAL = 1000 * 60 * 15; // 15 minutes
-  
+
   while (true) {
     try {
-      await processConversationThreads(db, authorService);
+      await backfillService.run();
       await delay(CONVERSATION_PROCESSING_INTERVAL);
     } catch (error) {
-      console.error('[ConversationProcessor] Error in processing cycle:', error);
+      console.error('[ConversationBackfill] Error in processing cycle:', error);
       await delay(INITIAL_RETRY_DELAY);
     }
   }
 }
 
 // Main timeline fetch cycle
-async function startMainFetchCycle(db, authUser, authorService) {
-  const tweetsCollection = db.collection('tweets');
+async function startMainFetchCycle(db, account, authUser, authorService, source, cursors) {
+  const cursorKey = `timeline:${account.id}:${source.name}`;
   while (true) {
     try {
-      console.log('[Main] Starting timeline fetch...');
-      const mostRecentTweet = await tweetsCollection.findOne({}, { sort: { created_at: -1 } });
-      const timeline = await getHomeTimeline(mostRecentTweet?.id);
-
-      if (timeline.data?.data) {
-        const newTweets = timeline.data.data;
-        await addTweetToMongoDB(db, newTweets, timeline.includes);
-
-        // ── Enrich authors here ──
-        await authorService.collectAuthorsFromTweets(newTweets);
+      console.log(`[Main] Starting timeline fetch for ${account.id}...`);
+      const { pages, tweets } = await ingestWithCursor({
+        cursors,
+        source: cursorKey,
+        maxPages: INGEST_MAX_PAGES,
+        fetchPage: (options) => source.listTimeline(authUser, options),
+        storePage: async (page) => {
+          await addTweetToMongoDB(db, page.data, page.includes, { stream: 'timeline', accountId: account.id, contentFilter });
+
+          // ── Enrich authors here ──
+          await authorService.collectAuthorsFromTweets(page.data);
+        }
+      });
 
-        console.log(`[Main] Processed ${newTweets.length} new tweets`);
+      if (tweets) {
+        console.log(`[Main] Processed ${tweets} new timeline tweets for ${account.id} across ${pages} page(s)`);
       } else {
-        console.log('[Main] No new tweets found');
+        console.log(`[Main] No new tweets found for ${account.id}`);
       }
 
       await delay(FETCH_INTERVAL);
@@ -774,54 +460,58 @@ async function startMainFetchCycle(db, authUser, authorService) {
   }
 }
 
-// Background processes (unchanged)
+// Background processes
 const BATCH_SIZE = 50;
-async function processUnknownAuthorsQueue(db, batchSize = BATCH_SIZE) {
-  const authorsCollection = db.collection('authors');
-  const tempAuthors = await authorsCollection.find({ id: /^temp_/ }).limit(batchSize).toArray();
-  console.log(`[Background] Processing ${tempAuthors.length} temporary authors...`);
+async function processUnknownAuthorsQueue(db, usersSource, batchSize = BATCH_SIZE) {
+  // Temp authors are merged into real records by username instead of having their id rewritten
+  const merger = new AuthorMergeService(db, { usersSource });
+  await merger.mergeTemporaryAuthors({ limit: batchSize });
+}
 
-  for (const tempAuthor of tempAuthors) {
+// Revalidation cycle: re-fetch stored tweets to catch deletions and edits
+async function startRevalidationCycle(revalidation) {
+  while (true) {
     try {
-      if (!tempAuthor.username) continue;
-      const currentAuthor = await authorsCollection.findOne({ id: tempAuthor.id });
-      if (!currentAuthor || !currentAuthor.id.startsWith('temp_')) continue;
-
-      // Possibly fetch user data by username if we only have a temp ID
-      const userData = await retryTwitterCall(
-        () => twitterClient.v2.userByUsername(tempAuthor.username, { 'user.fields': USER_FIELDS }),
-        rateLimiters.userByUsername
-      );
-      if (userData?.data) {
-        await authorsCollection.updateOne(
-          { id: tempAuthor.id },
-          {
-            $set: {
-              id: userData.data.id,
-              username: userData.data.username,
-              lastFetched: new Date()
-            }
-          }
-        );
-        console.log(
-          `[Background] Updated temp author @${tempAuthor.username} with real ID: ${userData.data.id}`
-        );
-      }
+      await revalidation.run();
+      await delay(REVALIDATION_INTERVAL);
     } catch (error) {
-      if (error.code === 429) {
-        console.log('[Background] Rate limit hit, will retry in next batch');
-        break;
-      }
-      console.error(`[Background] Error processing temp author @${tempAuthor.username}:`, error);
+      console.error('[Revalidation] Error in revalidation cycle:', error);
+      await delay(INITIAL_RETRY_DELAY);
     }
   }
 }
 
-async function startBackgroundProcesses(db) {
+// Metrics sampling cycle for posted replies
+async function startMetricsSamplingCycle(sampler) {
+  while (true) {
+    try {
+      await sampler.run();
+      await delay(METRICS_SAMPLE_INTERVAL);
+    } catch (error) {
+      console.error('[Metrics] Error in sampling cycle:', error);
+      await delay(INITIAL_RETRY_DELAY);
+    }
+  }
+}
+
+// Follow graph sync cycle
+async function startFollowGraphSyncCycle(followGraph, authUser) {
+  while (true) {
+    try {
+      await followGraph.sync(authUser);
+      await delay(FOLLOW_SYNC_INTERVAL);
+    } catch (error) {
+      console.error('[FollowGraph] Error in sync cycle:', error);
+      await delay(INITIAL_RETRY_DELAY);
+    }
+  }
+}
+
+async function startBackgroundProcesses(db, usersSource) {
   while (true) {
     try {
       console.log('[Background] Starting background processes...');
-      await processUnknownAuthorsQueue(db, BATCH_SIZE);
+      await processUnknownAuthorsQueue(db, usersSource, BATCH_SIZE);
       console.log(
         `[Background] Waiting ${AUTHOR_UPDATE_INTERVAL / 1000}s before next update...`
       );
@@ -833,14 +523,14 @@ async function startBackgroundProcesses(db) {
   }
 }
 
-// Get authenticated user
-async function getAuthenticatedUser(db) {
+// Get the X user an account's client is authenticated as
+async function getAuthenticatedUser(db, account, twitterClient) {
   try {
-    // Get the user ID from environment variable
-    const authUserId = process.env.TWITTER_USER_ID;
+    // Get the user ID from the account registry
+    const authUserId = account.user_id;
     
     if (!authUserId) {
-      console.warn('[Config] TWITTER_USER_ID not found in environment variables');
+      console.warn(`[Config] No user_id configured for account ${account.id}`);
     }
     
     // First check if we have the authenticated user in our database
@@ -864,10 +554,10 @@ async function getAuthenticatedUser(db) {
     }
 
     // Fallback to Twitter API if not in DB or stale
-    console.log('[Twitter] Fetching authenticated user info...');
+    console.log(`[Twitter] Fetching authenticated user info for ${account.id}...`);
     const user = await retryTwitterCall(
       () => twitterClient.v2.me({ 'user.fields': USER_FIELDS }),
-      rateLimiters.userByUsername
+      'me'
     );
 
     console.log(`[Twitter] Authenticated as: @${user.data.username} (ID: ${user.data.id})`);
@@ -878,7 +568,7 @@ async function getAuthenticatedUser(db) {
         { id: user.data.id },
         { 
           $set: { 
-            ...user.data,
+            ...normalizeAuthor(user.data),
             lastFetched: new Date()
           } 
         },
@@ -898,47 +588,111 @@ async function main() {
   let db;
   try {
     // Check env
-    const requiredEnvVars = [
-      'TWITTER_APP_TOKEN',
-      'TWITTER_APP_SECRET',
-      'TWITTER_ACCESS_TOKEN',
-      'TWITTER_ACCESS_SECRET',
-      'MONGODB_URI',
-      'DB_NAME',
-      'XCACHE_API_BASE_URL',
-      'XCACHE_API_KEY'
-    ];
+    const requiredEnvVars = ['MONGODB_URI', 'DB_NAME'];
+    const configuredSources = Object.values(SOURCE_CONFIG).map((name) => name.toLowerCase());
+    if (configuredSources.includes('xcache')) {
+      requiredEnvVars.push('XCACHE_API_BASE_URL', 'XCACHE_API_KEY');
+    }
+    if (configuredSources.includes('jsonl')) {
+      requiredEnvVars.push('JSONL_SOURCE_FILE');
+    }
     const missingVars = requiredEnvVars.filter((envVar) => !process.env[envVar]);
     if (missingVars.length) {
       throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
     }
 
+    // Accounts, each with its own OAuth tokens
+    const accounts = await loadAccounts();
+    if (!accounts.length) {
+      throw new Error('No enabled accounts in the account registry');
+    }
+    accounts.forEach(accountTokens); // throws on missing credentials
+
+    // Filter rules
+    contentFilter = await ContentFilter.fromFile();
+
     // Connect
     db = await connectToMongoDB();
 
-    // Auth user
-    const authUser = await getAuthenticatedUser(db);
-    // Store our own bot user in authors as well
-    await addOrUpdateAuthor(db, authUser);
+    // Per account: a client gated by the account's rate-limit budgets, its
+    // source adapters and the X user it is authenticated as
+    const accountContexts = [];
+    for (const account of accounts) {
+      const rateLimitStore = new RateLimitStore(db, { accountId: account.id });
+      const twitterClient = createAccountClient(account, {
+        timeout: TWITTER_API_TIMEOUT,
+        plugins: [rateLimitStore.plugin()]
+      });
+      const sources = createScraperSources(twitterClient);
+      const authUser = await getAuthenticatedUser(db, account, twitterClient);
+      account.user_id ||= authUser.id;
+      account.username ||= authUser.username;
+      // Store our own bot user in authors as well
+      await addOrUpdateAuthor(db, authUser);
+      accountContexts.push({ account, sources, authUser });
+    }
+
+    // Streams over tweets every account shares (author lookups, conversation
+    // backfill, revalidation) read through the first account
+    const { sources } = accountContexts[0];
 
     // Initialize AuthorService
-    const authorService = new AuthorService(db);
+    const authorService = new AuthorService(db, sources.users);
+
+    // Persistent per-source cursors
+    const cursors = new IngestCursorStore(db);
 
-    // Start main cycles
-    if (process.env.FETCH_X_TIMELINE.toLowerCase !== 'false') {
-      startMainFetchCycle(db, authUser, authorService);
+    // Start main cycles and the following/followers sync per account
+    for (const { account, sources: accountSources, authUser } of accountContexts) {
+      if (account.streams.timeline && process.env.FETCH_X_TIMELINE?.toLowerCase() !== 'false') {
+        startMainFetchCycle(db, account, authUser, authorService, accountSources.timeline, cursors);
+      }
+      if (account.streams.mentions && process.env.FETCH_X_MENTIONS?.toLowerCase() !== 'false') {
+        startMentionsFetchCycle(db, account, authUser, authorService, accountSources.mentions, cursors);
+      }
+      const followGraph = new FollowGraphService(db, { source: accountSources.follows, accountId: account.id });
+      startFollowGraphSyncCycle(followGraph, authUser);
     }
-    if (process.env.FETCH_X_MENTIONS.toLowerCase !== 'false') {
-      startMentionsFetchCycle(db, authUser, authorService);
+
+    // Start one cycle per tracked topic
+    const trackedTopics = await loadTrackedTopics();
+    for (const topic of trackedTopics) {
+      const owners = accountContexts.filter(({ account }) => accountFollowsTopic(account, topic));
+      if (!owners.length) {
+        console.log(`[Topics] No account answers topic ${topic.id}; not fetching it`);
+        continue;
+      }
+      startTopicFetchCycle(db, topic, owners.map(({ account }) => account.id), authorService, owners[0].sources.topics, cursors);
     }
 
-    // Start conversation processing cycle
-    startConversationProcessingCycle(db, authorService);
-    
+    // Start conversation backfill cycle
+    const backfillService = new ConversationBackfillService(db, {
+      source: sources.tweets,
+      botUsers: accountContexts.map(({ authUser }) => authUser),
+      storeTweets: async (tweets, includes) => {
+        await addTweetToMongoDB(db, tweets, includes, { stream: 'conversation', contentFilter });
+        await authorService.collectAuthorsFromTweets(tweets);
+      },
+      limits: {
+        maxDepth: Number(process.env.CONVERSATION_MAX_DEPTH) || undefined,
+        maxTweets: Number(process.env.CONVERSATION_MAX_TWEETS) || undefined
+      }
+    });
+    startConversationProcessingCycle(backfillService);
+
+    // Start tweet revalidation
+    startRevalidationCycle(new TweetRevalidationService(db, { source: sources.revalidation }));
+
+    // Start engagement sampling of posted replies, each account's through its own source
+    for (const { account, sources: accountSources } of accountContexts) {
+      startMetricsSamplingCycle(
+        new MetricsSampler(db, { source: accountSources.metrics, sampleHours: METRICS_SAMPLE_HOURS, accountId: account.id })
+      );
+    }
 
     // Delayed background stuff
     setTimeout(() => {
-      startBackgroundProcesses(db);
+      startBackgroundProcesses(db, sources.users);
     }, AUTHOR_UPDATE_INTERVAL);
   } catch (error) {
     console.error('[Main] Fatal error:', error);
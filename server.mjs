@@ -5,6 +5,7 @@ import dotenv from 'dotenv';
 import { MongoClient } from 'mongodb';
 import path from 'path';
 import { fileURLToPath } from 'url';
+import { contextProvenance } from './context_renderer.mjs';
 
 // Load environment variables from .env file
 dotenv.config();
@@ -82,8 +83,8 @@ app.get('/api/authors/:id/context', async (req, res) => {
       .limit(20)
       .toArray();
 
-    // Fetch the prompt and response if available
-    const responseDoc = await responsesCollection.findOne({ author_id: authorId });
+    // Fetch the latest prompt and response if available
+    const responseDoc = await responsesCollection.findOne({ author_id: authorId }, { sort: { created_at: -1 } });
 
     res.json({
       author: {
@@ -95,6 +96,7 @@ app.get('/api/authors/:id/context', async (req, res) => {
       tweets: authorTweets,
       prompt: responseDoc ? responseDoc.prompt : null,
       response: responseDoc ? responseDoc.response : null,
+      provenance: responseDoc?.context_doc ? contextProvenance(responseDoc.context_doc) : null,
     });
   } catch (error) {
     console.error('Error fetching author context:', error);
@@ -0,0 +1,79 @@
+// tracked_topics.mjs
+//
+// Tracked topics are ingestion streams of their own: keywords, hashtags,
+// cashtags and X lists the scraper searches on a per-topic schedule and
+// rate-limit budget. Stored tweets are tagged with `topic:<id>` in their
+// `streams` array so the context builder can prioritise by topic.
+
+import fs from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+export const DEFAULT_TOPICS_FILE = path.join(__dirname, 'assets', 'tracked_topics.json');
+
+const TOPIC_DEFAULTS = {
+  keywords: [],
+  hashtags: [],
+  cashtags: [],
+  list_ids: [],
+  exclude_retweets: true,
+  priority: 0,
+  interval_minutes: 30,
+  max_requests_per_window: 10,
+  window_minutes: 15,
+  enabled: true
+};
+
+/**
+ * Stream tag stored on tweets found by a topic.
+ * @param {object | string} topic - Topic or topic id.
+ */
+export function topicStream(topic) {
+  return `topic:${typeof topic === 'string' ? topic : topic.id}`;
+}
+
+/**
+ * Loads enabled topics, highest priority first.
+ * @param {string} [filePath] - Defaults to TRACKED_TOPICS_FILE or assets/tracked_topics.json.
+ * @returns {Promise<Array<object>>} Topics with defaults applied; empty if the file is missing.
+ */
+export async function loadTrackedTopics(filePath = process.env.TRACKED_TOPICS_FILE || DEFAULT_TOPICS_FILE) {
+  let content;
+  try {
+    content = JSON.parse(await fs.readFile(filePath, 'utf8'));
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      console.warn(`[Topics] No tracked topics file at ${filePath}`);
+      return [];
+    }
+    throw error;
+  }
+
+  return (content.topics || [])
+    .map((topic) => {
+      if (!topic.id) throw new Error('[Topics] Every tracked topic needs an id');
+      return { ...TOPIC_DEFAULTS, ...topic };
+    })
+    .filter((topic) => topic.enabled)
+    .sort((a, b) => b.priority - a.priority);
+}
+
+/**
+ * Builds the recent-search query for a topic's keywords, hashtags and cashtags.
+ * @returns {string | null} Query string, or null if the topic only tracks lists.
+ */
+export function buildSearchQuery(topic) {
+  const terms = [
+    ...topic.keywords.map((keyword) => (/\s/.test(keyword) ? `"${keyword}"` : keyword)),
+    ...topic.hashtags.map((tag) => `#${tag.replace(/^#/, '')}`),
+    ...topic.cashtags.map((tag) => `$${tag.replace(/^\$/, '')}`)
+  ];
+  if (!terms.length) return null;
+
+  const parts = [terms.length > 1 ? `(${terms.join(' OR ')})` : terms[0]];
+  if (topic.exclude_retweets) parts.push('-is:retweet');
+  if (topic.lang) parts.push(`lang:${topic.lang}`);
+  return parts.join(' ');
+}
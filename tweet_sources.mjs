@@ -0,0 +1,592 @@
+// tweet_sources.mjs
+//
+// Ingestion source adapters. Every adapter exposes the same interface and
+// returns pages in the Twitter v2 shape ({ data, includes, meta }) so the
+// scraper cycles don't need to know which provider a stream is reading from.
+
+import fs from 'fs/promises';
+import fetch from 'node-fetch';
+
+// Fields requested from the Twitter v2 API
+export const TWEET_FIELDS = [
+  'created_at',
+  'text',
+  'author_id',
+  'attachments',
+  'referenced_tweets',
+  'in_reply_to_user_id',
+  'entities',
+  'conversation_id',
+  'public_metrics',
+  'context_annotations',
+  'lang',
+  'possibly_sensitive',
+  'source',
+  'geo',
+  'edit_history_tweet_ids',
+  'edit_controls',
+  'withheld'
+];
+
+export const USER_FIELDS = [
+  'username',
+  'name',
+  'profile_image_url',
+  'description',
+  'public_metrics',
+  'created_at',
+  'verified',
+  'location'
+];
+
+export const MEDIA_FIELDS = [
+  'url',
+  'preview_image_url',
+  'type',
+  'duration_ms',
+  'height',
+  'width',
+  'alt_text',
+  'variants'
+];
+
+export const EXPANSIONS = [
+  'attachments.media_keys',
+  'referenced_tweets.id',
+  'author_id',
+  'in_reply_to_user_id',
+  'entities.mentions.username'
+];
+
+const PAGE_MAX_RESULTS = 100;
+const FOLLOW_PAGE_MAX_RESULTS = 1000;
+const TWEET_LOOKUP_BATCH_SIZE = 100;
+export const USER_LOOKUP_BATCH_SIZE = 100; // max ids/usernames per users lookup call
+
+/**
+ * Compares two tweet IDs (snowflakes) without converting them to numbers.
+ * @returns {number} Negative if a < b, positive if a > b, 0 if equal.
+ */
+export function compareTweetIds(a, b) {
+  const left = String(a);
+  const right = String(b);
+  if (left.length !== right.length) return left.length - right.length;
+  return left < right ? -1 : left > right ? 1 : 0;
+}
+
+/**
+ * Builds an empty page in the shape every adapter returns.
+ */
+function emptyPage() {
+  return { data: [], includes: {}, meta: {} };
+}
+
+/**
+ * Ensures a raw page always has data/includes/meta.
+ */
+function toPage(raw) {
+  return {
+    data: raw?.data || [],
+    includes: raw?.includes || {},
+    meta: raw?.meta || {}
+  };
+}
+
+export function chunk(items, size) {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Base adapter
+// ────────────────────────────────────────────────────────────────────────────
+/**
+ * Interface implemented by every ingestion source. Methods an adapter
+ * can't support throw, so a misconfigured stream fails loudly.
+ */
+export class TweetSource {
+  constructor(name) {
+    this.name = name;
+  }
+
+  /**
+   * Lists tweets mentioning the given user.
+   * @param {object} user - The authenticated user ({ id, username }).
+   * @param {object} [options] - { sinceId, paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>}
+   */
+  async listMentions(user, options = {}) {
+    throw this._unsupported('listMentions');
+  }
+
+  /**
+   * Lists the user's home timeline.
+   * @param {object} user - The authenticated user ({ id, username }).
+   * @param {object} [options] - { sinceId, paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>}
+   */
+  async listTimeline(user, options = {}) {
+    throw this._unsupported('listTimeline');
+  }
+
+  /**
+   * Fetches a single tweet.
+   * @param {string} tweetId
+   * @returns {Promise<{data: Array, includes: object, meta: object} | null>} Page with the tweet, or null if not found.
+   */
+  async fetchTweet(tweetId) {
+    throw this._unsupported('fetchTweet');
+  }
+
+  /**
+   * Looks up tweets by ID to check whether they still exist and what their
+   * current version is. Tweets that can't be returned come back in `errors`
+   * ({ resource_id, title, detail, type }), e.g. 'Not Found Error' for deleted tweets.
+   * @param {string[]} tweetIds
+   * @returns {Promise<{data: Array, includes: object, errors: Array}>}
+   */
+  async lookupTweets(tweetIds) {
+    throw this._unsupported('lookupTweets');
+  }
+
+  /**
+   * Fetches the tweets belonging to a conversation.
+   * @param {string} conversationId
+   * @param {object} [options] - { sinceId, paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>}
+   */
+  async fetchConversation(conversationId, options = {}) {
+    throw this._unsupported('fetchConversation');
+  }
+
+  /**
+   * Searches recent tweets.
+   * @param {string} query - Search query (X search syntax).
+   * @param {object} [options] - { sinceId, paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>}
+   */
+  async searchTweets(query, options = {}) {
+    throw this._unsupported('searchTweets');
+  }
+
+  /**
+   * Lists tweets from an X list, newest first. Tweets at or below `sinceId`
+   * are dropped and pagination stops once they are reached.
+   * @param {string} listId
+   * @param {object} [options] - { sinceId, paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>}
+   */
+  async listListTweets(listId, options = {}) {
+    throw this._unsupported('listListTweets');
+  }
+
+  /**
+   * Looks up users by ID and/or username.
+   * @param {object} query - { ids: string[], usernames: string[] }
+   * @returns {Promise<{data: Array, errors: Array}>}
+   */
+  async lookupUsers({ ids = [], usernames = [] } = {}) {
+    throw this._unsupported('lookupUsers');
+  }
+
+  /**
+   * Lists the accounts a user follows.
+   * @param {string} userId
+   * @param {object} [options] - { paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>} Page of users.
+   */
+  async listFollowing(userId, options = {}) {
+    throw this._unsupported('listFollowing');
+  }
+
+  /**
+   * Lists the accounts following a user.
+   * @param {string} userId
+   * @param {object} [options] - { paginationToken }
+   * @returns {Promise<{data: Array, includes: object, meta: object}>} Page of users.
+   */
+  async listFollowers(userId, options = {}) {
+    throw this._unsupported('listFollowers');
+  }
+
+  _unsupported(method) {
+    return new Error(`[Sources] ${this.name} source does not support ${method}`);
+  }
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Twitter v2 adapter
+// ────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads from the Twitter v2 API. `call(apiCall, name)` wraps each request
+ * with the scraper's retry handling; `name` labels the call in logs.
+ */
+export class TwitterV2Source extends TweetSource {
+  constructor({ client, call }) {
+    super('twitter');
+    this.client = client;
+    this.call = call || ((apiCall) => apiCall());
+  }
+
+  _tweetParams(extra = {}) {
+    return {
+      expansions: EXPANSIONS.join(','),
+      'media.fields': MEDIA_FIELDS.join(','),
+      'tweet.fields': TWEET_FIELDS.join(','),
+      'user.fields': USER_FIELDS.join(','),
+      ...extra
+    };
+  }
+
+  _pageParams({ sinceId, paginationToken } = {}) {
+    return this._tweetParams({
+      max_results: PAGE_MAX_RESULTS,
+      ...(sinceId && { since_id: sinceId }),
+      ...(paginationToken && { pagination_token: paginationToken })
+    });
+  }
+
+  async listMentions(user, options = {}) {
+    const params = this._pageParams(options);
+    console.log(`[Twitter] Requesting mentions for @${user.username}:`, params);
+    const paginator = await this.call(
+      () => this.client.v2.userMentionTimeline(user.id, params),
+      'mentionsTimeline'
+    );
+    return toPage(paginator.data);
+  }
+
+  async listTimeline(user, options = {}) {
+    const params = this._pageParams(options);
+    console.log('[Twitter] Requesting home timeline:', params);
+    const paginator = await this.call(() => this.client.v2.homeTimeline(params), 'homeTimeline');
+    return toPage(paginator.data);
+  }
+
+  async fetchTweet(tweetId) {
+    const response = await this.call(
+      () => this.client.v2.singleTweet(tweetId, this._tweetParams()),
+      'tweetLookup'
+    );
+    if (!response?.data) return null;
+    return { data: [response.data], includes: response.includes || {}, meta: {} };
+  }
+
+  async lookupTweets(tweetIds) {
+    const result = { data: [], includes: {}, errors: [] };
+    for (const batch of chunk(tweetIds, TWEET_LOOKUP_BATCH_SIZE)) {
+      const response = await this.call(() => this.client.v2.tweets(batch, this._tweetParams()), 'tweetLookup');
+      result.data.push(...(response?.data || []));
+      result.errors.push(...(response?.errors || []));
+      for (const [key, items] of Object.entries(response?.includes || {})) {
+        result.includes[key] = [...(result.includes[key] || []), ...items];
+      }
+    }
+    return result;
+  }
+
+  async fetchConversation(conversationId, { sinceId, paginationToken } = {}) {
+    const params = this._tweetParams({
+      max_results: PAGE_MAX_RESULTS,
+      ...(sinceId && { since_id: sinceId }),
+      ...(paginationToken && { next_token: paginationToken })
+    });
+    const paginator = await this.call(
+      () => this.client.v2.search(`conversation_id:${conversationId}`, params),
+      'searchTweets'
+    );
+    return toPage(paginator.data);
+  }
+
+  async searchTweets(query, { sinceId, paginationToken } = {}) {
+    const params = this._tweetParams({
+      max_results: PAGE_MAX_RESULTS,
+      ...(sinceId && { since_id: sinceId }),
+      ...(paginationToken && { next_token: paginationToken })
+    });
+    console.log(`[Twitter] Searching tweets: ${query}`);
+    const paginator = await this.call(() => this.client.v2.search(query, params), 'searchTweets');
+    return toPage(paginator.data);
+  }
+
+  // The list tweets endpoint has no since_id, so already-seen tweets are dropped here
+  async listListTweets(listId, { sinceId, paginationToken } = {}) {
+    const params = this._tweetParams({
+      max_results: PAGE_MAX_RESULTS,
+      ...(paginationToken && { pagination_token: paginationToken })
+    });
+    console.log(`[Twitter] Requesting tweets for list ${listId}`);
+    const paginator = await this.call(() => this.client.v2.listTweets(listId, params), 'listTweets');
+    const page = toPage(paginator.data);
+    if (sinceId) {
+      const newTweets = page.data.filter((tweet) => compareTweetIds(tweet.id, sinceId) > 0);
+      if (newTweets.length < page.data.length) delete page.meta.next_token;
+      page.data = newTweets;
+    }
+    if (page.data.length) page.meta.newest_id = page.data[0].id;
+    return page;
+  }
+
+  async lookupUsers({ ids = [], usernames = [] } = {}) {
+    const params = { 'user.fields': USER_FIELDS };
+    const result = { data: [], errors: [] };
+    const requests = [
+      ...chunk(ids, USER_LOOKUP_BATCH_SIZE).map((batch) => () => this.client.v2.users(batch, params)),
+      ...chunk(usernames, USER_LOOKUP_BATCH_SIZE).map(
+        (batch) => () => this.client.v2.usersByUsernames(batch, params)
+      )
+    ];
+    for (const request of requests) {
+      const response = await this.call(request, 'userByUsername');
+      result.data.push(...(response?.data || []));
+      result.errors.push(...(response?.errors || []));
+    }
+    return result;
+  }
+
+  async listFollowing(userId, { paginationToken } = {}) {
+    const response = await this.call(
+      () => this.client.v2.following(userId, this._followParams(paginationToken)),
+      'following'
+    );
+    return toPage(response);
+  }
+
+  async listFollowers(userId, { paginationToken } = {}) {
+    const response = await this.call(
+      () => this.client.v2.followers(userId, this._followParams(paginationToken)),
+      'followers'
+    );
+    return toPage(response);
+  }
+
+  _followParams(paginationToken) {
+    return {
+      max_results: FOLLOW_PAGE_MAX_RESULTS,
+      'user.fields': USER_FIELDS,
+      ...(paginationToken && { pagination_token: paginationToken })
+    };
+  }
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// XCache adapter
+// ────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads from the XCache API. XCache embeds the author on each tweet, so
+ * `author.id` is copied to `author_id` for compatibility.
+ */
+export class XCacheSource extends TweetSource {
+  constructor({ baseUrl, apiKey, limiter, timeout }) {
+    super('xcache');
+    this.baseUrl = baseUrl;
+    this.apiKey = apiKey;
+    this.limiter = limiter;
+    this.timeout = timeout;
+  }
+
+  async _get(url) {
+    if (this.limiter) await this.limiter.removeTokens();
+    try {
+      const response = await fetch(url, {
+        method: 'GET',
+        headers: {
+          'X-API-KEY': this.apiKey,
+          'Content-Type': 'application/json'
+        },
+        timeout: this.timeout
+      });
+
+      if (!response.ok) {
+        throw new Error(`API returned ${response.status}: ${response.statusText}`);
+      }
+
+      const data = await response.json();
+      this.limiter?.recordSuccess();
+      return data;
+    } catch (error) {
+      this.limiter?.recordFailure();
+      throw error;
+    }
+  }
+
+  _withAuthorIds(tweets) {
+    return tweets.map((tweet) => {
+      if (tweet.author && tweet.author.id) {
+        tweet.author_id = tweet.author.id;
+      }
+      return tweet;
+    });
+  }
+
+  async listMentions(user, { sinceId, paginationToken } = {}) {
+    const url = new URL(`${this.baseUrl}/api/v1/users/${user.username}/mentions`);
+    if (sinceId) url.searchParams.set('since_id', sinceId);
+    if (paginationToken) url.searchParams.set('pagination_token', paginationToken);
+
+    console.log(`[XCACHE] Fetching mentions for @${user.username} from: ${url}`);
+    try {
+      const page = toPage(await this._get(url.toString()));
+      page.data = this._withAuthorIds(page.data);
+      return page;
+    } catch (error) {
+      console.error('[XCACHE] Error fetching mentions:', error);
+      throw error;
+    }
+  }
+
+  async fetchConversation(conversationId) {
+    const url = `${this.baseUrl}/api/v1/conversations/${conversationId}`;
+    const page = toPage(await this._get(url));
+    page.data = this._withAuthorIds(page.data);
+    return page;
+  }
+
+  // XCache has no single-tweet endpoint: fetch the conversation and extract the tweet
+  async fetchTweet(tweetId) {
+    console.log(`[XCACHE] Fetching tweet ${tweetId} via conversations endpoint`);
+    try {
+      const page = await this.fetchConversation(tweetId);
+      const targetTweet = page.data.find((tweet) => tweet.id === tweetId);
+      if (!targetTweet) {
+        console.warn(`[XCACHE] Couldn't extract tweet ${tweetId} from conversation response`);
+        return null;
+      }
+      // Keep the includes as they may contain relevant author info
+      return { data: [targetTweet], includes: page.includes, meta: {} };
+    } catch (error) {
+      console.error(`[XCACHE] Error fetching tweet ${tweetId}:`, error);
+      throw error;
+    }
+  }
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// JSONL file adapter
+// ────────────────────────────────────────────────────────────────────────────
+/**
+ * Reads tweets from a local JSONL file, one tweet per line (v2 or XCache
+ * shape). Useful for replaying captured data and for running the pipeline
+ * without API access. The file is re-read on every call.
+ */
+export class JsonlFileSource extends TweetSource {
+  constructor({ filePath }) {
+    super('jsonl');
+    this.filePath = filePath;
+  }
+
+  async _readTweets() {
+    const content = await fs.readFile(this.filePath, 'utf8');
+    return content
+      .split('\n')
+      .map((line) => line.trim())
+      .filter(Boolean)
+      .map((line) => {
+        const tweet = JSON.parse(line);
+        if (!tweet.author_id && tweet.author?.id) tweet.author_id = tweet.author.id;
+        return tweet;
+      });
+  }
+
+  _page(tweets, { sinceId } = {}) {
+    const data = tweets
+      .filter((tweet) => !sinceId || compareTweetIds(tweet.id, sinceId) > 0)
+      .sort((a, b) => compareTweetIds(b.id, a.id));
+    if (!data.length) return emptyPage();
+    return {
+      data,
+      includes: {},
+      meta: { result_count: data.length, newest_id: data[0].id, oldest_id: data[data.length - 1].id }
+    };
+  }
+
+  async listMentions(user, options = {}) {
+    const username = user.username.replace(/^@/, '').toLowerCase();
+    const tweets = await this._readTweets();
+    return this._page(
+      tweets.filter(
+        (tweet) =>
+          tweet.in_reply_to_user_id === user.id ||
+          tweet.entities?.mentions?.some((m) => m.username?.toLowerCase() === username)
+      ),
+      options
+    );
+  }
+
+  async listTimeline(user, options = {}) {
+    return this._page(await this._readTweets(), options);
+  }
+
+  async fetchTweet(tweetId) {
+    const tweet = (await this._readTweets()).find((t) => t.id === tweetId);
+    return tweet ? { data: [tweet], includes: {}, meta: {} } : null;
+  }
+
+  async lookupTweets(tweetIds) {
+    const tweets = new Map((await this._readTweets()).map((tweet) => [tweet.id, tweet]));
+    return {
+      data: tweetIds.filter((id) => tweets.has(id)).map((id) => tweets.get(id)),
+      includes: {},
+      errors: tweetIds
+        .filter((id) => !tweets.has(id))
+        .map((id) => ({ resource_id: id, title: 'Not Found Error', detail: `Could not find tweet with ids: [${id}].` }))
+    };
+  }
+
+  async fetchConversation(conversationId, options = {}) {
+    const tweets = await this._readTweets();
+    return this._page(tweets.filter((tweet) => tweet.conversation_id === conversationId), options);
+  }
+
+  // Only plain terms are supported: operators are ignored and OR-ed terms match as substrings
+  async searchTweets(query, options = {}) {
+    const terms = query
+      .split(/\s+OR\s+|\s+/)
+      .map((term) => term.replace(/[()"]/g, '').toLowerCase())
+      .filter((term) => term && !term.startsWith('-') && !term.includes(':'));
+    const tweets = await this._readTweets();
+    return this._page(
+      tweets.filter((tweet) => terms.some((term) => (tweet.text || '').toLowerCase().includes(term))),
+      options
+    );
+  }
+
+  async lookupUsers({ ids = [], usernames = [] } = {}) {
+    const wantedNames = new Set(usernames.map((u) => u.toLowerCase()));
+    const users = new Map();
+    for (const tweet of await this._readTweets()) {
+      const author = tweet.author;
+      if (!author?.id) continue;
+      if (ids.includes(author.id) || wantedNames.has(author.username?.toLowerCase())) {
+        users.set(author.id, author);
+      }
+    }
+    return { data: [...users.values()], errors: [] };
+  }
+}
+
+// ────────────────────────────────────────────────────────────────────────────
+// Factory
+// ────────────────────────────────────────────────────────────────────────────
+/**
+ * Creates a source adapter by name.
+ * @param {string} name - 'twitter', 'xcache' or 'jsonl'.
+ * @param {object} deps - Dependencies for the adapters:
+ *   { twitterClient, call, xcache: { baseUrl, apiKey, limiter, timeout }, jsonlFile }
+ * @returns {TweetSource}
+ */
+export function createSource(name, deps) {
+  switch ((name || '').toLowerCase()) {
+    case 'twitter':
+      return new TwitterV2Source({ client: deps.twitterClient, call: deps.call });
+    case 'xcache':
+      return new XCacheSource(deps.xcache);
+    case 'jsonl':
+      return new JsonlFileSource({ filePath: deps.jsonlFile });
+    default:
+      throw new Error(`[Sources] Unknown source adapter: ${name}`);
+  }
+}
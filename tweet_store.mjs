@@ -0,0 +1,145 @@
+// tweet_store.mjs
+//
+// The single write path for ingested tweets. Polling cycles in scraper.mjs,
+// conversation backfill and the Account Activity webhook all store pages
+// through addTweetToMongoDB, so every tweet is normalized, filtered and
+// quarantined the same way.
+
+import { v4 as uuidv4 } from 'uuid';
+import { normalizeAuthor, normalizePage } from './normalize.mjs';
+import { ContentFilter, STAGES } from './content_filter.mjs';
+import { QuarantineService, QUARANTINE_STATUS } from './quarantine.mjs';
+import { TEMP_AUTHOR_PREFIX } from './author_merge.mjs';
+
+/**
+ * Normalizes, filters and stores a page of tweets.
+ * @param {Db} db
+ * @param {Array} tweets - Twitter v2 shaped tweets.
+ * @param {object} includes - The page's includes (users, media).
+ * @param {object} [options] - { stream }: tag added to each stored tweet's `streams`
+ *   (e.g. 'mentions', 'timeline', 'topic:ai'); { accountId }: account id, or ids, added to
+ *   `accounts` for streams read for accounts; { contentFilter }: ingest rules, none by default.
+ */
+export async function addTweetToMongoDB(db, tweets, includes, { stream, accountId, contentFilter = new ContentFilter() } = {}) {
+  const bulkOps = {
+    tweets: [],
+    authors: [],
+    media: []
+  };
+
+  // Convert the payload to canonical documents before anything is written
+  const normalized = normalizePage({ data: tweets, includes });
+
+  // Process media
+  bulkOps.media.push(
+    ...normalized.media.map((media) => ({
+      updateOne: {
+        filter: { media_key: media.media_key },
+        update: { $set: media },
+        upsert: true
+      }
+    }))
+  );
+
+  // Process authors included in the payload. Full user objects (expanded with
+  // user.fields) count as a fresh lookup, so hydration doesn't fetch them again.
+  const fetchedAt = new Date();
+  bulkOps.authors.push(
+    ...normalized.authors.map((author) => ({
+      updateOne: {
+        filter: { id: author.id },
+        update: { $set: { ...author, ...(author.public_metrics && { lastFetched: fetchedAt }) } },
+        upsert: true
+      }
+    }))
+  );
+
+  // Authors for author-based filter rules: from the payload, else from the DB
+  const authorsById = new Map(normalized.authors.map((author) => [author.id, author]));
+  const unknownAuthorIds = [
+    ...new Set(normalized.tweets.map((t) => t.author_id).filter((id) => id && !authorsById.has(id)))
+  ];
+  if (unknownAuthorIds.length) {
+    const storedAuthors = await db.collection('authors').find({ id: { $in: unknownAuthorIds } }).toArray();
+    storedAuthors.forEach((author) => authorsById.set(author.id, author));
+  }
+
+  // Tweets already reviewed in quarantine skip the filter
+  const quarantine = new QuarantineService(db);
+  const reviewedStatuses = await quarantine.getReviewedStatuses(normalized.tweets.map((t) => t.id));
+  const quarantined = [];
+
+  for (const tweet of normalized.tweets) {
+    // Process mentions and authors
+    if (tweet.entities?.mentions) {
+      for (const mention of tweet.entities.mentions) {
+        if (mention.id) {
+          bulkOps.authors.push({
+            updateOne: {
+              filter: { id: mention.id },
+              update: { $set: normalizeAuthor({ username: mention.username }) },
+              upsert: true
+            }
+          });
+        } else if (mention.username) {
+          // One stub per username: reuses the real or temp author already stored under it
+          bulkOps.authors.push({
+            updateOne: {
+              filter: { username: mention.username },
+              update: {
+                $setOnInsert: { ...normalizeAuthor({ username: mention.username }), id: `${TEMP_AUTHOR_PREFIX}${uuidv4()}` }
+              },
+              upsert: true
+            }
+          });
+        }
+      }
+    }
+    // Add tweet only if no filter rule matched; filtered tweets go to quarantine
+    const reviewStatus = reviewedStatuses.get(tweet.id);
+    if (reviewStatus === QUARANTINE_STATUS.DISCARDED) {
+      console.log(`[Filter] Skipping tweet ${tweet.id}: discarded from quarantine`);
+      continue;
+    }
+    const verdict =
+      reviewStatus === QUARANTINE_STATUS.RELEASED
+        ? { allowed: true, matched: [] }
+        : contentFilter.evaluate(tweet, { stage: STAGES.INGEST, author: authorsById.get(tweet.author_id) });
+    if (!verdict.allowed) {
+      console.log(
+        `[Filter] Ignoring tweet ${tweet.id} (rules: ${verdict.matched.join(', ')}): ${tweet.text.substring(0, 50)}...`
+      );
+      quarantined.push({ tweet, matched: verdict.matched, stage: STAGES.INGEST });
+    } else {
+      bulkOps.tweets.push({
+        updateOne: {
+          filter: { id: tweet.id },
+          update: {
+            $set: tweet,
+            ...((stream || accountId) && {
+              $addToSet: {
+                ...(stream && { streams: stream }),
+                ...(accountId && { accounts: Array.isArray(accountId) ? { $each: accountId } : accountId })
+              }
+            })
+          },
+          upsert: true
+        }
+      });
+    }
+  }
+
+  try {
+    // Bulk-write in parallel
+    await Promise.all([
+      bulkOps.tweets.length && db.collection('tweets').bulkWrite(bulkOps.tweets),
+      bulkOps.authors.length && db.collection('authors').bulkWrite(bulkOps.authors),
+      bulkOps.media.length && db.collection('media').bulkWrite(bulkOps.media)
+    ]);
+    await quarantine.quarantine(quarantined);
+    console.log('[MongoDB] Bulk operations completed successfully');
+  } catch (error) {
+    console.error('[MongoDB] Bulk operation error:', error);
+    throw error;
+  }
+}
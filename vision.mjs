@@ -1,50 +1,194 @@
-import process from 'process';
-import dotenv from 'dotenv';
-dotenv.config();
+import { execFile } from 'child_process';
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { promisify } from 'util';
+import { llm } from './llm_gateway.mjs';
 
-const { OPENAI_API_URI, OPENAI_API_KEY, VISION_MODEL } = process.env;
+const execFileAsync = promisify(execFile);
 
-import OpenAI from "openai";
+// Media types the vision profile can describe, and what to send it for each
+export const VISUAL_MEDIA_TYPES = ['photo', 'animated_gif', 'video'];
 
-const openai = new OpenAI({
-    baseURL: OPENAI_API_URI,
-    apiKey: OPENAI_API_KEY,
-    defaultHeaders: {
-        "HTTP-Referer": "https://ratimics.com", // Replace with your site URL (optional)
-        "X-Title": "Bob the Snake" // Replace with your app name (optional)
-    }
-});
+// Read at call time so values from .env apply
+function videoOptions() {
+    return {
+        // Frames taken from a downloaded video or GIF; 0 sends only the preview image
+        frames: parseInt(process.env.VISION_VIDEO_FRAMES || '0', 10),
+        maxBytes: parseFloat(process.env.VISION_VIDEO_MAX_MB || '25') * 1024 * 1024,
+        ffmpegPath: process.env.FFMPEG_PATH || 'ffmpeg'
+    };
+}
+
+/**
+ * The image a vision model is shown for a media item: the photo itself, or
+ * the preview image of a GIF or video.
+ * @param {object} media - Normalized media ({ type, url, preview_image_url }).
+ * @returns {string|null}
+ */
+export function mediaImageUrl(media) {
+    if (media.type === 'photo') return media.url || null;
+    if (VISUAL_MEDIA_TYPES.includes(media.type)) return media.preview_image_url || null;
+    return null;
+}
+
+// The MP4 variant frames are taken from: the smallest one
+function smallestMp4(media) {
+    return (media.variants || [])
+        .filter((v) => v.content_type === 'video/mp4' && v.url)
+        .sort((a, b) => (a.bit_rate ?? 0) - (b.bit_rate ?? 0))[0] || null;
+}
+
+/**
+ * What a media item is described from and cached by: its image (see
+ * mediaImageUrl), or for a GIF or video without a preview image, its MP4
+ * when VISION_VIDEO_FRAMES is set. Media without one can't be described.
+ * @param {object} media - Normalized media.
+ * @returns {string|null}
+ */
+export function mediaSourceUrl(media) {
+    const imageUrl = mediaImageUrl(media);
+    if (imageUrl || media.type === 'photo' || !VISUAL_MEDIA_TYPES.includes(media.type)) return imageUrl;
+    return videoOptions().frames > 0 ? smallestMp4(media)?.url || null : null;
+}
 
-export async function describeImage(fileUrl) {
+/**
+ * How a media item is labelled in prompts: "Photo", "GIF", "Video (1:05)".
+ * @param {object} media - { type | media_type, duration_ms }
+ * @returns {string}
+ */
+export function mediaLabel(media) {
+    const type = media.media_type || media.type;
+    if (type === 'animated_gif') return 'GIF';
+    if (type !== 'video') return 'Photo';
+    if (!media.duration_ms) return 'Video';
+    const seconds = Math.round(media.duration_ms / 1000);
+    return `Video (${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')})`;
+}
+
+// Model, provider chain and timeouts come from the 'vision' profile in assets/llm_profiles.json
+export async function describeImage(fileUrl, prompt = "Describe the contents of the image in detail.") {
     try {
-        const response = await openai.chat.completions.create({
-            model: VISION_MODEL,
-            messages: [
-                {
-                    role: "user",
-                    content: [
-                        {
-                            type: "text",
-                            text: "Describe the contents of the image in detail."
-                        },
-                        {
-                            type: "image_url",
-                            image_url: {
-                                url: fileUrl
-                            }
+        const { text } = await llm.chat('vision', [
+            {
+                role: "user",
+                content: [
+                    {
+                        type: "text",
+                        text: prompt
+                    },
+                    {
+                        type: "image_url",
+                        image_url: {
+                            url: fileUrl
                         }
-                    ]
-                }
-            ]
-        });
-
-        if (!response.choices || !response.choices[0]) {
-            return 'No description available.';
-        }
+                    }
+                ]
+            }
+        ], { caller: 'vision', metadata: { image_url: fileUrl } });
 
-        return response.choices[0]?.message?.content || 'No description available.';
+        return text || 'No description available.';
     } catch (error) {
         console.error("Error describing image:", error);
         throw new Error("Failed to describe image. Please try again.");
     }
 }
+
+/**
+ * Describes a photo, GIF or video. GIFs and videos are described from their
+ * preview image, or with VISION_VIDEO_FRAMES set, from that many frames taken
+ * with ffmpeg from the smallest MP4 variant (falling back to the preview when
+ * the download or ffmpeg fails).
+ * @param {object} media - Normalized media document.
+ * @returns {Promise<{description: string, source: 'image'|'preview'|'frames', frames: number}>}
+ */
+export async function describeMedia(media) {
+    const imageUrl = mediaImageUrl(media);
+    if (media.type === 'photo') {
+        return { description: await describeImage(imageUrl), source: 'image', frames: 0 };
+    }
+
+    const label = mediaLabel(media).toLowerCase();
+    const { frames } = videoOptions();
+    if (frames > 0) {
+        try {
+            const images = await extractFrames(media, frames);
+            return { description: await describeFrames(images, media, label), source: 'frames', frames: images.length };
+        } catch (error) {
+            console.warn(`[Vision] Frame extraction failed for ${media.media_key || imageUrl}, using the preview image:`, error.message);
+        }
+    }
+    if (!imageUrl) throw new Error(`[Vision] No preview image for ${label} ${media.media_key || ''}`.trim());
+    const description = await describeImage(
+        imageUrl,
+        `This is the preview image of a ${label}. Describe what it shows in detail, and what the ${label} is likely about.`
+    );
+    return { description, source: 'preview', frames: 0 };
+}
+
+async function describeFrames(images, media, label) {
+    try {
+        const { text } = await llm.chat('vision', [
+            {
+                role: "user",
+                content: [
+                    {
+                        type: "text",
+                        text: `These are ${images.length} frames taken in order from a ${label}. Describe what happens in it in detail.`
+                    },
+                    ...images.map((url) => ({ type: "image_url", image_url: { url } }))
+                ]
+            }
+        ], { caller: 'vision', metadata: { media_key: media.media_key, media_type: media.type, frames: images.length } });
+
+        return text || 'No description available.';
+    } catch (error) {
+        console.error("Error describing frames:", error);
+        throw new Error("Failed to describe frames. Please try again.");
+    }
+}
+
+/**
+ * Downloads the smallest MP4 variant of a GIF or video and takes evenly
+ * spaced frames from it with ffmpeg.
+ * @param {object} media - Normalized media with `variants` and `duration_ms`.
+ * @param {number} count - Frames wanted.
+ * @returns {Promise<string[]>} JPEG data URLs, in order.
+ */
+export async function extractFrames(media, count) {
+    const { maxBytes, ffmpegPath } = videoOptions();
+    const variant = smallestMp4(media);
+    if (!variant) throw new Error('[Vision] No MP4 variant to take frames from');
+
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vision-'));
+    try {
+        const response = await fetch(variant.url);
+        if (!response.ok) throw new Error(`[Vision] Download failed with HTTP ${response.status}`);
+        if (Number(response.headers.get('content-length')) > maxBytes) {
+            throw new Error(`[Vision] Video larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+        }
+        const data = Buffer.from(await response.arrayBuffer());
+        if (data.length > maxBytes) throw new Error(`[Vision] Video larger than ${Math.round(maxBytes / 1024 / 1024)} MB`);
+        const videoPath = path.join(dir, 'media.mp4');
+        await fs.writeFile(videoPath, data);
+
+        // GIFs come without a duration; take their frames from the first seconds
+        const seconds = (media.duration_ms || 3000) / 1000;
+        const frames = [];
+        for (let i = 0; i < count; i++) {
+            const framePath = path.join(dir, `frame_${i}.jpg`);
+            const at = ((i + 0.5) * seconds) / count;
+            await execFileAsync(
+                ffmpegPath,
+                ['-v', 'error', '-ss', at.toFixed(2), '-i', videoPath, '-frames:v', '1', '-vf', 'scale=512:-2', '-q:v', '4', '-y', framePath],
+                { timeout: 30000 }
+            );
+            const frame = await fs.readFile(framePath).catch(() => null);
+            if (frame) frames.push(`data:image/jpeg;base64,${frame.toString('base64')}`);
+        }
+        if (!frames.length) throw new Error('[Vision] ffmpeg produced no frames');
+        return frames;
+    } finally {
+        await fs.rm(dir, { recursive: true, force: true });
+    }
+}
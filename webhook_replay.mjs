@@ -0,0 +1,89 @@
+// webhook_replay.mjs
+//
+// Posts recorded Account Activity payloads to a running webhook_server.mjs,
+// signed the way X signs them, so the webhook path can be exercised without X.
+// Payloads are read from a JSONL file, one payload per line, such as the file
+// the server writes to WEBHOOK_RECORD_FILE.
+//
+//   node webhook_replay.mjs <payloads.jsonl> [--url <url>] [--for-user <id>] [--delay <ms>]
+//   node webhook_replay.mjs crc [--url <url>]
+
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+import { crcResponse, SIGNATURE_HEADER, signPayload } from './account_activity.mjs';
+import { accountTokens, loadAccounts } from './accounts.mjs';
+
+dotenv.config();
+
+function flag(name) {
+  const index = process.argv.indexOf(name);
+  return index > -1 ? process.argv[index + 1] : undefined;
+}
+
+function delay(ms) {
+  return new Promise((resolve) => setTimeout(resolve, ms));
+}
+
+async function consumerSecret() {
+  if (process.env.WEBHOOK_CONSUMER_SECRET) return process.env.WEBHOOK_CONSUMER_SECRET;
+  const [account] = await loadAccounts();
+  if (!account) throw new Error('[Replay] No enabled accounts and no WEBHOOK_CONSUMER_SECRET');
+  return accountTokens(account).appSecret;
+}
+
+// Checks that the server answers the CRC challenge with the expected token
+async function checkCrc(url, secret) {
+  const crcToken = crypto.randomBytes(16).toString('hex');
+  const response = await fetch(`${url}?crc_token=${crcToken}`);
+  const body = await response.json();
+  const ok = response.ok && body.response_token === crcResponse(secret, crcToken).response_token;
+  console.log(`[Replay] CRC ${ok ? 'ok' : `failed (${response.status}): ${JSON.stringify(body)}`}`);
+  return ok;
+}
+
+async function replay(file, url, secret, { forUser, delayMs }) {
+  const lines = (await fs.readFile(file, 'utf8')).split('\n').filter((line) => line.trim());
+  let failed = 0;
+  for (const [index, line] of lines.entries()) {
+    const payload = JSON.parse(line);
+    if (forUser) payload.for_user_id = forUser;
+    const body = JSON.stringify(payload);
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json', [SIGNATURE_HEADER]: signPayload(secret, body) },
+      body
+    });
+    const result = await response.text();
+    if (!response.ok) failed++;
+    console.log(`[Replay] ${index + 1}/${lines.length} -> ${response.status} ${result}`);
+    if (delayMs) await delay(delayMs);
+  }
+  console.log(`[Replay] Posted ${lines.length} payloads, ${failed} failed`);
+  return failed;
+}
+
+async function main() {
+  const [command] = process.argv.slice(2);
+  if (!command) {
+    throw new Error('Usage: node webhook_replay.mjs <payloads.jsonl> | crc [--url <url>] [--for-user <id>] [--delay <ms>]');
+  }
+  const url =
+    flag('--url') || `http://localhost:${process.env.WEBHOOK_PORT || 3001}${process.env.WEBHOOK_PATH || '/webhooks/x'}`;
+  const secret = await consumerSecret();
+
+  if (command === 'crc') {
+    process.exitCode = (await checkCrc(url, secret)) ? 0 : 1;
+    return;
+  }
+  const failed = await replay(command, url, secret, {
+    forUser: flag('--for-user'),
+    delayMs: parseInt(flag('--delay') || '0', 10)
+  });
+  process.exitCode = failed ? 1 : 0;
+}
+
+main().catch((error) => {
+  console.error('[Replay] Fatal error:', error);
+  process.exit(1);
+});
@@ -0,0 +1,88 @@
+// webhook_server.mjs
+//
+// Account Activity webhook receiver. Mentions, likes, follows and deletions
+// are pushed here as they happen instead of waiting for the scraper's next
+// mentions poll. GET answers the CRC challenge; POST verifies the signature
+// and hands the payload to AccountActivityHandler.
+//
+// One webhook belongs to one X app: payloads are signed with that app's
+// consumer secret (WEBHOOK_CONSUMER_SECRET, or the first account's
+// <PREFIX>_APP_SECRET), and accounts are matched by `for_user_id`.
+
+import fs from 'fs/promises';
+import express from 'express';
+import dotenv from 'dotenv';
+import { MongoClient } from 'mongodb';
+import { AccountActivityHandler, crcResponse, SIGNATURE_HEADER, verifySignature } from './account_activity.mjs';
+import { accountTokens, loadAccounts } from './accounts.mjs';
+import { ContentFilter } from './content_filter.mjs';
+
+dotenv.config();
+
+const PORT = parseInt(process.env.WEBHOOK_PORT || '3001', 10);
+const WEBHOOK_PATH = process.env.WEBHOOK_PATH || '/webhooks/x';
+const RECORD_FILE = process.env.WEBHOOK_RECORD_FILE; // append verified payloads here for webhook_replay.mjs
+
+async function main() {
+  const missingVars = ['MONGODB_URI', 'DB_NAME'].filter((envVar) => !process.env[envVar]);
+  if (missingVars.length) {
+    throw new Error(`Missing required environment variables: ${missingVars.join(', ')}`);
+  }
+
+  const accounts = await loadAccounts();
+  if (!accounts.length) {
+    throw new Error('No enabled accounts in the account registry');
+  }
+  const consumerSecret = process.env.WEBHOOK_CONSUMER_SECRET || accountTokens(accounts[0]).appSecret;
+
+  const client = new MongoClient(process.env.MONGODB_URI);
+  await client.connect();
+  const db = client.db(process.env.DB_NAME);
+  console.log('[Webhook] Connected to MongoDB');
+
+  // Accounts without a configured user_id are matched through the author the scraper stored for them
+  for (const account of accounts.filter((a) => !a.user_id && a.username)) {
+    const author = await db.collection('authors').findOne({ username: account.username.replace(/^@/, '') });
+    if (author) account.user_id = author.id;
+    else console.warn(`[Webhook] No user_id known for account ${account.id}; its events will be ignored`);
+  }
+
+  const handler = new AccountActivityHandler(db, {
+    accounts,
+    contentFilter: await ContentFilter.fromFile()
+  });
+
+  const app = express();
+  // Signatures are computed over the exact bytes received
+  app.use(express.json({ limit: '5mb', verify: (req, res, buffer) => { req.rawBody = buffer; } }));
+
+  app.get(WEBHOOK_PATH, (req, res) => {
+    const { crc_token: crcToken } = req.query;
+    if (!crcToken) return res.status(400).json({ error: 'Missing crc_token' });
+    res.json(crcResponse(consumerSecret, crcToken));
+  });
+
+  app.post(WEBHOOK_PATH, async (req, res) => {
+    if (!req.rawBody || !verifySignature(consumerSecret, req.rawBody, req.get(SIGNATURE_HEADER))) {
+      console.warn('[Webhook] Rejected payload with a missing or invalid signature');
+      return res.status(401).json({ error: 'Invalid signature' });
+    }
+    try {
+      if (RECORD_FILE) await fs.appendFile(RECORD_FILE, `${req.rawBody.toString('utf8').trim()}\n`);
+      res.json(await handler.handle(req.body));
+    } catch (error) {
+      // A non-200 makes X redeliver the payload
+      console.error('[Webhook] Error handling payload:', error);
+      res.status(500).json({ error: 'Internal Server Error' });
+    }
+  });
+
+  app.listen(PORT, () => {
+    console.log(`[Webhook] Listening on port ${PORT} at ${WEBHOOK_PATH} for ${accounts.map((a) => a.id).join(', ')}`);
+  });
+}
+
+main().catch((error) => {
+  console.error('[Webhook] Fatal error:', error);
+  process.exit(1);
+});
@@ -2,19 +2,40 @@ import process from 'process';
 import { Buffer } from 'buffer';
 
 import sharp from 'sharp';
-import { TwitterApi } from 'twitter-api-v2';
 import dotenv from 'dotenv'; // Import dotenv
+import { RateLimitStore } from './rate_limits.mjs';
+import { createAccountClient, loadPrimaryAccount } from './accounts.mjs';
 dotenv.config(); // Load environment variables from .env
 
-const xClient = new TwitterApi({
-    appKey: process.env.TWITTER_APP_TOKEN,
-    appSecret: process.env.TWITTER_APP_SECRET,
-    accessToken: process.env.TWITTER_ACCESS_TOKEN,
-    accessSecret: process.env.TWITTER_ACCESS_SECRET,
-});
+// One client per account, each gated by that account's shared X rate-limit budgets
+const accountClients = new Map();
+let rateLimitDb = null;
+
+/**
+ * Persists and enforces rate-limit budgets for every account client, current and future.
+ * @param {Db} db
+ */
+export function attachRateLimits(db) {
+    rateLimitDb = db;
+    accountClients.forEach(({ rateLimitStore }) => rateLimitStore.attach(db));
+}
+
+// Client and rate-limit store of an account; without one, the primary account
+async function clientFor(account) {
+    const owner = account || (await loadPrimaryAccount());
+    if (!accountClients.has(owner.id)) {
+        const rateLimitStore = new RateLimitStore(rateLimitDb, { accountId: owner.id });
+        accountClients.set(owner.id, {
+            account: owner,
+            client: createAccountClient(owner, { plugins: [rateLimitStore.plugin()] }),
+            rateLimitStore
+        });
+    }
+    return accountClients.get(owner.id);
+}
 
 // Function to upload a single image buffer
-async function uploadImageBuffer(buffer, type = 'png') {
+async function uploadImageBuffer(xClient, buffer, type = 'png') {
     try {
         const mediaId = await xClient.v1.uploadMedia(Buffer.from(buffer), { mimeType: `image/${type}` });
         console.log('🌳 Image uploaded successfully:', mediaId);
@@ -24,7 +45,8 @@ async function uploadImageBuffer(buffer, type = 'png') {
         throw error;
     }
 }
-export async function postX(params, inReplyTo = '', imageBuffer = null) {
+export async function postX(params, inReplyTo = '', imageBuffer = null, account = null) {
+    const { client: xClient, rateLimitStore } = await clientFor(account);
     const { text, ...otherParams } = params;
     const tweetChunks = chunkText(text || '');
 
@@ -46,7 +68,7 @@ export async function postX(params, inReplyTo = '', imageBuffer = null) {
                     .resize(newWidth, newHeight)
                     .toBuffer();
             }
-            mediaId = await uploadImageBuffer(imageBuffer);
+            mediaId = await uploadImageBuffer(xClient, imageBuffer);
         } catch (error) {
             console.error('🌳 Image upload failed; proceeding without attachment:', error);
         }
@@ -88,7 +110,10 @@ export async function postX(params, inReplyTo = '', imageBuffer = null) {
                     console.error(`🌳 Non-recoverable error: Skipping chunk due to invalid tweet.`);
                     success = true; // Skip this chunk and continue
                 } else {
-                    if (error.rateLimit) {
+                    if (error.rateLimit && rateLimitStore.attached) {
+                        // The shared budget now holds the reset time; the next attempt waits for it
+                        console.log('🌳 Rate limit hit. Waiting for the shared budget to reset...');
+                    } else if (error.rateLimit) {
                         const waitTime = (error.rateLimit.reset * 1000) - Date.now();
                         console.log(`🌳 Rate limit hit. Waiting ${Math.ceil(waitTime / 60000)} minutes...`);
                         await delay(waitTime);
@@ -158,7 +183,8 @@ async function delay(ms) {
 
 // Add this function to xpost.mjs
 
-export async function likeTweet(tweetId) {
+export async function likeTweet(tweetId, account = null) {
+    const { client: xClient, rateLimitStore, account: owner } = await clientFor(account);
     const maxRetries = 3;
     let attempt = 0;
     let success = false;
@@ -166,7 +192,7 @@ export async function likeTweet(tweetId) {
     while (attempt < maxRetries && !success) {
         try {
             await delay(5000); // Wait for a few seconds between each attempt
-            const response = await xClient.v2.like(process.env.TWITTER_USER_ID, tweetId);
+            const response = await xClient.v2.like(owner.user_id, tweetId);
             console.log('🌳 Successfully liked tweet:', tweetId);
             success = true;
             return response;
@@ -175,7 +201,9 @@ export async function likeTweet(tweetId) {
             console.error(`🌳 Error liking tweet (Attempt ${attempt}/${maxRetries}):`, error);
 
             let waitTime = attempt * 2000; // Exponential backoff
-            if (error.rateLimit) {
+            if (error.rateLimit && rateLimitStore.attached) {
+                console.log('🌳 Rate limit reached, retrying once the shared budget resets...');
+            } else if (error.rateLimit) {
                 waitTime = error.rateLimit.reset * 1000 - Date.now();
                 console.log(`🌳 Rate limit reached, retrying after ${Math.ceil(waitTime / 60000)} minutes...`);
                 await delay(waitTime);
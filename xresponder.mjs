@@ -1,14 +1,17 @@
 import dotenv from 'dotenv';
 import { MongoClient } from 'mongodb';
-import { postX } from './xpost.mjs'; // Import the postX function
+import { attachRateLimits, likeTweet, postX } from './xpost.mjs'; // Import the postX function
+import { FollowGraphService } from './follow_graph.mjs';
+import { loadAccounts, resolveAccountIds } from './accounts.mjs';
+import { PIPELINE_STAGES, PipelineFailures } from './pipeline_failures.mjs';
+import { DECISIONS } from './reply_decision.mjs';
+import { ReplyThrottle } from './reply_throttle.mjs';
 import process from 'process';
 
 // Load environment variables
 dotenv.config();
 
-// Configurations
-const REPLY_TO_UNFOLLOWED = process.env.REPLY_TO_UNFOLLOWED === 'true';
-const POST_INTERVAL_MINUTES = parseInt(process.env.POST_INTERVAL_MINUTES || '30', 10) * 60 * 1000;
+// Configurations (REPLY_TO_UNFOLLOWED and POST_INTERVAL_MINUTES are per-account limits, see accounts.mjs)
 const MONGODB_URI = process.env.MONGODB_URI;
 const DB_NAME = process.env.DB_NAME;
 
@@ -55,63 +58,133 @@ async function connectToMongoDBWithRetry(retries = 5) {
   }, retries, 2000); // try up to 5 times, base delay of 2s
 }
 
-// Fetch list of users we’re following
-async function getFollowing() {
-  return db.collection('following').find({}, { projection: { id: 1 } }).toArray();
-}
-
-// Post generated responses
-async function postGeneratedResponses() {
+// Post generated responses of one account
+async function postGeneratedResponses(account) {
   try {
     const responsesCollection = db.collection('responses');
     const tweetsCollection = db.collection('tweets');
 
-    const followingIds = (await getFollowing()).map((f) => f.id);
+    const followGraph = new FollowGraphService(db, { accountId: account.id });
+    const failures = new PipelineFailures(db);
+    const throttle = new ReplyThrottle(db, account);
+    const postInterval = account.limits.post_interval_minutes * 60 * 1000;
 
+    // Responses waiting for a retry or dead-lettered are left out
+    const blockedIds = await failures.blockedTweetIds(PIPELINE_STAGES.POSTING, account.id);
     const responses = await responsesCollection
-      .find({ response: { $exists: true }, posted: { $exists: false } })
+      .find({
+        account_id: account.id,
+        ...(blockedIds.length && { tweet_id: { $nin: blockedIds } }),
+        response: { $exists: true },
+        posted: { $exists: false },
+        cancelled_at: { $exists: false },
+        'throttled.until': { $not: { $gt: new Date() } }
+      })
       .toArray();
 
     if (responses.length === 0) {
-      console.log('No unposted responses found.');
+      console.log(`[${account.id}] No unposted responses found.`);
       return;
     }
 
     for (const response of responses) {
       try {
         const tweet = await tweetsCollection.findOne({ id: response.tweet_id });
-        const isFollowing = tweet ? followingIds.includes(tweet.author_id) : false;
+        // Follow relationship from the synced `following`/`followers` collections
+        const relationship = tweet
+          ? await followGraph.getRelationship(tweet.author_id)
+          : { following: false, followed_by: false, mutual: false };
 
-        if (!REPLY_TO_UNFOLLOWED && !isFollowing) {
+        if (!account.limits.reply_to_unfollowed && !relationship.following) {
           // Skip posting if the user is not followed
           continue;
         }
 
+        // Replies posted since this one was generated may have used up the limits
+        const verdict = await throttle.check({
+          tweetId: response.tweet_id,
+          authorId: response.author_id || tweet?.author_id,
+          authorUsername: response.author_username,
+          conversationId: response.conversation_id || tweet?.conversation_id
+        });
+        if (!verdict.allowed) {
+          console.log(`[${account.id}] Holding response ID ${response._id} until ${verdict.until.toISOString()}: ${verdict.detail}`);
+          await responsesCollection.updateOne(
+            { _id: response._id },
+            { $set: { throttled: { reason: verdict.reason, detail: verdict.detail, until: verdict.until, checked_at: new Date() } } }
+          );
+          continue;
+        }
+
+        console.log(
+          `[${account.id}] Replying to ${tweet?.author_id} (following: ${relationship.following}, mutual: ${relationship.mutual})`
+        );
+
         const tweetId = await retryOperation(
-          () => postX({ text: response.response }, response.tweet_id),
+          () => postX({ text: response.response }, response.tweet_id, null, account),
           3
         );
+        // postX handles X errors itself and returns null when no part of the reply went out
+        if (!tweetId) {
+          throw new Error(`[Responder] Reply to tweet ${response.tweet_id} was not posted`);
+        }
 
         await responsesCollection.updateOne(
           { _id: response._id },
-          { $set: { posted: true, response_id: tweetId } }
+          { $set: { posted: true, response_id: tweetId, posted_at: new Date() }, $unset: { error: '', throttled: '' } }
         );
+        await failures.recordSuccess(PIPELINE_STAGES.POSTING, account.id, response.tweet_id);
 
-        console.log(`Posted response ID ${response._id} as tweet ID ${tweetId}`);
+        console.log(`[${account.id}] Posted response ID ${response._id} as tweet ID ${tweetId}`);
       } catch (error) {
-        console.error(`Error posting response ID ${response._id}:`, error.message);
+        console.error(`[${account.id}] Error posting response ID ${response._id}:`, error.message);
+        // Stays unposted; retried with backoff until it is dead-lettered
         await responsesCollection.updateOne(
           { _id: response._id },
-          { $set: { posted: false, error: error.message } }
+          { $set: { error: error.message } }
         );
+        await failures.recordFailure(PIPELINE_STAGES.POSTING, account.id, response.tweet_id, error);
       }
 
       // Wait before next post to avoid spamming
-      console.log(`Waiting ${POST_INTERVAL_MINUTES / 1000} seconds before next post...`);
-      await delay(POST_INTERVAL_MINUTES);
+      console.log(`[${account.id}] Waiting ${postInterval / 1000} seconds before next post...`);
+      await delay(postInterval);
+    }
+  } catch (error) {
+    console.error(`[${account.id}] Error in postGeneratedResponses():`, error);
+  }
+}
+
+// Like the tweets of one account that the reply decision marked as like-only
+async function likeDecidedTweets(account) {
+  try {
+    const responsesCollection = db.collection('responses');
+    const failures = new PipelineFailures(db);
+    const blockedIds = await failures.blockedTweetIds(PIPELINE_STAGES.POSTING, account.id);
+
+    const toLike = await responsesCollection
+      .find({
+        account_id: account.id,
+        ...(blockedIds.length && { tweet_id: { $nin: blockedIds } }),
+        'decision.action': DECISIONS.LIKE,
+        liked_at: { $exists: false },
+        cancelled_at: { $exists: false }
+      })
+      .toArray();
+
+    for (const response of toLike) {
+      try {
+        await likeTweet(response.tweet_id, account);
+        await responsesCollection.updateOne({ _id: response._id }, { $set: { liked_at: new Date() } });
+        await failures.recordSuccess(PIPELINE_STAGES.POSTING, account.id, response.tweet_id);
+        console.log(`[${account.id}] Liked tweet ID ${response.tweet_id}`);
+      } catch (error) {
+        console.error(`[${account.id}] Error liking tweet ID ${response.tweet_id}:`, error.message);
+        await failures.recordFailure(PIPELINE_STAGES.POSTING, account.id, response.tweet_id, error);
+      }
     }
   } catch (error) {
-    console.error('Error in postGeneratedResponses():', error);
+    console.error(`[${account.id}] Error in likeDecidedTweets():`, error);
   }
 }
 
@@ -128,17 +201,19 @@ async function handleShutdown(signal) {
   process.exit(0);
 }
 
-// Main loop
-async function mainLoop() {
+// Main loop: each account posts on its own schedule
+async function mainLoop(account) {
   while (true) {
     try {
-      await postGeneratedResponses();
+      await postGeneratedResponses(account);
+      await likeDecidedTweets(account);
     } catch (error) {
       // If we lose connection mid-loop, we attempt to reconnect
       console.error('Error in posting responses:', error);
       console.log('Attempting to reconnect to MongoDB...');
       try {
         db = await connectToMongoDBWithRetry();
+        attachRateLimits(db);
       } catch (err) {
         console.error('Reconnection attempt failed:', err);
       }
@@ -153,7 +228,9 @@ async function mainLoop() {
 async function main() {
   try {
     db = await connectToMongoDBWithRetry();
-    await mainLoop();
+    attachRateLimits(db);
+    const accounts = await resolveAccountIds(db, await loadAccounts());
+    await Promise.all(accounts.map((account) => mainLoop(account)));
   } catch (error) {
     console.error('Fatal error, shutting down:', error);
     process.exit(1);